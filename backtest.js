@@ -0,0 +1,166 @@
+// backtest.js - Replay collected fixtures through a strategy and report how it would have done
+// Usage: node backtest.js [--strategy favourite] [--source db|json] [--staking flat] [--stake 10 | --stake-percent 2]
+//                         [--bankroll 1000] [--from 2025-12-01] [--to 2025-12-31] [--csv equity.csv] [--no-limits]
+// --stake sets the plan's main value: the amount for flat, the percentage for percent, the fraction for kelly,
+// the base stake for martingale / anti-martingale and the target profit for fixed-profit
+// The strategy, staking plan, exposure limits, bankroll, database and JSON files default to the shared settings
+// in config.js (--strategy, --max-per-bet, --initial-balance, --db, ...); a flat plan without a stake bets 10
+const BettingDatabase = require('./database');
+const { cliConfig } = require('./config');
+const Backtester = require('./backtester');
+const { getPlan, planOptionsFromValue, limitsFromConfig } = require('./staking');
+const { toMinor, formatMoney, formatSignedMoney } = require('./money');
+
+function fail(message) {
+    console.error(`\n❌ ERROR: ${message}`);
+    process.exit(1);
+}
+
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+
+    const value = args[index + 1];
+    if (!value || value.startsWith('--')) {
+        fail(`${name} needs a value`);
+    }
+    return value;
+}
+
+function parseDate(value, name, endOfDay) {
+    if (value === undefined) return null;
+
+    // A bare date covers the whole day
+    const text = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value;
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+        fail(`${name} needs a date such as 2025-12-14`);
+    }
+    return time;
+}
+
+function parseOptions(args, config) {
+    const options = {
+        config,
+        strategy: config.betting.strategy,
+        source: optionValue(args, '--source') || 'db'
+    };
+
+    if (!['db', 'json'].includes(options.source)) {
+        fail('--source must be db or json');
+    }
+
+    const stake = config.betting.stake !== null ? config.betting.stake : undefined;
+    const stakePercent = optionValue(args, '--stake-percent');
+    if (stake !== undefined && stakePercent !== undefined) {
+        fail('use either --stake or --stake-percent, not both');
+    }
+
+    // --stake-percent 2 is shorthand for --staking percent --stake 2
+    const plan = stakePercent !== undefined ? 'percent' : config.betting.staking;
+
+    const planValue = stakePercent !== undefined ? stakePercent : stake;
+    if (planValue !== undefined) {
+        options.staking = planOptionsFromValue(plan, planValue);
+        if (!options.staking) {
+            fail(`--stake ${planValue} is not a valid ${getPlan(plan).parameter.name} for the ${plan} plan`);
+        }
+    } else {
+        options.staking = plan === 'flat' ? { plan, amount: toMinor(10) } : { plan };
+    }
+
+    options.limits = args.includes('--no-limits')
+        ? { maxPerBet: null, maxPerMatchday: null, maxPerDay: null }
+        : limitsFromConfig(config.limits);
+
+    const bankroll = optionValue(args, '--bankroll');
+    options.bankroll = toMinor(bankroll !== undefined ? bankroll : config.account.initialBalance);
+    if (!options.bankroll || options.bankroll <= 0) {
+        fail('--bankroll needs a positive amount, e.g. --bankroll 1000');
+    }
+
+    options.from = parseDate(optionValue(args, '--from'), '--from', false);
+    options.to = parseDate(optionValue(args, '--to'), '--to', true);
+    options.csv = optionValue(args, '--csv') || `backtest_${options.strategy}.csv`;
+    options.resultsFile = optionValue(args, '--results') || config.files.results;
+    options.oddsFile = optionValue(args, '--odds') || config.files.odds;
+
+    return options;
+}
+
+async function loadFixtures(backtester, options) {
+    if (options.source === 'json') {
+        console.log(`📂 Loading ${options.resultsFile} and ${options.oddsFile}...`);
+        return backtester.loadFromJson(options.resultsFile, options.oddsFile);
+    }
+
+    const db = new BettingDatabase(options.config);
+    try {
+        await db.connect();
+        const pending = await db.getPendingMigrations();
+        if (pending.length > 0) {
+            throw new Error(`database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+        }
+        return await backtester.loadFromDatabase(db);
+    } finally {
+        if (db.db) {
+            await db.close();
+        }
+    }
+}
+
+function printReport(options, metrics) {
+    const { parameter } = getPlan(options.staking.plan);
+    const value = options.staking[parameter.name];
+    const stakingLabel = value === undefined
+        ? `${options.staking.plan} staking`
+        : `${options.staking.plan} staking, ${parameter.name} ${parameter.money ? formatMoney(value) : value}`;
+
+    console.log('\n📈 BACKTEST RESULTS');
+    console.log('='.repeat(70));
+    console.log(`   Strategy:           ${options.strategy} (${stakingLabel})`);
+    console.log(`   Fixtures replayed:  ${metrics.fixtures} (${metrics.fixturesWithOdds} with pre-kick-off odds)`);
+    console.log(`   Bets:               ${metrics.bets} (${metrics.wins} won, ${metrics.losses} lost)`);
+    if (metrics.skippedByLimits > 0) {
+        console.log(`   Skipped by limits:  ${metrics.skippedByLimits}`);
+    }
+    console.log(`   Hit rate:           ${metrics.hitRate.toFixed(1)}%`);
+    console.log(`   Average odds:       ${metrics.averageOdds.toFixed(2)}`);
+    console.log(`   Total staked:       ${formatMoney(metrics.staked)}`);
+    console.log(`   Profit/Loss:        ${formatSignedMoney(metrics.profit)}`);
+    console.log(`   Yield:              ${metrics.yield.toFixed(2)}%`);
+    console.log(`   ROI:                ${metrics.roi.toFixed(2)}%`);
+    console.log(`   Bankroll:           ${formatMoney(metrics.startingBankroll)} → ${formatMoney(metrics.finalBankroll)}`);
+    console.log(`   Max drawdown:       ${formatMoney(metrics.maxDrawdown)} (${metrics.maxDrawdownPercent.toFixed(1)}%)`);
+    console.log(`   Longest losing run: ${metrics.longestLosingStreak}`);
+}
+
+(async () => {
+    const args = process.argv.slice(2);
+    const options = parseOptions(args, cliConfig(args));
+
+    console.log('\n🔁 BACKTEST');
+    console.log('='.repeat(70));
+
+    try {
+        const backtester = new Backtester(options);
+        const fixtures = await loadFixtures(backtester, options);
+        console.log(`✅ Loaded ${fixtures.length} completed fixture(s)`);
+
+        if (fixtures.length === 0) {
+            console.log('⚠️  Nothing to replay for this source and date range');
+            return;
+        }
+
+        const { bets, metrics } = backtester.run();
+        printReport(options, metrics);
+
+        if (bets.length > 0) {
+            await backtester.exportEquityCsv(bets, options.csv);
+            console.log(`\n💾 Equity curve exported to ${options.csv}`);
+        }
+    } catch (error) {
+        console.error('❌ Backtest failed:', error.message);
+        process.exitCode = 1;
+    }
+})();
@@ -0,0 +1,321 @@
+// backtester.js - Replays collected fixtures through a betting strategy
+// Fixtures are grouped into rounds (one matchday card) and replayed in kick-off order. The strategy only
+// sees odds taken before kick-off and the results of rounds that finished before the one being bet on.
+const fs = require('fs').promises;
+const { selectBets, recordResult } = require('./strategies');
+const { DEFAULT_LIMITS, getPlan, checkExposure } = require('./staking');
+const { fitStrengths, predictFixture } = require('./poissonModel');
+const { toMinor, fromMinor, multiplyMinor } = require('./money');
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseTimestamp(value) {
+    if (!value) return null;
+    const text = String(value);
+    const time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+    return Number.isNaN(time) ? null : time;
+}
+
+function parseScore(score) {
+    const match = String(score || '').match(/(\d+)\s*:\s*(\d+)/);
+    return match ? [parseInt(match[1]), parseInt(match[2])] : null;
+}
+
+function outcome(fixture) {
+    if (fixture.homeScore > fixture.awayScore) return 'HOME';
+    if (fixture.awayScore > fixture.homeScore) return 'AWAY';
+    return 'DRAW';
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value).replace(/"/g, '""');
+    return /[",\n]/.test(text) ? `"${text}"` : text;
+}
+
+class Backtester {
+    constructor(options = {}) {
+        this.strategyName = options.strategy || 'favourite';
+        this.strategyOptions = options.strategyOptions || {};
+        this.startingBankroll = options.bankroll !== undefined ? options.bankroll : toMinor(1000);
+        this.staking = options.staking || { plan: 'flat', amount: toMinor(10) };
+        this.limits = options.limits || DEFAULT_LIMITS;
+        this.from = options.from || null;
+        this.to = options.to || null;
+        this.fixtures = [];
+        this.source = null;
+
+        getPlan(this.staking.plan);
+    }
+
+    // Completed matches with the last odds snapshot before kick-off. Rows recorded before kick-off times
+    // were tracked have no kickoff_at, so they fall back to the opening price, which is always pre-match.
+    async loadFromDatabase(db) {
+        const rows = await db.query(`
+            WITH completed AS (
+                SELECT m.*, CASE WHEN m.kickoff_at IS NULL THEN (
+                    SELECT bo.odds_id FROM betting_odds bo
+                    WHERE bo.match_id = m.match_id
+                      AND bo.home_odds IS NOT NULL AND bo.draw_odds IS NOT NULL AND bo.away_odds IS NOT NULL
+                    ORDER BY bo.timestamp, bo.odds_id
+                    LIMIT 1
+                ) ELSE (
+                    SELECT bo.odds_id FROM betting_odds bo
+                    WHERE bo.match_id = m.match_id
+                      AND bo.home_odds IS NOT NULL AND bo.draw_odds IS NOT NULL AND bo.away_odds IS NOT NULL
+                      AND bo.timestamp < m.kickoff_at
+                    ORDER BY bo.timestamp DESC, bo.odds_id DESC
+                    LIMIT 1
+                ) END as pre_match_odds_id
+                FROM matches m
+                WHERE m.status = 'COMPLETED'
+            )
+            SELECT c.match_id, c.tournament_id, ts.stage_name,
+                   ht.team_name as home_team, at.team_name as away_team,
+                   c.home_score, c.away_score, c.kickoff_at, c.created_at,
+                   bo.home_odds, bo.draw_odds, bo.away_odds, bo.timestamp as odds_at
+            FROM completed c
+            JOIN tournament_stages ts ON c.stage_id = ts.stage_id
+            JOIN teams ht ON c.home_team_id = ht.team_id
+            JOIN teams at ON c.away_team_id = at.team_id
+            LEFT JOIN betting_odds bo ON bo.odds_id = c.pre_match_odds_id
+            ORDER BY COALESCE(c.kickoff_at, c.created_at), c.match_id
+        `);
+
+        this.source = 'database';
+        this.fixtures = rows
+            .filter(row => row.home_score !== null && row.away_score !== null)
+            .map(row => ({
+                id: `match-${row.match_id}`,
+                matchId: row.match_id,
+                round: `${row.tournament_id || 'legacy'}-${row.stage_name}`,
+                stage: row.stage_name,
+                homeTeam: row.home_team,
+                awayTeam: row.away_team,
+                homeScore: row.home_score,
+                awayScore: row.away_score,
+                time: parseTimestamp(row.kickoff_at || row.created_at),
+                oddsAt: parseTimestamp(row.odds_at),
+                odds: row.home_odds ? { HOME: row.home_odds, DRAW: row.draw_odds, AWAY: row.away_odds } : null
+            }));
+
+        return this.applyDateRange();
+    }
+
+    // Results from the scraper's JSON file matched to odds from the odds JSON file. Each result takes the
+    // earliest snapshot of the same pairing recorded after that pairing's previous result, i.e. its opening price.
+    async loadFromJson(resultsFile, oddsFile) {
+        const results = JSON.parse(await fs.readFile(resultsFile, 'utf8'));
+        const oddsRecords = JSON.parse(await fs.readFile(oddsFile, 'utf8'));
+
+        const pairing = (home, away) => `${String(home).toUpperCase()}-${String(away).toUpperCase()}`;
+        const oddsByPairing = new Map();
+        for (const record of oddsRecords) {
+            if (!record.home_odds || !record.draw_odds || !record.away_odds) continue;
+
+            const key = pairing(record.home_team, record.away_team);
+            if (!oddsByPairing.has(key)) oddsByPairing.set(key, []);
+            oddsByPairing.get(key).push({ ...record, time: parseTimestamp(record.timestamp) });
+        }
+        for (const snapshots of oddsByPairing.values()) {
+            snapshots.sort((a, b) => a.time - b.time);
+        }
+
+        const lastResultAt = new Map();
+        const fixtures = [];
+        const sorted = results
+            .map(result => ({ ...result, time: parseTimestamp(result.savedAt) }))
+            .filter(result => result.time !== null && parseScore(result.fullTimeScore))
+            .sort((a, b) => a.time - b.time);
+
+        for (const result of sorted) {
+            const key = pairing(result.homeTeam, result.awayTeam);
+            const after = lastResultAt.get(key) || -Infinity;
+            const snapshot = (oddsByPairing.get(key) || []).find(odds => odds.time > after && odds.time < result.time);
+            lastResultAt.set(key, result.time);
+
+            const [homeScore, awayScore] = parseScore(result.fullTimeScore);
+            const stage = result.tournament_stage || (snapshot && snapshot.tournament_stage) || 'Unknown';
+
+            fixtures.push({
+                id: `result-${result.matchNo}`,
+                matchId: null,
+                round: stage,
+                stage,
+                homeTeam: result.homeTeam,
+                awayTeam: result.awayTeam,
+                homeScore,
+                awayScore,
+                time: result.time,
+                oddsAt: snapshot ? snapshot.time : null,
+                odds: snapshot ? { HOME: snapshot.home_odds, DRAW: snapshot.draw_odds, AWAY: snapshot.away_odds } : null
+            });
+        }
+
+        this.source = 'json';
+        this.fixtures = fixtures;
+        return this.applyDateRange();
+    }
+
+    applyDateRange() {
+        this.fixtures = this.fixtures.filter(fixture =>
+            (this.from === null || fixture.time >= this.from) &&
+            (this.to === null || fixture.time <= this.to)
+        );
+        return this.fixtures;
+    }
+
+    // Consecutive fixtures of the same round form one card
+    rounds() {
+        const rounds = [];
+        for (const fixture of this.fixtures) {
+            const current = rounds[rounds.length - 1];
+            if (current && current[0].round === fixture.round) {
+                current.push(fixture);
+            } else {
+                rounds.push([fixture]);
+            }
+        }
+        return rounds;
+    }
+
+    run() {
+        const history = {};
+        const results = [];
+        const bets = [];
+        const equity = [{ bet: 0, time: null, bankroll: this.startingBankroll }];
+        const stakedByDay = new Map();
+        const streak = { wins: 0, losses: 0 };
+        let bankroll = this.startingBankroll;
+        let skippedByLimits = 0;
+
+        for (const round of this.rounds()) {
+            // Fair prices come from a model fitted on earlier rounds only, as they would have been live
+            const strengths = fitStrengths(results);
+            const card = round.filter(fixture => fixture.odds).map(fixture => {
+                const prediction = predictFixture(strengths, fixture.homeTeam, fixture.awayTeam);
+                return { ...fixture, fair: prediction ? { HOME: prediction.HOME, DRAW: prediction.DRAW, AWAY: prediction.AWAY } : null };
+            });
+            let stakedThisRound = 0;
+
+            const intents = card.length > 0
+                ? selectBets(this.strategyName, { fixtures: card, history, bankroll, streak: { ...streak } }, { ...this.strategyOptions, staking: this.staking })
+                : [];
+
+            for (const intent of intents) {
+                const fixture = intent.fixture;
+                const day = fixture.time !== null ? new Date(fixture.time).toISOString().slice(0, 10) : 'unknown';
+                const exposure = checkExposure(intent.stake, { matchday: stakedThisRound, day: stakedByDay.get(day) || 0 }, this.limits);
+                if (!exposure.allowed) {
+                    skippedByLimits++;
+                    continue;
+                }
+                stakedThisRound += intent.stake;
+                stakedByDay.set(day, (stakedByDay.get(day) || 0) + intent.stake);
+
+                const won = outcome(fixture) === intent.selection;
+                const payout = won ? multiplyMinor(intent.stake, intent.odds) : 0;
+                const profit = payout - intent.stake;
+                bankroll += profit;
+                streak.wins = won ? streak.wins + 1 : 0;
+                streak.losses = won ? 0 : streak.losses + 1;
+
+                const bet = {
+                    bet: bets.length + 1,
+                    time: fixture.time,
+                    round: fixture.round,
+                    homeTeam: fixture.homeTeam,
+                    awayTeam: fixture.awayTeam,
+                    score: `${fixture.homeScore}:${fixture.awayScore}`,
+                    selection: intent.selection,
+                    odds: intent.odds,
+                    stake: intent.stake,
+                    result: won ? 'WON' : 'LOST',
+                    profit,
+                    bankroll
+                };
+                bets.push(bet);
+                equity.push({ bet: bet.bet, time: bet.time, bankroll });
+            }
+
+            // Results only become history once the whole round is over
+            for (const fixture of round) {
+                recordResult(history, fixture.homeTeam, fixture.awayTeam, fixture.homeScore, fixture.awayScore);
+                results.push(fixture);
+            }
+        }
+
+        return { bets, equity, metrics: { ...this.summarize(bets), skippedByLimits } };
+    }
+
+    // ROI is profit over the starting bankroll; yield is profit over the total amount staked
+    summarize(bets) {
+        const wins = bets.filter(bet => bet.result === 'WON').length;
+        const staked = bets.reduce((total, bet) => total + bet.stake, 0);
+        const profit = bets.reduce((total, bet) => total + bet.profit, 0);
+
+        let peak = this.startingBankroll;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        let losingStreak = 0;
+        let longestLosingStreak = 0;
+
+        for (const bet of bets) {
+            peak = Math.max(peak, bet.bankroll);
+            const drawdown = peak - bet.bankroll;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPercent = peak > 0 ? drawdown / peak * 100 : 0;
+            }
+
+            losingStreak = bet.result === 'LOST' ? losingStreak + 1 : 0;
+            longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+        }
+
+        return {
+            fixtures: this.fixtures.length,
+            fixturesWithOdds: this.fixtures.filter(fixture => fixture.odds).length,
+            bets: bets.length,
+            wins,
+            losses: bets.length - wins,
+            hitRate: bets.length > 0 ? wins / bets.length * 100 : 0,
+            averageOdds: bets.length > 0 ? bets.reduce((total, bet) => total + bet.odds, 0) / bets.length : 0,
+            staked,
+            profit,
+            roi: this.startingBankroll > 0 ? profit / this.startingBankroll * 100 : 0,
+            yield: staked > 0 ? profit / staked * 100 : 0,
+            startingBankroll: this.startingBankroll,
+            finalBankroll: this.startingBankroll + profit,
+            maxDrawdown,
+            maxDrawdownPercent,
+            longestLosingStreak
+        };
+    }
+
+    async exportEquityCsv(bets, filename) {
+        const columns = ['bet', 'time', 'round', 'home_team', 'away_team', 'score', 'selection', 'odds', 'stake', 'result', 'profit', 'bankroll'];
+        let csv = columns.join(',') + '\n';
+
+        csv += [0, '', '', '', '', '', '', '', '', '', '', fromMinor(this.startingBankroll).toFixed(2)].join(',') + '\n';
+        for (const bet of bets) {
+            csv += [
+                bet.bet,
+                bet.time ? new Date(bet.time).toISOString() : '',
+                bet.round,
+                bet.homeTeam,
+                bet.awayTeam,
+                bet.score,
+                bet.selection,
+                bet.odds,
+                fromMinor(bet.stake).toFixed(2),
+                bet.result,
+                fromMinor(bet.profit).toFixed(2),
+                fromMinor(bet.bankroll).toFixed(2)
+            ].map(csvValue).join(',') + '\n';
+        }
+
+        await fs.writeFile(filename, csv);
+        return filename;
+    }
+}
+
+module.exports = Backtester;
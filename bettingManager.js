@@ -1,10 +1,17 @@
 // bettingManager.js - Handles betting operations
 const readline = require('readline');
 const BettingDatabase = require('./database');
+const { parseAmount, formatSignedMoney } = require('./money');
+const { listStrategies, selectBets, modelProbabilities, fixtureFromMatch } = require('./strategies');
+const { listPlans, getPlan, planOptionsFromValue, calculateStake } = require('./staking');
+const { expectedScore, HOME_ADVANTAGE } = require('./ratings');
+const { closingLineValue, formatPercent } = require('./oddsMovement');
+const { DEFAULTS } = require('./config');
 
 class BettingManager {
-    constructor() {
-        this.db = new BettingDatabase();
+    constructor(config = DEFAULTS) {
+        this.db = new BettingDatabase(config);
+        this.staking = { plan: 'flat' };
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
@@ -26,7 +33,9 @@ class BettingManager {
         console.log('6. Add Funds (Deposit)');
         console.log('7. Withdraw Funds');
         console.log('8. View Transaction History');
-        console.log('9. Exit\n');
+        console.log('9. Strategy Suggestions');
+        console.log('10. Model Fair Prices');
+        console.log('11. Exit\n');
     }
 
     async handleChoice(choice) {
@@ -56,6 +65,12 @@ class BettingManager {
                 await this.viewTransactionHistory();
                 break;
             case '9':
+                await this.viewStrategySuggestions();
+                break;
+            case '10':
+                await this.viewModelPrices();
+                break;
+            case '11':
                 console.log('\n👋 Goodbye!');
                 await this.db.close();
                 this.rl.close();
@@ -72,12 +87,12 @@ class BettingManager {
         if (summary) {
             console.log('\n💰 ACCOUNT SUMMARY');
             console.log('='.repeat(70));
-            console.log(`Current Balance: $${summary.account.balance.toFixed(2)}`);
+            console.log(`Current Balance: ${this.db.formatAmount(summary.account.balance)}`);
             console.log(`Total Bets: ${summary.totalBets}`);
             console.log(`Wins: ${summary.account.total_wins}`);
             console.log(`Losses: ${summary.account.total_losses}`);
             console.log(`Win Rate: ${summary.winRate}%`);
-            console.log(`Total Profit/Loss: $${summary.account.total_profit_loss.toFixed(2)}`);
+            console.log(`Total Profit/Loss: ${formatSignedMoney(summary.account.total_profit_loss, this.db.currency)}`);
 
             if (summary.recentBets.length > 0) {
                 console.log('\n📊 RECENT BETS:');
@@ -85,9 +100,9 @@ class BettingManager {
                 summary.recentBets.forEach(bet => {
                     const status = bet.status === 'WON' ? '✅' : bet.status === 'LOST' ? '❌' : '⏳';
                     console.log(`${status} Bet #${bet.bet_id}: ${bet.home_team} vs ${bet.away_team}`);
-                    console.log(`   Bet on: ${bet.team_bet_on} | Amount: $${bet.amount}`);
+                    console.log(`   Bet on: ${bet.team_bet_on} | Amount: ${this.db.formatAmount(bet.amount)}`);
                     console.log(`   Odds: ${bet.odds_taken} | Status: ${bet.status}`);
-                    console.log(`   Profit/Loss: $${bet.profit_loss.toFixed(2)}\n`);
+                    console.log(`   Profit/Loss: ${formatSignedMoney(bet.profit_loss, this.db.currency)}\n`);
                 });
             }
         }
@@ -107,13 +122,23 @@ class BettingManager {
             matches.forEach((match, index) => {
                 console.log(`${index + 1}. ${match.stage_name}: ${match.home_team} vs ${match.away_team}`);
                 console.log(`   Match ID: ${match.match_id}`);
-                console.log(`   Odds: Home ${match.home_odds || 'N/A'} | Draw ${match.draw_odds || 'N/A'} | Away ${match.away_odds || 'N/A'}\n`);
+                console.log(`   Odds: Home ${match.home_odds || 'N/A'} | Draw ${match.draw_odds || 'N/A'} | Away ${match.away_odds || 'N/A'}`);
+                console.log(`   Elo: ${match.home_rating.toFixed(0)} vs ${match.away_rating.toFixed(0)}${this.describeEloVsMarket(match)}\n`);
             });
         }
 
         await this.pressEnterToContinue();
     }
 
+    // Elo's expected score against the market's home share once the draw is taken out
+    describeEloVsMarket(match) {
+        if (!match.home_odds || !match.away_odds) return '';
+
+        const elo = expectedScore(match.home_rating + HOME_ADVANTAGE, match.away_rating);
+        const market = (1 / match.home_odds) / (1 / match.home_odds + 1 / match.away_odds);
+        return ` | home expectancy Elo ${(elo * 100).toFixed(1)}% vs market ${(market * 100).toFixed(1)}%`;
+    }
+
     async placeBet() {
         try {
             console.log('\n💰 PLACE A BET');
@@ -168,11 +193,15 @@ class BettingManager {
                     return;
             }
 
-            // Get amount
-            const amountStr = await this.question('Bet amount: $');
-            const amount = parseFloat(amountStr);
+            // Get amount, offering the staking plan's suggestion as the default
+            const suggested = await this.suggestStake(selectedMatch, teamBetOn);
+            const prompt = suggested > 0
+                ? `Bet amount (Enter for ${this.db.formatAmount(suggested)} from ${this.staking.plan} staking): $`
+                : 'Bet amount: $';
+            const amountStr = await this.question(prompt);
+            const amount = amountStr.trim() === '' && suggested > 0 ? suggested : parseAmount(amountStr);
 
-            if (isNaN(amount) || amount <= 0) {
+            if (amount === null) {
                 console.log('❌ Invalid amount');
                 return;
             }
@@ -181,18 +210,24 @@ class BettingManager {
             console.log('\n📋 BET CONFIRMATION:');
             console.log(`Match: ${selectedMatch.home_team} vs ${selectedMatch.away_team}`);
             console.log(`Bet on: ${teamBetOn}`);
-            console.log(`Amount: $${amount}`);
+            console.log(`Amount: ${this.db.formatAmount(amount)}`);
 
             const confirm = await this.question('Confirm bet? (yes/no): ');
 
             if (confirm.toLowerCase() === 'yes') {
-                const betData = {
-                    match_id: selectedMatch.match_id,
-                    team_bet_on: teamBetOn,
+                const result = await this.db.placeBet({
+                    matchId: selectedMatch.match_id,
+                    selection: teamBetOn,
                     amount: amount
-                };
+                });
 
-                await this.db.placeBet(betData);
+                if (result.success) {
+                    console.log(`\n✅ Bet #${result.betId} placed at odds ${result.odds}`);
+                    console.log(`   Potential Win: ${this.db.formatAmount(result.potentialWin)}`);
+                    console.log(`   New Balance: ${this.db.formatAmount(result.balance)}`);
+                } else {
+                    console.log(`\n❌ Bet not placed: ${result.error}`);
+                }
             } else {
                 console.log('Bet cancelled');
             }
@@ -204,6 +239,171 @@ class BettingManager {
         await this.pressEnterToContinue();
     }
 
+    async viewStrategySuggestions() {
+        console.log('\n🧠 STRATEGY SUGGESTIONS');
+        console.log('='.repeat(70));
+
+        const strategies = listStrategies();
+        strategies.forEach((strategy, index) => {
+            console.log(`${index + 1}. ${strategy.name} - ${strategy.description}`);
+        });
+
+        const strategyChoice = parseInt(await this.question(`\nSelect strategy (1-${strategies.length}): `)) - 1;
+        if (isNaN(strategyChoice) || strategyChoice < 0 || strategyChoice >= strategies.length) {
+            console.log('❌ Invalid strategy selection');
+            return;
+        }
+
+        if (!(await this.chooseStakingPlan())) return;
+
+        const matches = await this.db.getScheduledMatchesForBetting();
+        const summary = await this.db.getAccountSummary();
+        const intents = selectBets(strategies[strategyChoice].name, {
+            fixtures: matches.map(fixtureFromMatch),
+            history: await this.db.getTeamHistory(),
+            bankroll: summary ? summary.account.balance : 0,
+            streak: await this.db.getBetStreak()
+        }, { staking: this.staking });
+
+        if (intents.length === 0) {
+            console.log(`\nNo bets suggested across ${matches.length} upcoming match(es)`);
+            await this.pressEnterToContinue();
+            return;
+        }
+
+        for (const intent of intents) {
+            const { fixture } = intent;
+            console.log(`\n🎲 ${fixture.stage}: ${fixture.homeTeam} vs ${fixture.awayTeam}`);
+            console.log(`   Back ${intent.selection} at ${intent.odds} for ${this.db.formatAmount(intent.stake)}`);
+            console.log(`   Why: ${intent.reason}`);
+
+            const confirm = await this.question('Place this bet? (yes/no): ');
+            if (confirm.toLowerCase() !== 'yes') continue;
+
+            const result = await this.db.placeBet({
+                matchId: fixture.matchId,
+                selection: intent.selection,
+                amount: intent.stake,
+                odds: intent.odds
+            });
+
+            if (result.success) {
+                console.log(`✅ Bet #${result.betId} placed. New Balance: ${this.db.formatAmount(result.balance)}`);
+            } else {
+                console.log(`❌ Bet not placed: ${result.error}`);
+            }
+        }
+
+        await this.pressEnterToContinue();
+    }
+
+    // The chosen plan is remembered for the stake suggestion in Place a Bet
+    async chooseStakingPlan() {
+        const plans = listPlans();
+        console.log('\nStaking plans:');
+        plans.forEach((plan, index) => {
+            console.log(`${index + 1}. ${plan.name} - ${plan.description}`);
+        });
+
+        const current = plans.findIndex(plan => plan.name === this.staking.plan) + 1;
+        const planStr = await this.question(`Select staking plan (1-${plans.length}, Enter for ${this.staking.plan}): `);
+        const planChoice = planStr.trim() === '' ? current - 1 : parseInt(planStr) - 1;
+        if (isNaN(planChoice) || planChoice < 0 || planChoice >= plans.length) {
+            console.log('❌ Invalid staking plan');
+            return false;
+        }
+
+        const plan = plans[planChoice];
+        const { parameter } = getPlan(plan.name);
+        const valueStr = await this.question(`${parameter.name} (blank for default): ${parameter.money ? '$' : ''}`);
+        if (valueStr.trim() === '') {
+            this.staking = plan.name === this.staking.plan ? this.staking : { plan: plan.name };
+            return true;
+        }
+
+        const staking = planOptionsFromValue(plan.name, valueStr);
+        if (!staking) {
+            console.log(`❌ Invalid ${parameter.name}`);
+            return false;
+        }
+        this.staking = staking;
+        return true;
+    }
+
+    // match is a getScheduledMatches() row; 0 when the plan has nothing to suggest (e.g. Kelly without an edge)
+    async suggestStake(match, selection) {
+        try {
+            const odds = { HOME: match.home_odds, DRAW: match.draw_odds, AWAY: match.away_odds }[selection];
+            if (!(odds > 1)) return 0;
+
+            const summary = await this.db.getAccountSummary();
+            const probabilities = modelProbabilities({
+                homeTeam: match.home_team,
+                awayTeam: match.away_team,
+                odds: { HOME: match.home_odds, DRAW: match.draw_odds, AWAY: match.away_odds }
+            }, await this.db.getTeamHistory());
+
+            return calculateStake(this.staking, {
+                balance: summary ? summary.account.balance : 0,
+                odds,
+                probability: probabilities ? probabilities[selection] : undefined,
+                streak: await this.db.getBetStreak()
+            });
+        } catch (error) {
+            console.log('⚠️  Could not suggest a stake:', error.message);
+            return 0;
+        }
+    }
+
+    async viewModelPrices() {
+        console.log('\n🧮 POISSON MODEL FAIR PRICES');
+        console.log('='.repeat(70));
+
+        const updated = await this.db.updatePredictions();
+        const predictions = await this.db.getPredictions();
+
+        if (updated === 0 || predictions.length === 0) {
+            console.log('No predictions yet - the model needs completed matches and scheduled fixtures with odds');
+            await this.pressEnterToContinue();
+            return;
+        }
+
+        console.log(`Fitted on ${predictions[0].matches_fitted} completed match(es)\n`);
+
+        const price = probability => probability > 0 ? (1 / probability).toFixed(2) : 'N/A';
+        const offered = odds => odds ? String(odds) : 'N/A';
+
+        predictions.forEach(prediction => {
+            const goalLine = prediction.goal_lines['2.5'];
+            const topScores = prediction.correct_scores.slice(0, 3)
+                .map(score => `${score.score} (${(score.probability * 100).toFixed(1)}%)`)
+                .join(', ');
+
+            console.log(`${prediction.stage_name}: ${prediction.home_team} vs ${prediction.away_team}`);
+            console.log(`   Expected goals: ${prediction.expected_home_goals.toFixed(2)} - ${prediction.expected_away_goals.toFixed(2)}`);
+            console.log(`   Fair:    H ${price(prediction.home_prob)} | D ${price(prediction.draw_prob)} | A ${price(prediction.away_prob)}`);
+            console.log(`   Offered: H ${offered(prediction.home_odds)} | D ${offered(prediction.draw_odds)} | A ${offered(prediction.away_odds)}`);
+            if (goalLine) {
+                console.log(`   Over/Under 2.5: ${price(goalLine.over)} / ${price(goalLine.under)}`);
+            }
+            console.log(`   Likeliest scores: ${topScores}\n`);
+        });
+
+        const alerts = await this.db.getValueAlerts(10);
+        if (alerts.length > 0) {
+            console.log('💎 LATEST VALUE ALERTS');
+            console.log('-'.repeat(70));
+            alerts.forEach(alert => {
+                const outcome = alert.status === 'BET' ? `bet #${alert.bet_id}` : alert.status.toLowerCase();
+                console.log(`${alert.created_at} ${alert.home_team} vs ${alert.away_team} → ${alert.selection} @ ${alert.offered_odds} ` +
+                    `(fair ${alert.fair_odds.toFixed(2)}, edge ${(alert.edge * 100).toFixed(1)}%, ${alert.model} v${alert.model_version}) ${outcome}`);
+            });
+            console.log('');
+        }
+
+        await this.pressEnterToContinue();
+    }
+
     async viewBetHistory() {
         const bets = await this.db.query(`
             SELECT b.*, ht.team_name as home_team, at.team_name as away_team,
@@ -223,6 +423,7 @@ class BettingManager {
             console.log('No bets found');
         } else {
             let totalProfitLoss = 0;
+            const clvs = [];
 
             bets.forEach(bet => {
                 const statusIcon = bet.status === 'WON' ? '✅' :
@@ -231,17 +432,76 @@ class BettingManager {
                 console.log(`${statusIcon} Bet #${bet.bet_id}`);
                 console.log(`   Match: ${bet.home_team} vs ${bet.away_team} (${bet.stage_name})`);
                 console.log(`   Bet on: ${bet.team_bet_on} | Odds: ${bet.odds_taken}`);
-                console.log(`   Amount: $${bet.amount} | Potential Win: $${bet.potential_win.toFixed(2)}`);
+                console.log(`   Amount: ${this.db.formatAmount(bet.amount)} | Potential Win: ${this.db.formatAmount(bet.potential_win)}`);
                 console.log(`   Status: ${bet.status} | Placed: ${bet.placed_at}`);
 
                 if (bet.status !== 'PENDING') {
-                    console.log(`   Actual Win: $${bet.actual_win.toFixed(2)} | Profit/Loss: $${bet.profit_loss.toFixed(2)}`);
+                    console.log(`   Actual Win: ${this.db.formatAmount(bet.actual_win)} | Profit/Loss: ${formatSignedMoney(bet.profit_loss, this.db.currency)}`);
                     totalProfitLoss += bet.profit_loss;
                 }
+                if (bet.clv !== null && bet.clv !== undefined) {
+                    console.log(`   Closing odds: ${bet.closing_odds} | CLV: ${formatPercent(bet.clv)}`);
+                    clvs.push(bet.clv);
+                }
                 console.log('');
             });
 
-            console.log(`📊 TOTAL PROFIT/LOSS: $${totalProfitLoss.toFixed(2)}`);
+            console.log(`📊 TOTAL PROFIT/LOSS: ${formatSignedMoney(totalProfitLoss, this.db.currency)}`);
+            if (clvs.length > 0) {
+                const averageClv = clvs.reduce((total, clv) => total + clv, 0) / clvs.length;
+                const beatClose = clvs.filter(clv => clv > 0).length;
+                console.log(`📈 AVERAGE CLV: ${formatPercent(averageClv)} (beat the closing price on ${beatClose} of ${clvs.length} bet(s))`);
+            }
+
+            const betId = parseInt(await this.question('\nBet # for its odds movement (Enter to go back): '));
+            const bet = bets.find(b => b.bet_id === betId);
+            if (bet) {
+                await this.viewBetOddsMovement(bet);
+                return;
+            }
+        }
+
+        await this.pressEnterToContinue();
+    }
+
+    async viewBetOddsMovement(bet) {
+        console.log(`\n📈 ODDS MOVEMENT - Bet #${bet.bet_id}: ${bet.home_team} vs ${bet.away_team} (${bet.stage_name})`);
+        console.log('='.repeat(70));
+
+        const movement = await this.db.getOddsMovement(bet.match_id);
+        if (!movement) {
+            console.log('No pre-match odds were recorded for this match');
+            await this.pressEnterToContinue();
+            return;
+        }
+
+        console.log(`${movement.snapshots} snapshot(s), ${movement.changes} price change(s), from ${movement.firstSeen} to ${movement.lastSeen}\n`);
+        console.log('Selection'.padEnd(12) + 'Open'.padEnd(8) + 'Close'.padEnd(8) + 'Min'.padEnd(8) + 'Max'.padEnd(8) + 'Changes'.padEnd(9) + 'Drift');
+        console.log('-'.repeat(70));
+
+        for (const [outcome, selection] of Object.entries(movement.selections)) {
+            const marker = outcome === bet.team_bet_on ? ' ←' : '';
+            if (!selection) {
+                console.log(outcome.padEnd(12) + 'no prices' + marker);
+                continue;
+            }
+            console.log(
+                outcome.padEnd(12) +
+                selection.opening.toFixed(2).padEnd(8) +
+                selection.closing.toFixed(2).padEnd(8) +
+                selection.min.toFixed(2).padEnd(8) +
+                selection.max.toFixed(2).padEnd(8) +
+                String(selection.changes).padEnd(9) +
+                `${selection.drift} (${formatPercent(selection.movePercent)})${marker}`
+            );
+        }
+
+        const selection = movement.selections[bet.team_bet_on];
+        if (selection) {
+            // Pending bets are measured against the latest price, which becomes the close at kick-off
+            const label = bet.status === 'PENDING' ? 'CLV so far' : 'CLV';
+            console.log(`\nBet on ${bet.team_bet_on} at ${bet.odds_taken}, closing price ${selection.closing.toFixed(2)}`);
+            console.log(`${label}: ${formatPercent(closingLineValue(bet.odds_taken, selection.closing))}`);
         }
 
         await this.pressEnterToContinue();
@@ -294,35 +554,23 @@ class BettingManager {
         console.log('='.repeat(70));
 
         const amountStr = await this.question('Deposit amount: $');
-        const amount = parseFloat(amountStr);
+        const amount = parseAmount(amountStr);
 
-        if (isNaN(amount) || amount <= 0) {
+        if (amount === null) {
             console.log('❌ Invalid amount');
             return;
         }
 
-        // Get current balance
-        const account = await this.db.query('SELECT balance FROM account WHERE account_id = 1');
-        const currentBalance = account[0].balance;
-        const newBalance = currentBalance + amount;
-
-        // Update account
-        await this.db.runQuery(
-            'UPDATE account SET balance = ?, total_deposits = total_deposits + ?, updated_at = CURRENT_TIMESTAMP WHERE account_id = 1',
-            [newBalance, amount]
-        );
-
-        // Record transaction
-        await this.db.runQuery(
-            `INSERT INTO transactions (type, amount, balance_before, balance_after, description) 
-             VALUES ('DEPOSIT', ?, ?, ?, ?)`,
-            [amount, currentBalance, newBalance, 'Manual deposit']
-        );
+        const result = await this.db.addFunds(amount, 'Manual deposit');
+        if (!result.success) {
+            console.log(`❌ Deposit failed: ${result.error}`);
+            return;
+        }
 
         console.log(`\n✅ Deposit successful!`);
-        console.log(`   Deposited: $${amount.toFixed(2)}`);
-        console.log(`   Previous Balance: $${currentBalance.toFixed(2)}`);
-        console.log(`   New Balance: $${newBalance.toFixed(2)}`);
+        console.log(`   Deposited: ${this.db.formatAmount(result.amount)}`);
+        console.log(`   Previous Balance: ${this.db.formatAmount(result.balanceBefore)}`);
+        console.log(`   New Balance: ${this.db.formatAmount(result.balance)}`);
 
         await this.pressEnterToContinue();
     }
@@ -332,41 +580,23 @@ class BettingManager {
         console.log('='.repeat(70));
 
         const amountStr = await this.question('Withdrawal amount: $');
-        const amount = parseFloat(amountStr);
+        const amount = parseAmount(amountStr);
 
-        if (isNaN(amount) || amount <= 0) {
+        if (amount === null) {
             console.log('❌ Invalid amount');
             return;
         }
 
-        // Get current balance
-        const account = await this.db.query('SELECT balance FROM account WHERE account_id = 1');
-        const currentBalance = account[0].balance;
-
-        if (currentBalance < amount) {
-            console.log(`❌ Insufficient balance. Current: $${currentBalance.toFixed(2)}`);
+        const result = await this.db.withdrawFunds(amount, 'Manual withdrawal');
+        if (!result.success) {
+            console.log(`❌ ${result.error}`);
             return;
         }
 
-        const newBalance = currentBalance - amount;
-
-        // Update account
-        await this.db.runQuery(
-            'UPDATE account SET balance = ?, total_withdrawals = total_withdrawals + ?, updated_at = CURRENT_TIMESTAMP WHERE account_id = 1',
-            [newBalance, amount]
-        );
-
-        // Record transaction
-        await this.db.runQuery(
-            `INSERT INTO transactions (type, amount, balance_before, balance_after, description) 
-             VALUES ('WITHDRAWAL', ?, ?, ?, ?)`,
-            [amount, currentBalance, newBalance, 'Manual withdrawal']
-        );
-
         console.log(`\n✅ Withdrawal successful!`);
-        console.log(`   Withdrawn: $${amount.toFixed(2)}`);
-        console.log(`   Previous Balance: $${currentBalance.toFixed(2)}`);
-        console.log(`   New Balance: $${newBalance.toFixed(2)}`);
+        console.log(`   Withdrawn: ${this.db.formatAmount(result.amount)}`);
+        console.log(`   Previous Balance: ${this.db.formatAmount(result.balanceBefore)}`);
+        console.log(`   New Balance: ${this.db.formatAmount(result.balance)}`);
 
         await this.pressEnterToContinue();
     }
@@ -390,10 +620,9 @@ class BettingManager {
             console.log('No transactions found');
         } else {
             transactions.forEach(trans => {
-                const sign = trans.type.includes('WON') || trans.type === 'DEPOSIT' ? '+' : '-';
                 console.log(`[${trans.transaction_date}] ${trans.type}`);
-                console.log(`   Amount: ${sign}$${Math.abs(trans.amount).toFixed(2)}`);
-                console.log(`   Balance: $${trans.balance_before.toFixed(2)} → $${trans.balance_after.toFixed(2)}`);
+                console.log(`   Amount: ${formatSignedMoney(this.db.ledgerEffect(trans), this.db.currency)}`);
+                console.log(`   Balance: ${this.db.formatAmount(trans.balance_before)} → ${this.db.formatAmount(trans.balance_after)}`);
 
                 if (trans.bet_id && trans.home_team) {
                     console.log(`   Match: ${trans.home_team} vs ${trans.away_team} (Bet on: ${trans.team_bet_on})`);
@@ -428,7 +657,7 @@ class BettingManager {
             console.clear();
             await this.showMenu();
 
-            const choice = await this.question('Enter your choice (1-9): ');
+            const choice = await this.question('Enter your choice (1-11): ');
             await this.handleChoice(choice);
         }
     }
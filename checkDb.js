@@ -1,12 +1,31 @@
 // checkDb.js - Quick Database Status Check
 const sqlite3 = require('sqlite3').verbose();
+const BettingDatabase = require('./database');
+const { formatMoney } = require('./money');
+const { cliConfig } = require('./config');
 
-async function checkDatabase() {
-    const db = new sqlite3.Database('./virtual_football_betting.db');
+const config = cliConfig();
 
+async function checkDatabase() {
     console.log('\n📊 DATABASE QUICK CHECK');
     console.log('='.repeat(70));
 
+    // Before v4 balances were floats, which the money formatting below would read as minor units
+    try {
+        const pending = await pendingMigrations();
+        if (pending.length > 0) {
+            console.error(`❌ Database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+            process.exitCode = 1;
+            return;
+        }
+    } catch (error) {
+        console.error('❌ Database check failed:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(config.database.path);
+
     try {
         // Check all tables
         const tables = await query(db, `
@@ -27,7 +46,7 @@ async function checkDatabase() {
         const account = await query(db, 'SELECT * FROM account WHERE account_id = 1');
         if (account[0]) {
             console.log('\n💰 ACCOUNT STATUS:');
-            console.log(`   Balance: $${account[0].balance.toFixed(2)}`);
+            console.log(`   Balance: ${formatMoney(account[0].balance, account[0].currency)}`);
             console.log(`   Wins/Losses: ${account[0].total_wins}/${account[0].total_losses}`);
         }
 
@@ -58,7 +77,17 @@ async function checkDatabase() {
         const sizeMB = (dbStats[0].size_bytes / (1024 * 1024)).toFixed(2);
         console.log(`\n💾 DATABASE SIZE: ${sizeMB} MB`);
 
-        console.log('\n✅ Database is healthy and operational!\n');
+        // Only call the database healthy when the ledger actually adds up
+        const audit = await auditLedger();
+        if (audit.healthy) {
+            console.log(`\n🧾 LEDGER: ${audit.transactionCount} transactions reconcile with the account`);
+            console.log('\n✅ Database is healthy and operational!\n');
+        } else {
+            console.log(`\n🧾 LEDGER: ${audit.issues.length} discrepancy(ies) found`);
+            audit.issues.slice(0, 5).forEach(issue => console.log(`   [${issue.category}] ${issue.message}`));
+            console.log('\n⚠️  Database needs attention - run "node reconcile.js" for the full report\n');
+            process.exitCode = 1;
+        }
 
     } catch (error) {
         console.error('❌ Database check failed:', error.message);
@@ -67,6 +96,26 @@ async function checkDatabase() {
     }
 }
 
+async function pendingMigrations() {
+    const bettingDB = new BettingDatabase(config);
+    await bettingDB.connect();
+    try {
+        return await bettingDB.getPendingMigrations();
+    } finally {
+        await bettingDB.close();
+    }
+}
+
+async function auditLedger() {
+    const bettingDB = new BettingDatabase(config);
+    await bettingDB.connect();
+    try {
+        return await bettingDB.auditLedger();
+    } finally {
+        await bettingDB.close();
+    }
+}
+
 function query(db, sql, params = []) {
     return new Promise((resolve, reject) => {
         db.all(sql, params, (err, rows) => {
@@ -0,0 +1,361 @@
+// config.js - Settings shared by the scraper and the tools, layered: defaults -> config file -> environment -> flags
+// The config file is config.json, config.yaml or config.yml in the working directory, or the file named by
+// --config / VF_CONFIG. Each setting in SETTINGS can also be set with its environment variable or command-line
+// flag; later layers win. Any entry point run with --print-config shows the resolved values and their source.
+// Settings marked optional take "off" (null) to disable them, e.g. --daily-loss off.
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+const SETTINGS = [
+    { key: 'site.url', type: 'url', default: 'https://linebet.com/en/virtualsports?product=266&game=123472', env: 'VF_URL', flag: '--url', description: 'Virtual football game page' },
+    { key: 'site.loginUrl', type: 'url', default: 'https://linebet.com/en/', env: 'VF_LOGIN_URL', flag: '--login-url', description: 'Page used for the fallback login' },
+    { key: 'browser.headless', type: 'boolean', default: false, env: 'VF_HEADLESS', flag: '--headless', description: 'Run Chromium without a window (always on in replay mode)' },
+    { key: 'browser.slowMo', type: 'integer', min: 0, default: 100, env: 'VF_SLOW_MO', flag: '--slow-mo', description: 'Delay in ms added to every browser action' },
+    { key: 'browser.persistSession', type: 'boolean', default: true, env: 'VF_PERSIST_SESSION', flag: '--persist-session', description: 'Reuse cookies between runs (--no-persist-session to log in afresh)' },
+    { key: 'browser.sessionFile', type: 'path', default: './session.json', env: 'VF_SESSION_FILE', flag: '--session-file', description: 'Where the saved cookies and localStorage are kept' },
+    { key: 'scraper.cycleInterval', type: 'integer', min: 1000, default: 30000, env: 'VF_CYCLE_INTERVAL', flag: '--cycle-interval', description: 'Pause in ms between scrape cycles' },
+    { key: 'scraper.bettingCheckInterval', type: 'integer', min: 1000, default: 60000, env: 'VF_BETTING_CHECK_INTERVAL', flag: '--betting-check-interval', description: 'Minimum ms between strategy and value-bet checks' },
+    { key: 'scraper.marketRefreshInterval', type: 'integer', min: 1000, default: 60000, env: 'VF_MARKET_REFRESH_INTERVAL', flag: '--market-refresh-interval', description: 'Minimum ms between reads of one fixture\'s market list' },
+    { key: 'scraper.captureMarkets', type: 'boolean', default: true, env: 'VF_MARKETS', flag: '--markets', description: 'Also read every fixture\'s full market list, not just the 1X2 prices (--no-markets for 1X2 only)' },
+    { key: 'scraper.selectorsFile', type: 'path', default: null, example: './my-selectors.json', env: 'VF_SELECTORS', flag: '--selectors', description: 'JSON file whose entries replace the selectors.json defaults by name' },
+    { key: 'daemon.enabled', type: 'boolean', default: false, env: 'VF_DAEMON', flag: '--daemon', description: 'Unattended: headless, no prompts, PID file and automatic restarts' },
+    { key: 'daemon.pidFile', type: 'path', default: './scraper.pid', env: 'VF_PID_FILE', flag: '--pid-file', description: 'PID/lock file written in daemon mode' },
+    { key: 'daemon.maxRestarts', type: 'integer', min: 0, default: 5, env: 'VF_MAX_RESTARTS', flag: '--max-restarts', description: 'Browser restarts in a row before the daemon gives up' },
+    { key: 'daemon.restartDelay', type: 'integer', min: 1000, default: 5000, env: 'VF_RESTART_DELAY', flag: '--restart-delay', description: 'Wait in ms before the first restart; doubles on each further one' },
+    { key: 'daemon.maxRestartDelay', type: 'integer', min: 1000, default: 300000, env: 'VF_MAX_RESTART_DELAY', flag: '--max-restart-delay', description: 'Longest wait in ms between restarts' },
+    { key: 'daemon.missingFrameCycles', type: 'integer', min: 1, default: 3, env: 'VF_MISSING_FRAME_CYCLES', flag: '--missing-frame-cycles', description: 'Cycles without the game iframe before the browser is restarted' },
+    { key: 'files.results', type: 'path', default: 'leap_results_with_odds.json', env: 'VF_RESULTS_FILE', flag: '--results-file', description: 'JSON file the scraped results are appended to' },
+    { key: 'files.odds', type: 'path', default: 'betting_odds_data.json', env: 'VF_ODDS_FILE', flag: '--odds-file', description: 'JSON file the scraped odds are appended to' },
+    { key: 'database.path', type: 'path', default: './virtual_football_betting.db', env: 'VF_DB', flag: '--db', description: 'Betting database' },
+    { key: 'database.matchesPath', type: 'path', default: './matches.db', env: 'VF_MATCHES_DB', flag: '--matches-db', description: 'Legacy match_results database' },
+    { key: 'credentials.source', type: 'choice', choices: ['auto', 'env', 'vault', 'prompt'], default: 'auto', env: 'VF_CREDENTIALS', flag: '--credentials', description: 'Where the login comes from (auto tries env, vault, prompt)' },
+    { key: 'credentials.vaultFile', type: 'path', default: './credentials.vault', env: 'VF_VAULT', flag: '--vault', description: 'Encrypted credentials vault (node vault.js create)' },
+    { key: 'account.initialBalance', type: 'amount', default: 1000, env: 'VF_INITIAL_BALANCE', flag: '--initial-balance', description: 'Opening balance of a new simulated account' },
+    { key: 'betting.strategy', type: 'choice', choices: ['favourite', 'underdog', 'value-vs-model', 'poisson-value', 'draw-hunter'], default: 'favourite', env: 'VF_STRATEGY', flag: '--strategy', description: 'Strategy choosing the bets (strategies.js)' },
+    { key: 'betting.staking', type: 'choice', choices: ['flat', 'percent', 'kelly', 'martingale', 'anti-martingale', 'fixed-profit'], default: 'flat', env: 'VF_STAKING', flag: '--staking', description: 'Staking plan (staking.js)' },
+    { key: 'betting.stake', type: 'number', default: null, example: 25, env: 'VF_STAKE', flag: '--stake', description: 'Main value of the staking plan, e.g. the amount for flat or the percentage for percent' },
+    { key: 'betting.autoBet', type: 'boolean', default: false, env: 'VF_AUTO_BET', flag: '--auto-bet', description: 'Let the strategy place bets in the simulated account' },
+    { key: 'betting.valueEdge', type: 'fraction', default: 0.05, env: 'VF_VALUE_EDGE', flag: '--value-edge', description: 'Edge over the model\'s fair price that raises a value-bet alert (0.08 = 8%)' },
+    { key: 'betting.valueAutoBet', type: 'boolean', default: false, env: 'VF_VALUE_AUTO_BET', flag: '--value-auto-bet', description: 'Back every value-bet alert in the simulated account' },
+    { key: 'guards.dailyLossLimit', type: 'amount', optional: true, default: 200, env: 'VF_DAILY_LOSS', flag: '--daily-loss', description: 'Pause auto-betting once today\'s loss reaches this' },
+    { key: 'guards.profitTarget', type: 'amount', optional: true, default: 300, env: 'VF_PROFIT_TARGET', flag: '--profit-target', description: 'Pause auto-betting once today\'s profit reaches this' },
+    { key: 'guards.maxConsecutiveLosses', type: 'integer', min: 1, optional: true, default: 4, env: 'VF_MAX_LOSSES', flag: '--max-losses', description: 'Pause auto-betting after this many losses in a row today' },
+    { key: 'guards.coolDownMinutes', type: 'number', optional: true, default: 5, env: 'VF_COOL_DOWN', flag: '--cool-down', description: 'Minutes without auto-bets after a loss' },
+    { key: 'guards.maxOpenBets', type: 'integer', min: 1, optional: true, default: 3, env: 'VF_MAX_OPEN_BETS', flag: '--max-open-bets', description: 'Unsettled bets allowed at once' },
+    { key: 'limits.maxPerBet', type: 'amount', optional: true, default: 100, env: 'VF_MAX_PER_BET', flag: '--max-per-bet', description: 'Largest single stake' },
+    { key: 'limits.maxPerMatchday', type: 'amount', optional: true, default: 250, env: 'VF_MAX_PER_MATCHDAY', flag: '--max-per-matchday', description: 'Most staked on one matchday' },
+    { key: 'limits.maxPerDay', type: 'amount', optional: true, default: 1000, env: 'VF_MAX_PER_DAY', flag: '--max-per-day', description: 'Most staked in one (UTC) day' },
+    { key: 'capture.enabled', type: 'boolean', default: false, env: 'VF_CAPTURE', flag: '--capture', description: 'Archive the game iframe\'s DOM every cycle, for --replay' },
+    { key: 'capture.dir', type: 'path', default: './snapshots', env: 'VF_CAPTURE_DIR', flag: '--capture-dir', description: 'Where captured snapshots are written' },
+    { key: 'capture.limit', type: 'integer', min: 1, default: 500, env: 'VF_CAPTURE_LIMIT', flag: '--capture-limit', description: 'Snapshots kept; the oldest are deleted beyond this' },
+    { key: 'replay.dir', type: 'path', default: null, example: './snapshots', env: 'VF_REPLAY', flag: '--replay', description: 'Replay captured snapshots from this directory instead of the live site' },
+    { key: 'replay.outputDir', type: 'path', default: './replay-output', env: 'VF_REPLAY_OUTPUT', flag: '--replay-output', description: 'Where a replay keeps its own databases and JSON files' }
+];
+
+function setIn(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = node[part];
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+function buildDefaults() {
+    const defaults = {};
+    SETTINGS.forEach(setting => setIn(defaults, setting.key, setting.default));
+    return defaults;
+}
+
+const DEFAULTS = buildDefaults();
+
+// raw is a string from the environment or a flag, or a value from the config file; throws with the reason
+function coerce(setting, raw) {
+    const text = String(raw).trim();
+    if (setting.optional && /^off$/i.test(text)) return null;
+
+    switch (setting.type) {
+        case 'boolean':
+            if (typeof raw === 'boolean') return raw;
+            if (/^(true|yes|on|1)$/i.test(text)) return true;
+            if (/^(false|no|off|0)$/i.test(text)) return false;
+            throw new Error('must be true or false');
+
+        case 'integer': {
+            const value = Number(text);
+            if (!Number.isInteger(value) || text === '') throw new Error('must be a whole number');
+            if (value < setting.min) throw new Error(`must be at least ${setting.min}`);
+            return value;
+        }
+
+        case 'amount': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || text === '' || value <= 0) throw new Error('must be a positive amount');
+            return value;
+        }
+
+        case 'number': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || text === '' || value <= 0) throw new Error('must be a positive number');
+            return value;
+        }
+
+        case 'fraction': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || text === '' || value < 0 || value >= 1) throw new Error('must be a fraction from 0 up to 1, e.g. 0.08');
+            return value;
+        }
+
+        case 'choice':
+            if (!setting.choices.includes(text)) throw new Error(`must be one of ${setting.choices.join(', ')}`);
+            return text;
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(text);
+            } catch (error) {
+                throw new Error('must be a full http(s) URL');
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('must be a full http(s) URL');
+            return text;
+        }
+
+        default:
+            if (typeof raw === 'object' || text === '') throw new Error('must be a non-empty string');
+            return text;
+    }
+}
+
+function parseScalar(text) {
+    if (/^".*"$/.test(text) || /^'.*'$/.test(text)) return text.slice(1, -1);
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^(null|~)?$/i.test(text)) return null;
+    if (/^[+-]?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+// The value after "key:" without its trailing comment. A # only starts a comment outside quotes, and a quoted
+// value has to end at its closing quote - escaped quotes are rejected rather than misread.
+function stripComment(value, where) {
+    const quote = value[0];
+    if (quote === '"' || quote === "'") {
+        const end = value.indexOf(quote, 1);
+        if (end === -1 || !/^(\s+#.*)?$/.test(value.slice(end + 1))) {
+            throw new Error(`${where}: a quoted value must end with its closing quote (only a # comment may follow it)`);
+        }
+        return value.slice(0, end + 1);
+    }
+    return value.replace(/(^|\s)#.*$/, '').replace(/\s+$/, '');
+}
+
+// Enough YAML for a settings file: nested mappings of scalars, comments and blank lines. Lists, anchors and
+// multi-line strings are rejected rather than misread.
+function parseYaml(text, file) {
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/\s+$/, '');
+        if (!line.trim() || line.trim() === '---' || line.trim().startsWith('#')) return;
+
+        const where = `${file} line ${index + 1}`;
+        const match = line.match(/^(\s*)([A-Za-z0-9_.-]+)\s*:(?:\s+(.*))?$/);
+        if (!match) {
+            throw new Error(`${where}: expected "key: value" (lists and multi-line values are not supported)`);
+        }
+        const [, spaces, key] = match;
+        const value = match[3] === undefined ? '' : stripComment(match[3], where);
+        const indent = spaces.length;
+
+        while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+        const parent = stack[stack.length - 1].node;
+
+        if (value === '') {
+            parent[key] = {};
+            stack.push({ indent, node: parent[key] });
+        } else if (/^[[{&*|>]/.test(value)) {
+            throw new Error(`${where}: only plain values are supported for "${key}"`);
+        } else {
+            parent[key] = parseScalar(value);
+        }
+    });
+
+    return root;
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.yaml' || extension === '.yml') {
+        return parseYaml(text, file);
+    }
+    if (extension === '.json') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+    }
+    throw new Error(`Config file ${file} must be .json, .yaml or .yml`);
+}
+
+// { section: { name: value } } -> { 'section.name': value }
+function flatten(object, prefix = '') {
+    const values = {};
+    for (const [name, value] of Object.entries(object || {})) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(values, flatten(value, key));
+        } else {
+            values[key] = value;
+        }
+    }
+    return values;
+}
+
+function flagValue(args, flag) {
+    const index = args.indexOf(flag);
+    if (index === -1) return undefined;
+    const value = args[index + 1];
+    return value === undefined || value.startsWith('--') ? null : value;
+}
+
+// Returns { config, sources, file, printConfig }; sources maps each setting key to where its value came from.
+// Throws with every problem found, so a bad file, variable or flag is reported in one go.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+    const problems = [];
+    const values = {};
+    const sources = {};
+    SETTINGS.forEach(setting => {
+        values[setting.key] = setting.default;
+        sources[setting.key] = 'default';
+    });
+
+    const apply = (setting, raw, source) => {
+        try {
+            values[setting.key] = coerce(setting, raw);
+            sources[setting.key] = source;
+        } catch (error) {
+            problems.push(`${setting.key} from ${source} ${error.message} (got "${raw}")`);
+        }
+    };
+
+    let file = flagValue(argv, '--config');
+    if (file === null) {
+        problems.push('--config needs a file, e.g. --config ./config.yaml');
+        file = undefined;
+    }
+    file = file || env.VF_CONFIG || CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate)) || null;
+
+    if (file) {
+        const fileValues = flatten(readConfigFile(file));
+        for (const [key, raw] of Object.entries(fileValues)) {
+            const setting = SETTINGS.find(candidate => candidate.key === key);
+            if (!setting) {
+                problems.push(`${file}: unknown setting "${key}". Available: ${SETTINGS.map(s => s.key).join(', ')}`);
+            } else if (raw !== null) {
+                apply(setting, raw, file);
+            }
+        }
+    }
+
+    for (const setting of SETTINGS) {
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            apply(setting, env[setting.env], `env ${setting.env}`);
+        }
+    }
+
+    for (const setting of SETTINGS) {
+        if (setting.type === 'boolean') {
+            // --headless / --no-headless, or --headless false
+            const negated = `--no-${setting.flag.slice(2)}`;
+            if (argv.includes(negated)) {
+                apply(setting, false, `flag ${negated}`);
+            } else if (argv.includes(setting.flag)) {
+                const value = flagValue(argv, setting.flag);
+                const explicit = value !== null && /^(true|false|yes|no|on|off|1|0)$/i.test(value);
+                apply(setting, explicit ? value : true, `flag ${setting.flag}`);
+            }
+            continue;
+        }
+
+        const value = flagValue(argv, setting.flag);
+        if (value === null) {
+            const example = setting.example !== undefined ? setting.example : setting.default;
+            problems.push(`${setting.flag} needs a value (${setting.description.toLowerCase()}), e.g. ${setting.flag} ${example}`);
+        } else if (value !== undefined) {
+            apply(setting, value, `flag ${setting.flag}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n   - ${problems.join('\n   - ')}`);
+    }
+
+    const config = {};
+    SETTINGS.forEach(setting => setIn(config, setting.key, values[setting.key]));
+    return { config, sources, file, printConfig: argv.includes('--print-config') };
+}
+
+function printConfig({ config, sources, file }) {
+    console.log('\n⚙️  CONFIGURATION');
+    console.log('='.repeat(70));
+    console.log(`   Config file: ${file || 'none'}`);
+    console.log('');
+    for (const setting of SETTINGS) {
+        const value = setting.key.split('.').reduce((node, part) => node[part], config);
+        console.log(`   ${setting.key.padEnd(30)} ${String(value === null ? (setting.optional ? 'off' : 'none') : value).padEnd(30)} (${sources[setting.key]})`);
+    }
+    console.log('\n   Environment variables and flags:');
+    for (const setting of SETTINGS) {
+        console.log(`   ${setting.flag.padEnd(26)} ${setting.env.padEnd(28)} ${setting.description}`);
+    }
+}
+
+// A replay writes its databases and JSON files under their usual names in replay.outputDir, so replayed
+// snapshots never reach the live account, results or odds
+function replayConfig(config) {
+    const into = file => path.join(config.replay.outputDir, path.basename(file));
+    return {
+        ...config,
+        database: { ...config.database, path: into(config.database.path), matchesPath: into(config.database.matchesPath) },
+        files: { ...config.files, results: into(config.files.results), odds: into(config.files.odds) }
+    };
+}
+
+// For entry points: the resolved config, or exit with the problems; --print-config prints it and exits
+function cliConfig(argv = process.argv.slice(2)) {
+    let result;
+    try {
+        result = loadConfig({ argv });
+    } catch (error) {
+        console.error(`\n❌ ERROR: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (result.printConfig) {
+        printConfig(result);
+        process.exit(0);
+    }
+    return result.config;
+}
+
+module.exports = {
+    SETTINGS,
+    DEFAULTS,
+    loadConfig,
+    printConfig,
+    cliConfig,
+    replayConfig,
+    parseYaml
+};
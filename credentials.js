@@ -0,0 +1,243 @@
+// credentials.js - Where the linebet login comes from: environment variables, an encrypted vault or a prompt
+// The vault is a JSON file holding the username and password encrypted with AES-256-GCM under a key derived
+// from a passphrase with scrypt; the passphrase comes from VF_VAULT_PASSPHRASE or is asked for. `node vault.js`
+// creates and checks it. Nothing here logs a password, and a plaintext user.js tracked by git stops the scraper.
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { execFileSync } = require('child_process');
+
+// Files that used to hold the login in plaintext
+const PLAINTEXT_FILES = ['user.js'];
+
+const VAULT_VERSION = 1;
+const SCRYPT = { N: 32768, r: 8, p: 1, keyLength: 32 };
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+// Like ask(), without echoing what is typed
+function askHidden(question) {
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stdout.write(chunk, encoding);
+            callback();
+        }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// VF_VAULT_PASSPHRASE, or asked for twice; throws when too short or the two differ
+async function askNewPassphrase(env = process.env) {
+    if (env.VF_VAULT_PASSPHRASE) {
+        if (env.VF_VAULT_PASSPHRASE.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`VF_VAULT_PASSPHRASE needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        return env.VF_VAULT_PASSPHRASE;
+    }
+
+    const passphrase = await askHidden(`🔐 New vault passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters): `);
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`the passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (await askHidden('🔐 Repeat the passphrase: ') !== passphrase) {
+        throw new Error('the passphrases do not match');
+    }
+    return passphrase;
+}
+
+function deriveKey(passphrase, salt, params) {
+    return crypto.scryptSync(passphrase, salt, params.keyLength, {
+        N: params.N,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * params.N * params.r
+    });
+}
+
+function encryptVault(credentials, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+    const plaintext = JSON.stringify({ username: credentials.username, password: credentials.password });
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        version: VAULT_VERSION,
+        kdf: { name: 'scrypt', N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p, keyLength: SCRYPT.keyLength, salt: salt.toString('base64') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+// The cost parameters come from the file, so only the ones this version writes are accepted: a crafted or
+// damaged file could otherwise make scrypt allocate gigabytes before the passphrase is even checked
+function hasKnownKdf(kdf) {
+    return ['N', 'r', 'p', 'keyLength'].every(name => kdf[name] === SCRYPT[name]) && typeof kdf.salt === 'string';
+}
+
+// Throws on a wrong passphrase as well as on a damaged file - GCM cannot tell them apart
+function decryptVault(vault, passphrase) {
+    if (!vault || vault.version !== VAULT_VERSION || !vault.kdf || vault.kdf.name !== 'scrypt' || vault.cipher !== 'aes-256-gcm') {
+        throw new Error('unsupported vault format');
+    }
+    if (!hasKnownKdf(vault.kdf)) {
+        throw new Error(`unsupported scrypt parameters (expected N=${SCRYPT.N}, r=${SCRYPT.r}, p=${SCRYPT.p})`);
+    }
+
+    try {
+        const key = deriveKey(passphrase, Buffer.from(vault.kdf.salt, 'base64'), vault.kdf);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error('wrong passphrase or damaged vault');
+    }
+}
+
+function readVault(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read vault ${file}: ${error.message}`);
+    }
+}
+
+// Written owner-only; an existing vault is replaced in one rename so a crash cannot leave half a file
+function writeVault(file, credentials, passphrase) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(encryptVault(credentials, passphrase), null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+function checkCredentials(credentials, source) {
+    if (!credentials || !credentials.username || !credentials.password) {
+        throw new Error(`${source} did not provide both a username and a password`);
+    }
+    return credentials;
+}
+
+const PROVIDERS = {
+    env: {
+        description: 'VF_USERNAME and VF_PASSWORD environment variables',
+        available(settings, env) {
+            return !!(env.VF_USERNAME || env.VF_PASSWORD);
+        },
+        async load(settings, env) {
+            return checkCredentials({ username: env.VF_USERNAME, password: env.VF_PASSWORD }, 'The environment');
+        }
+    },
+
+    vault: {
+        description: 'Encrypted vault file, unlocked with VF_VAULT_PASSPHRASE or a passphrase prompt',
+        available(settings) {
+            return fs.existsSync(settings.vaultFile);
+        },
+        async load(settings, env, interactive) {
+            const vault = readVault(settings.vaultFile);
+            let passphrase = env.VF_VAULT_PASSPHRASE;
+            if (!passphrase) {
+                if (!interactive) {
+                    throw new Error(`${settings.vaultFile} is locked - set VF_VAULT_PASSPHRASE to unlock it without a terminal`);
+                }
+                passphrase = await askHidden(`🔐 Passphrase for ${settings.vaultFile}: `);
+            }
+            try {
+                return checkCredentials(decryptVault(vault, passphrase), settings.vaultFile);
+            } catch (error) {
+                throw new Error(`Could not unlock ${settings.vaultFile}: ${error.message}`);
+            }
+        }
+    },
+
+    prompt: {
+        description: 'Asked for on the terminal at startup',
+        available(settings, env, interactive) {
+            return interactive;
+        },
+        async load(settings, env, interactive) {
+            if (!interactive) {
+                throw new Error('the login cannot be prompted for without a terminal - use the environment or the vault');
+            }
+            const username = await ask('👤 Linebet username: ');
+            const password = await askHidden('🔑 Linebet password: ');
+            return checkCredentials({ username, password }, 'The prompt');
+        }
+    }
+};
+
+function listProviders() {
+    return Object.keys(PROVIDERS).map(name => ({ name, description: PROVIDERS[name].description }));
+}
+
+function getProvider(name) {
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+    if (!provider) {
+        throw new Error(`Unknown credentials source "${name}". Available: auto, ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+// settings: config.credentials ({ source, vaultFile }); source 'auto' tries env, then the vault, then the prompt
+// Returns { username, password, source }, or null when no source can provide them
+async function resolveCredentials(settings, { env = process.env, interactive = !!process.stdin.isTTY } = {}) {
+    const names = settings.source === 'auto' ? Object.keys(PROVIDERS) : [settings.source];
+
+    for (const name of names) {
+        const provider = getProvider(name);
+        if (settings.source === 'auto' && !provider.available(settings, env, interactive)) continue;
+
+        const credentials = await provider.load(settings, env, interactive);
+        return { username: credentials.username, password: credentials.password, source: name };
+    }
+    return null;
+}
+
+// Plaintext credential files that git tracks; [] outside a git checkout or without git
+function trackedPlaintextFiles(cwd = process.cwd()) {
+    return PLAINTEXT_FILES.filter(file => {
+        try {
+            execFileSync('git', ['ls-files', '--error-unmatch', file], { cwd, stdio: 'ignore' });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+module.exports = {
+    PLAINTEXT_FILES,
+    ask,
+    askHidden,
+    askNewPassphrase,
+    encryptVault,
+    decryptVault,
+    readVault,
+    writeVault,
+    listProviders,
+    getProvider,
+    resolveCredentials,
+    trackedPlaintextFiles
+};
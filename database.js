@@ -2,18 +2,51 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs').promises;
 const path = require('path');
+const migrations = require('./migrations');
+const { DEFAULT_CURRENCY, toMinor, multiplyMinor, formatMoney, formatSignedMoney, signedLedgerAmount } = require('./money');
+const { recordResult } = require('./strategies');
+const { limitsFromConfig, checkExposure } = require('./staking');
+const { INITIAL_RATING, rateMatch } = require('./ratings');
+const poissonModel = require('./poissonModel');
+const { analyseOdds } = require('./margins');
+const { summariseMovement, closingLineValue } = require('./oddsMovement');
+const { DEFAULTS } = require('./config');
+
+const BET_SELECTIONS = ['HOME', 'DRAW', 'AWAY'];
+
+// A gap this long between sightings means we lost track of the tournament in between
+const TOURNAMENT_GAP_MS = 30 * 60 * 1000;
+
+// Position of a stage within a tournament; null for headings that are not a stage (e.g. STANDINGS)
+function stageOrder(stageName) {
+    if (!stageName) return null;
+    const matchday = stageName.match(/^Matchday (\d+)$/);
+    if (matchday) return parseInt(matchday[1]);
+
+    const knockout = {
+        'Quarter Finals': 100,
+        'Semi Finals': 101,
+        '3rd Place': 102,
+        'Final': 103
+    };
+    return knockout[stageName] || null;
+}
 
 class BettingDatabase {
-    constructor() {
+    // config: config.js settings; the defaults unless an entry point passes its loaded config
+    constructor(config = DEFAULTS) {
         this.db = null;
-        this.dbPath = './virtual_football_betting.db';
-        this.initialBalance = 1000;
+        this.dbPath = config.database.path;
+        this.initialBalance = toMinor(config.account.initialBalance);
+        this.currency = DEFAULT_CURRENCY;
+        this.currentTournamentId = null;
+        this.transactionQueue = Promise.resolve();
+
+        // Checked inside placeBet() before any money moves
+        this.exposureLimits = limitsFromConfig(config.limits);
     }
 
-    async initialize() {
-        console.log('\n📊 INITIALIZING BETTING DATABASE...');
-        console.log('='.repeat(70));
-
+    async connect() {
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
@@ -23,116 +56,226 @@ class BettingDatabase {
                 }
                 console.log('✅ Connected to SQLite database');
 
-                this.db.run('PRAGMA foreign_keys = ON', async (err) => {
+                this.db.run('PRAGMA foreign_keys = ON', (err) => {
                     if (err) {
                         console.error('❌ Failed to enable foreign keys:', err.message);
                         reject(err);
                         return;
                     }
-
-                    await this.createTables();
-                    await this.initializeAccount();
-                    await this.showDatabaseInfo();
-
-                    console.log('\n✅ Database initialization complete!\n');
                     resolve();
                 });
             });
         });
     }
 
-    async createTables() {
-        console.log('\n📝 CREATING TABLES...');
-
-        const tables = [
-            `CREATE TABLE IF NOT EXISTS tournament_stages (
-                                                              stage_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                              stage_name TEXT UNIQUE NOT NULL,
-                                                              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-             )`,
-
-            `CREATE TABLE IF NOT EXISTS teams (
-                                                  team_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                  team_name TEXT UNIQUE NOT NULL,
-                                                  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-             )`,
-
-            `CREATE TABLE IF NOT EXISTS matches (
-                                                    match_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                    match_number INTEGER,
-                                                    stage_id INTEGER,
-                                                    home_team_id INTEGER,
-                                                    away_team_id INTEGER,
-                                                    home_score INTEGER DEFAULT 0,
-                                                    away_score INTEGER DEFAULT 0,
-                                                    full_time_score TEXT,
-                                                    match_date DATE,
-                                                    match_time TIME,
-                                                    status TEXT DEFAULT 'SCHEDULED',
-                                                    result TEXT,
-                                                    is_final BOOLEAN DEFAULT 0,
-                                                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                                                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                                                    FOREIGN KEY (stage_id) REFERENCES tournament_stages(stage_id),
-                FOREIGN KEY (home_team_id) REFERENCES teams(team_id),
-                FOREIGN KEY (away_team_id) REFERENCES teams(team_id)
-                )`,
-
-            `CREATE TABLE IF NOT EXISTS betting_odds (
-                                                         odds_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                         match_id INTEGER,
-                                                         home_odds DECIMAL(5,2),
-                draw_odds DECIMAL(5,2),
-                away_odds DECIMAL(5,2),
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                is_active BOOLEAN DEFAULT 1,
-                FOREIGN KEY (match_id) REFERENCES matches(match_id)
-                )`,
-
-            `CREATE TABLE IF NOT EXISTS account (
-                                                    account_id INTEGER PRIMARY KEY CHECK (account_id = 1),
-                balance DECIMAL(10,2) DEFAULT 1000.00,
-                total_deposits DECIMAL(10,2) DEFAULT 0.00,
-                total_withdrawals DECIMAL(10,2) DEFAULT 0.00,
-                total_wins INTEGER DEFAULT 0,
-                total_losses INTEGER DEFAULT 0,
-                total_profit_loss DECIMAL(10,2) DEFAULT 0.00,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`,
-
-            `CREATE TABLE IF NOT EXISTS bets (
-                                                 bet_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                 match_id INTEGER,
-                                                 team_bet_on TEXT,
-                                                 odds_taken DECIMAL(5,2),
-                amount DECIMAL(10,2),
-                potential_win DECIMAL(10,2),
-                actual_win DECIMAL(10,2) DEFAULT 0.00,
-                status TEXT DEFAULT 'PENDING',
-                placed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                settled_at TIMESTAMP,
-                profit_loss DECIMAL(10,2) DEFAULT 0.00,
-                FOREIGN KEY (match_id) REFERENCES matches(match_id)
-                )`,
-
-            `CREATE TABLE IF NOT EXISTS transactions (
-                                                         transaction_id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                                         bet_id INTEGER,
-                                                         type TEXT,
-                                                         amount DECIMAL(10,2),
-                balance_before DECIMAL(10,2),
-                balance_after DECIMAL(10,2),
+    async initialize() {
+        console.log('\n📊 INITIALIZING BETTING DATABASE...');
+        console.log('='.repeat(70));
+
+        await this.connect();
+        await this.migrate();
+        await this.loadCurrentTournament();
+        await this.initializeAccount();
+        await this.showDatabaseInfo();
+
+        console.log('\n✅ Database initialization complete!\n');
+    }
+
+    async getSchemaVersion() {
+        const table = await this.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`);
+        if (table.length === 0) return 0;
+
+        const rows = await this.query('SELECT MAX(version) as version FROM schema_version');
+        return rows[0].version || 0;
+    }
+
+    async getPendingMigrations() {
+        const currentVersion = await this.getSchemaVersion();
+        return migrations
+            .filter(migration => migration.version > currentVersion)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async migrate(options = {}) {
+        console.log('\n📝 CHECKING SCHEMA VERSION...');
+
+        const currentVersion = await this.getSchemaVersion();
+        const pending = await this.getPendingMigrations();
+        const latestVersion = migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+
+        console.log(`   Current schema version: ${currentVersion} (latest: ${latestVersion})`);
+
+        if (pending.length === 0) {
+            console.log('✅ Schema is up to date');
+            return [];
+        }
+
+        console.log(`   ${pending.length} pending migration(s):`);
+        pending.forEach(migration => {
+            console.log(`   • v${migration.version}: ${migration.description}`);
+        });
+
+        if (options.dryRun) {
+            console.log('ℹ️  Dry run - nothing applied');
+            return pending;
+        }
+
+        await this.backupDatabase(currentVersion);
+        await this.runQuery(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
                 description TEXT,
-                transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (bet_id) REFERENCES bets(bet_id)
-                )`
-        ];
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
 
-        for (let i = 0; i < tables.length; i++) {
-            await this.runQuery(tables[i]);
+        for (const migration of pending) {
+            try {
+                await this.withTransaction(async () => {
+                    await migration.up(this);
+                    await this.runQuery(
+                        'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+                        [migration.version, migration.description]
+                    );
+                });
+                console.log(`   ✅ Applied v${migration.version}: ${migration.description}`);
+            } catch (error) {
+                console.error(`❌ Migration v${migration.version} failed, rolled back:`, error.message);
+                throw error;
+            }
+        }
+
+        console.log(`✅ Schema migrated to version ${latestVersion}`);
+        return pending;
+    }
+
+    async backupDatabase(fromVersion) {
+        // Nothing worth keeping in a brand new or in-memory database
+        if (this.dbPath === ':memory:' || fromVersion === 0 && !(await this.hasUserTables())) {
+            return null;
+        }
+
+        const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `${path.basename(this.dbPath, '.db')}-v${fromVersion}-${stamp}.db`);
+
+        await fs.mkdir(backupDir, { recursive: true });
+        await this.runQuery('VACUUM INTO ?', [backupPath]);
+        console.log(`   💾 Backup written to ${backupPath}`);
+        return backupPath;
+    }
+
+    async hasUserTables() {
+        const tables = await this.query(`
+            SELECT COUNT(*) as count FROM sqlite_master
+            WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+        `);
+        return tables[0].count > 0;
+    }
+
+    async ensureColumn(table, column, definition) {
+        const columns = await this.query(`PRAGMA table_info(${table})`);
+        if (!columns.some(col => col.name === column)) {
+            await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`   ➕ Added ${table}.${column}`);
+        }
+    }
+
+    // SQLite cannot change a column's type, so the table is recreated under a temporary name, filled from
+    // the old one and swapped in. Foreign keys are checked at commit, once the new table has the old name.
+    async rebuildTable(table, columnsSql, columnExpressions) {
+        const columns = Object.keys(columnExpressions);
+
+        await this.runQuery('PRAGMA defer_foreign_keys = ON');
+        await this.runQuery(`CREATE TABLE ${table}_rebuild (${columnsSql})`);
+        await this.runQuery(`
+            INSERT INTO ${table}_rebuild (${columns.join(', ')})
+            SELECT ${columns.map(column => columnExpressions[column]).join(', ')} FROM ${table}
+        `);
+        await this.runQuery(`DROP TABLE ${table}`);
+        await this.runQuery(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+        console.log(`   🔁 Rebuilt ${table}`);
+    }
+
+    async loadCurrentTournament() {
+        const open = await this.query(`
+            SELECT tournament_id FROM tournaments
+            WHERE status = 'OPEN'
+            ORDER BY tournament_id DESC LIMIT 1
+        `);
+        this.currentTournamentId = open.length > 0 ? open[0].tournament_id : null;
+    }
+
+    async getCurrentTournament() {
+        if (!this.currentTournamentId) return null;
+        const rows = await this.query('SELECT * FROM tournaments WHERE tournament_id = ?', [this.currentTournamentId]);
+        return rows[0] || null;
+    }
+
+    async openTournament(firstStage) {
+        await this.closeTournament();
+
+        const result = await this.runQuery(
+            `INSERT INTO tournaments (status, first_stage, last_stage) VALUES ('OPEN', ?, ?)`,
+            [firstStage, firstStage]
+        );
+        this.currentTournamentId = result.lastID;
+        console.log(`   🏆 Opened tournament #${this.currentTournamentId} at ${firstStage}`);
+        return this.currentTournamentId;
+    }
+
+    async closeTournament() {
+        if (!this.currentTournamentId) return;
+
+        await this.runQuery(`
+            UPDATE tournaments
+            SET status = 'CLOSED', ended_at = CURRENT_TIMESTAMP
+            WHERE tournament_id = ?
+        `, [this.currentTournamentId]);
+        console.log(`   🏁 Closed tournament #${this.currentTournamentId}`);
+        this.currentTournamentId = null;
+    }
+
+    // Called every cycle with the stage on screen; opens/closes tournaments as the stages roll over
+    async trackTournamentStage(stageName) {
+        try {
+            const order = stageOrder(stageName);
+            const current = await this.getCurrentTournament();
+
+            if (order === null) {
+                // Not a real stage heading; keep whatever tournament is running
+                return { tournamentId: this.currentTournamentId, opened: false };
+            }
+
+            let startNew = !current;
+            if (current) {
+                const lastOrder = stageOrder(current.last_stage);
+                const lastSeen = new Date(`${current.last_seen_at.replace(' ', 'T')}Z`).getTime();
+
+                const finalIsOver = current.last_stage === 'Final' && stageName !== 'Final';
+                const regressed = lastOrder !== null && order < lastOrder;
+                const stale = Date.now() - lastSeen > TOURNAMENT_GAP_MS;
+
+                startNew = finalIsOver || regressed || stale;
+            }
+
+            if (startNew) {
+                await this.openTournament(stageName);
+                return { tournamentId: this.currentTournamentId, opened: true };
+            }
+
+            await this.runQuery(`
+                UPDATE tournaments
+                SET last_stage = ?, last_seen_at = CURRENT_TIMESTAMP
+                WHERE tournament_id = ?
+            `, [stageName, this.currentTournamentId]);
+
+            return { tournamentId: this.currentTournamentId, opened: false };
+
+        } catch (error) {
+            console.error('   ❌ Error tracking tournament stage:', error.message);
+            return { tournamentId: this.currentTournamentId, opened: false };
         }
-        console.log('✅ All tables created/verified');
     }
 
     async runQuery(sql, params = []) {
@@ -150,6 +293,26 @@ class BettingDatabase {
         });
     }
 
+    // Runs work() between BEGIN IMMEDIATE and COMMIT, rolling back if it throws.
+    // Every caller shares one connection, so transactions are queued one after another instead of nesting.
+    async withTransaction(work) {
+        const run = async () => {
+            await this.runQuery('BEGIN IMMEDIATE');
+            try {
+                const result = await work();
+                await this.runQuery('COMMIT');
+                return result;
+            } catch (error) {
+                await this.runQuery('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        };
+
+        const next = this.transactionQueue.then(run, run);
+        this.transactionQueue = next.catch(() => {});
+        return next;
+    }
+
     async query(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
@@ -167,17 +330,21 @@ class BettingDatabase {
         try {
             const checkAccount = await this.query('SELECT * FROM account WHERE account_id = 1');
 
-            if (checkAccount.length === 0) {
-                await this.runQuery(
-                    'INSERT INTO account (account_id, balance) VALUES (1, ?)',
-                    [this.initialBalance]
-                );
-
-                await this.runQuery(
-                    `INSERT INTO transactions (type, amount, balance_before, balance_after, description)
-                     VALUES ('DEPOSIT', ?, 0, ?, 'Initial account setup')`,
-                    [this.initialBalance, this.initialBalance]
-                );
+            if (checkAccount.length > 0) {
+                this.currency = checkAccount[0].currency || DEFAULT_CURRENCY;
+            } else {
+                await this.withTransaction(async () => {
+                    await this.runQuery(
+                        'INSERT INTO account (account_id, balance) VALUES (1, ?)',
+                        [this.initialBalance]
+                    );
+
+                    await this.runQuery(
+                        `INSERT INTO transactions (type, amount, balance_before, balance_after, description)
+                         VALUES ('DEPOSIT', ?, 0, ?, 'Initial account setup')`,
+                        [this.initialBalance, this.initialBalance]
+                    );
+                });
             }
         } catch (error) {
             console.error('❌ Error initializing account:', error.message);
@@ -265,68 +432,395 @@ class BettingDatabase {
             const matchDate = now.toISOString().split('T')[0];
             const matchTime = now.toTimeString().split(' ')[0];
 
-            // Check if match already exists (by stage, teams, and date)
-            const existingMatch = await this.query(`
+            // The final result and the rating update it triggers commit together
+            return await this.withTransaction(async () => {
+                // Check if match already exists (by tournament, stage and teams), preferring the live fixture
+                const existingMatch = await this.query(`
+                    SELECT match_id, status FROM matches
+                    WHERE tournament_id IS ?
+                      AND stage_id = ?
+                      AND home_team_id = ?
+                      AND away_team_id = ?
+                    ORDER BY CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END, created_at DESC
+                    LIMIT 1
+                `, [this.currentTournamentId, stageId, homeTeamId, awayTeamId]);
+
+                let matchId;
+                if (existingMatch.length > 0) {
+                    // Update existing match
+                    await this.runQuery(`
+                        UPDATE matches
+                        SET home_score = ?, away_score = ?, full_time_score = ?,
+                            status = 'COMPLETED', result = ?, is_final = ?,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE match_id = ?
+                    `, [
+                        homeScore,
+                        awayScore,
+                        matchData.fullTimeScore,
+                        result,
+                        matchData.is_final || 0,
+                        existingMatch[0].match_id
+                    ]);
+
+                    matchId = existingMatch[0].match_id;
+                    console.log(`   ✅ Updated match in database: ${matchData.homeTeam} ${matchData.fullTimeScore} ${matchData.awayTeam}`);
+                } else {
+                    // Insert new match
+                    const queryResult = await this.runQuery(`
+                        INSERT INTO matches
+                        (tournament_id, match_number, stage_id, home_team_id, away_team_id,
+                         home_score, away_score, full_time_score, match_date, match_time,
+                         status, result, is_final)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        this.currentTournamentId,
+                        matchData.matchNo,
+                        stageId,
+                        homeTeamId,
+                        awayTeamId,
+                        homeScore,
+                        awayScore,
+                        matchData.fullTimeScore,
+                        matchDate,
+                        matchTime,
+                        'COMPLETED',
+                        result,
+                        matchData.is_final || 0
+                    ]);
+
+                    matchId = queryResult.lastID;
+                    console.log(`   ✅ Saved NEW match to database: ${matchData.homeTeam} ${matchData.fullTimeScore} ${matchData.awayTeam}`);
+                }
+
+                const rating = result ? await this.applyRating(matchId) : null;
+                if (rating) {
+                    console.log(`   📐 Elo: ${matchData.homeTeam} ${rating.home.before.toFixed(0)} → ${rating.home.after.toFixed(0)}, ${matchData.awayTeam} ${rating.away.before.toFixed(0)} → ${rating.away.after.toFixed(0)}`);
+                }
+                return matchId;
+            });
+
+        } catch (error) {
+            console.error(`   ❌ Error saving match ${matchData.homeTeam} vs ${matchData.awayTeam}:`, error.message);
+            console.error('   Match data:', matchData);
+            return null;
+        }
+    }
+
+    // Moves both teams' Elo ratings for one completed match; a match that already has history is left alone,
+    // so saving the same result twice does not count it twice. Call inside a transaction.
+    async applyRating(matchId) {
+        const rated = await this.query('SELECT COUNT(*) as count FROM team_rating_history WHERE match_id = ?', [matchId]);
+        if (rated[0].count > 0) return null;
+
+        const rows = await this.query(`
+            SELECT m.home_team_id, m.away_team_id, m.home_score, m.away_score,
+                   ht.elo_rating as home_rating, at.elo_rating as away_rating
+            FROM matches m
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            WHERE m.match_id = ? AND m.status = 'COMPLETED'
+        `, [matchId]);
+        if (rows.length === 0) return null;
+
+        const match = rows[0];
+        const rating = rateMatch(match.home_rating, match.away_rating, match.home_score, match.away_score);
+        await this.writeRating(matchId, match.home_team_id, rating.home);
+        await this.writeRating(matchId, match.away_team_id, rating.away);
+        return rating;
+    }
+
+    async writeRating(matchId, teamId, change) {
+        await this.runQuery(`
+            UPDATE teams SET elo_rating = ?, rated_matches = rated_matches + 1 WHERE team_id = ?
+        `, [change.after, teamId]);
+        await this.runQuery(`
+            INSERT INTO team_rating_history (team_id, match_id, rating_before, rating_after, expected_score)
+            VALUES (?, ?, ?, ?, ?)
+        `, [teamId, matchId, change.before, change.after, change.expected]);
+    }
+
+    // Resets every team and replays all completed matches in the order they finished. Call inside a transaction.
+    async rebuildRatings() {
+        await this.runQuery('DELETE FROM team_rating_history');
+        await this.runQuery('UPDATE teams SET elo_rating = ?, rated_matches = 0', [INITIAL_RATING]);
+
+        const matches = await this.query(`
+            SELECT match_id FROM matches
+            WHERE status = 'COMPLETED' AND result IS NOT NULL
+            ORDER BY COALESCE(updated_at, created_at), match_id
+        `);
+
+        for (const match of matches) {
+            await this.applyRating(match.match_id);
+        }
+        return matches.length;
+    }
+
+    async recomputeRatings() {
+        const matchCount = await this.withTransaction(() => this.rebuildRatings());
+        return { matchCount, ratings: await this.getTeamRatings() };
+    }
+
+    async getTeamRatings() {
+        return await this.query(`
+            SELECT t.team_id, t.team_name, t.elo_rating, t.rated_matches,
+                   (SELECT h.rating_after - h.rating_before FROM team_rating_history h
+                    WHERE h.team_id = t.team_id ORDER BY h.history_id DESC LIMIT 1) as last_change
+            FROM teams t
+            WHERE t.rated_matches > 0
+            ORDER BY t.elo_rating DESC
+        `);
+    }
+
+    // Refits the Poisson model on every completed match and stores fair prices for the scheduled ones
+    async updatePredictions() {
+        try {
+            const results = await this.query(`
+                SELECT ht.team_name as home_team, at.team_name as away_team, m.home_score, m.away_score
+                FROM matches m
+                JOIN teams ht ON m.home_team_id = ht.team_id
+                JOIN teams at ON m.away_team_id = at.team_id
+                WHERE m.status = 'COMPLETED' AND m.result IS NOT NULL
+            `);
+
+            const strengths = poissonModel.fitStrengths(results.map(row => ({
+                homeTeam: row.home_team,
+                awayTeam: row.away_team,
+                homeScore: row.home_score,
+                awayScore: row.away_score
+            })));
+            if (strengths.matchCount === 0) return 0;
+
+            const fixtures = await this.getScheduledMatchesForBetting();
+            await this.withTransaction(async () => {
+                for (const fixture of fixtures) {
+                    const prediction = poissonModel.predictFixture(strengths, fixture.home_team, fixture.away_team);
+                    const goalLines = Object.fromEntries(poissonModel.GOAL_LINES.map(line => [
+                        line,
+                        { over: prediction.over[line], under: prediction.under[line] }
+                    ]));
+
+                    await this.runQuery(`
+                        INSERT OR REPLACE INTO model_predictions
+                        (match_id, odds_id, model, expected_home_goals, expected_away_goals,
+                         home_prob, draw_prob, away_prob, over_2_5_prob, under_2_5_prob,
+                         goal_lines, correct_scores, matches_fitted)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        fixture.match_id,
+                        fixture.odds_id,
+                        poissonModel.MODEL_NAME,
+                        prediction.expectedHomeGoals,
+                        prediction.expectedAwayGoals,
+                        prediction.HOME,
+                        prediction.DRAW,
+                        prediction.AWAY,
+                        prediction.over[2.5],
+                        prediction.under[2.5],
+                        JSON.stringify(goalLines),
+                        JSON.stringify(prediction.correctScores),
+                        strengths.matchCount
+                    ]);
+                }
+            });
+
+            return fixtures.length;
+        } catch (error) {
+            console.error('   ❌ Error updating model predictions:', error.message);
+            return 0;
+        }
+    }
+
+    // Stored predictions for scheduled matches next to the offered price they were made against
+    async getPredictions() {
+        const rows = await this.query(`
+            SELECT mp.*, ts.stage_name, ht.team_name as home_team, at.team_name as away_team,
+                   bo.home_odds, bo.draw_odds, bo.away_odds
+            FROM model_predictions mp
+            JOIN matches m ON mp.match_id = m.match_id
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            LEFT JOIN betting_odds bo ON mp.odds_id = bo.odds_id
+            WHERE m.status = 'SCHEDULED' AND mp.model = ?
+            ORDER BY m.created_at, m.match_id
+        `, [poissonModel.MODEL_NAME]);
+
+        return rows.map(row => ({
+            ...row,
+            goal_lines: JSON.parse(row.goal_lines || '{}'),
+            correct_scores: JSON.parse(row.correct_scores || '[]')
+        }));
+    }
+
+    // value: valueBets.findValueBets() entry; the same snapshot and selection raise one alert per model version.
+    // Resolves to { alertId, status, isNew } or null on error
+    async recordValueAlert(value, minEdge) {
+        try {
+            const { fixture } = value;
+            const inserted = await this.runQuery(`
+                INSERT OR IGNORE INTO value_bet_alerts
+                (match_id, odds_id, selection, offered_odds, fair_odds, model_probability, edge, min_edge,
+                 model, model_version, matches_fitted)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                fixture.matchId,
+                fixture.oddsId,
+                value.selection,
+                value.odds,
+                value.fairOdds,
+                value.probability,
+                value.edge,
+                minEdge,
+                poissonModel.MODEL_NAME,
+                poissonModel.MODEL_VERSION,
+                fixture.prediction ? fixture.prediction.matchesFitted : null
+            ]);
+
+            const rows = await this.query(`
+                SELECT alert_id, status FROM value_bet_alerts
+                WHERE odds_id = ? AND selection = ? AND model = ? AND model_version = ?
+            `, [fixture.oddsId, value.selection, poissonModel.MODEL_NAME, poissonModel.MODEL_VERSION]);
+
+            return { alertId: rows[0].alert_id, status: rows[0].status, isNew: inserted.changes > 0 };
+        } catch (error) {
+            console.error('   ❌ Error recording value alert:', error.message);
+            return null;
+        }
+    }
+
+    async updateValueAlert(alertId, status, details = {}) {
+        await this.runQuery(
+            'UPDATE value_bet_alerts SET status = ?, bet_id = ?, note = ? WHERE alert_id = ?',
+            [status, details.betId || null, details.note || null, alertId]
+        );
+    }
+
+    async getValueAlerts(limit = 50) {
+        return await this.query(`
+            SELECT va.*, ts.stage_name, ht.team_name as home_team, at.team_name as away_team
+            FROM value_bet_alerts va
+            JOIN matches m ON va.match_id = m.match_id
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            ORDER BY va.created_at DESC, va.alert_id DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    async markMatchLive(matchData) {
+        try {
+            const stageId = await this.getOrCreateStage(matchData.tournament_stage);
+            const homeTeamId = await this.getOrCreateTeam(matchData.homeTeam);
+            const awayTeamId = await this.getOrCreateTeam(matchData.awayTeam);
+            if (!stageId || !homeTeamId || !awayTeamId) throw new Error('Failed to get/create stage or teams');
+
+            const scores = matchData.fullTimeScore.split(':').map(Number);
+            const homeScore = scores[0] || 0;
+            const awayScore = scores[1] || 0;
+
+            // Reuse the fixture created from the odds scan if there is one
+            const existing = await this.query(`
                 SELECT match_id FROM matches
-                WHERE stage_id = ?
+                WHERE tournament_id IS ?
+                  AND stage_id = ?
                   AND home_team_id = ?
                   AND away_team_id = ?
-                  AND match_date = ?
-            `, [stageId, homeTeamId, awayTeamId, matchDate]);
+                  AND status IN ('SCHEDULED', 'LIVE')
+                ORDER BY created_at DESC LIMIT 1
+            `, [this.currentTournamentId, stageId, homeTeamId, awayTeamId]);
 
-            if (existingMatch.length > 0) {
-                // Update existing match
+            if (existing.length > 0) {
                 await this.runQuery(`
                     UPDATE matches
-                    SET home_score = ?, away_score = ?, full_time_score = ?,
-                        status = 'COMPLETED', result = ?, is_final = ?,
-                        updated_at = CURRENT_TIMESTAMP
+                    SET home_score = ?, away_score = ?, status = 'LIVE',
+                        kickoff_at = COALESCE(kickoff_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
                     WHERE match_id = ?
-                `, [
-                    homeScore,
-                    awayScore,
-                    matchData.fullTimeScore,
-                    result,
-                    matchData.is_final || 0,
-                    existingMatch[0].match_id
-                ]);
-
-                console.log(`   ✅ Updated match in database: ${matchData.homeTeam} ${matchData.fullTimeScore} ${matchData.awayTeam}`);
-                return existingMatch[0].match_id;
-            } else {
-                // Insert new match
-                const queryResult = await this.runQuery(`
-                    INSERT INTO matches
-                    (match_number, stage_id, home_team_id, away_team_id,
-                     home_score, away_score, full_time_score, match_date, match_time,
-                     status, result, is_final)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    matchData.matchNo,
-                    stageId,
-                    homeTeamId,
-                    awayTeamId,
-                    homeScore,
-                    awayScore,
-                    matchData.fullTimeScore,
-                    matchDate,
-                    matchTime,
-                    'COMPLETED',
-                    result,
-                    matchData.is_final || 0
-                ]);
-
-                console.log(`   ✅ Saved NEW match to database: ${matchData.homeTeam} ${matchData.fullTimeScore} ${matchData.awayTeam}`);
-                return queryResult.lastID;
+                `, [homeScore, awayScore, existing[0].match_id]);
+                return existing[0].match_id;
             }
 
+            const now = new Date();
+            const result = await this.runQuery(`
+                INSERT INTO matches
+                    (tournament_id, stage_id, home_team_id, away_team_id, home_score, away_score, match_date, match_time, status, kickoff_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'LIVE', CURRENT_TIMESTAMP)
+            `, [
+                this.currentTournamentId,
+                stageId,
+                homeTeamId,
+                awayTeamId,
+                homeScore,
+                awayScore,
+                now.toISOString().split('T')[0],
+                now.toTimeString().split(' ')[0]
+            ]);
+
+            return result.lastID;
+
         } catch (error) {
-            console.error(`   ❌ Error saving match ${matchData.homeTeam} vs ${matchData.awayTeam}:`, error.message);
-            console.error('   Match data:', matchData);
+            console.error(`   ❌ Error marking match live ${matchData.homeTeam} vs ${matchData.awayTeam}:`, error.message);
             return null;
         }
     }
 
+    async recordGoalEvents(matchId, homeScore, awayScore, minute, clockText) {
+        try {
+            // The running score of the last recorded goal is the baseline for this reading
+            const lastEvent = await this.query(`
+                SELECT home_score, away_score FROM goal_events
+                WHERE match_id = ?
+                ORDER BY event_id DESC LIMIT 1
+            `, [matchId]);
+
+            let runningHome = lastEvent.length > 0 ? lastEvent[0].home_score : 0;
+            let runningAway = lastEvent.length > 0 ? lastEvent[0].away_score : 0;
+
+            if (homeScore < runningHome || awayScore < runningAway) {
+                console.log(`   ⚠️  Scoreboard went backwards for match ${matchId} (${runningHome}:${runningAway} → ${homeScore}:${awayScore}), skipping`);
+                return 0;
+            }
+
+            // Several goals can land between two cycles; each one gets its own event
+            let recorded = 0;
+            while (runningHome < homeScore || runningAway < awayScore) {
+                let scoringSide;
+                if (runningHome < homeScore) {
+                    runningHome++;
+                    scoringSide = 'HOME';
+                } else {
+                    runningAway++;
+                    scoringSide = 'AWAY';
+                }
+
+                await this.runQuery(`
+                    INSERT INTO goal_events (match_id, minute, clock_text, scoring_side, home_score, away_score)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [matchId, minute, clockText, scoringSide, runningHome, runningAway]);
+                recorded++;
+            }
+
+            if (recorded > 0) {
+                console.log(`   ⚽ Recorded ${recorded} goal event(s) for match ${matchId} at ${minute !== null ? `${minute}'` : 'unknown minute'}`);
+            }
+            return recorded;
+
+        } catch (error) {
+            console.error('   ❌ Error recording goal events:', error.message);
+            return 0;
+        }
+    }
+
+    async getGoalTimeline(matchId) {
+        return await this.query(`
+            SELECT * FROM goal_events
+            WHERE match_id = ?
+            ORDER BY event_id
+        `, [matchId]);
+    }
+
     async saveOdds(oddsData) {
         try {
             console.log(`   💾 Attempting to save odds for: ${oddsData.home_team} vs ${oddsData.away_team}`);
@@ -342,12 +836,13 @@ class BettingDatabase {
             // Check for existing scheduled match
             let match = await this.query(`
                 SELECT match_id FROM matches
-                WHERE stage_id = ?
+                WHERE tournament_id IS ?
+                  AND stage_id = ?
                   AND home_team_id = ?
                   AND away_team_id = ?
                   AND status = 'SCHEDULED'
                 ORDER BY created_at DESC LIMIT 1
-            `, [stageId, homeTeamId, awayTeamId]);
+            `, [this.currentTournamentId, stageId, homeTeamId, awayTeamId]);
 
             let matchId;
 
@@ -357,20 +852,28 @@ class BettingDatabase {
 
                 const result = await this.runQuery(`
                     INSERT INTO matches
-                        (stage_id, home_team_id, away_team_id, match_date, status)
-                    VALUES (?, ?, ?, ?, 'SCHEDULED')
-                `, [stageId, homeTeamId, awayTeamId, matchDate]);
+                        (tournament_id, stage_id, home_team_id, away_team_id, match_date, status)
+                    VALUES (?, ?, ?, ?, ?, 'SCHEDULED')
+                `, [this.currentTournamentId, stageId, homeTeamId, awayTeamId, matchDate]);
 
                 matchId = result.lastID;
             } else {
                 matchId = match[0].match_id;
             }
 
-            // Save the odds
-            await this.runQuery(`
-                INSERT INTO betting_odds (match_id, home_odds, draw_odds, away_odds)
-                VALUES (?, ?, ?, ?)
-            `, [matchId, oddsData.home_odds, oddsData.draw_odds, oddsData.away_odds]);
+            // Save the odds together with their margin analysis
+            await this.withTransaction(async () => {
+                const inserted = await this.runQuery(`
+                    INSERT INTO betting_odds (match_id, tournament_id, home_odds, draw_odds, away_odds)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [matchId, this.currentTournamentId, oddsData.home_odds, oddsData.draw_odds, oddsData.away_odds]);
+
+                await this.saveOddsAnalysis(inserted.lastID, {
+                    HOME: oddsData.home_odds,
+                    DRAW: oddsData.draw_odds,
+                    AWAY: oddsData.away_odds
+                });
+            });
 
             console.log(`   ✅ Saved odds for match ${matchId}: ${oddsData.home_team} vs ${oddsData.away_team}`);
             return matchId;
@@ -381,54 +884,337 @@ class BettingDatabase {
         }
     }
 
-    async placeBet(matchId, teamToBetOn, amount, odds) {
+    // Stores implied probabilities, overround and the margin-free probabilities of every method for one
+    // snapshot; snapshots with a missing price are left blank. Call inside a transaction.
+    async saveOddsAnalysis(oddsId, odds) {
+        const analysis = analyseOdds(odds);
+        if (!analysis) return null;
+
+        await this.runQuery(`
+            UPDATE betting_odds
+            SET implied_home_prob = ?, implied_draw_prob = ?, implied_away_prob = ?, overround = ?
+            WHERE odds_id = ?
+        `, [analysis.implied.HOME, analysis.implied.DRAW, analysis.implied.AWAY, analysis.overround, oddsId]);
+
+        for (const [method, result] of Object.entries(analysis.methods)) {
+            await this.runQuery(`
+                INSERT OR REPLACE INTO odds_fair_probabilities (odds_id, method, home_prob, draw_prob, away_prob, parameter)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [oddsId, method, result.probabilities.HOME, result.probabilities.DRAW, result.probabilities.AWAY, result.parameter]);
+        }
+        return analysis;
+    }
+
+    // markets: markets.normaliseMarkets() output for one fixture. Adds markets seen for the first time and a
+    // selection row for every price that changed. Resolves to { markets, changes } or null on error
+    async saveMarkets(matchId, markets) {
+        try {
+            return await this.withTransaction(async () => {
+                let changes = 0;
+
+                for (const market of markets) {
+                    const existing = await this.query(`
+                        SELECT market_id FROM markets
+                        WHERE match_id = ? AND market_key = ? AND line IS ?
+                    `, [matchId, market.market_key, market.line]);
+
+                    let marketId;
+                    if (existing.length > 0) {
+                        marketId = existing[0].market_id;
+                        await this.runQuery('UPDATE markets SET last_seen_at = CURRENT_TIMESTAMP WHERE market_id = ?', [marketId]);
+                    } else {
+                        const inserted = await this.runQuery(`
+                            INSERT INTO markets (match_id, tournament_id, market_key, market_name, line)
+                            VALUES (?, ?, ?, ?, ?)
+                        `, [matchId, this.currentTournamentId, market.market_key, market.market_name, market.line]);
+                        marketId = inserted.lastID;
+                    }
+
+                    for (const selection of market.selections) {
+                        const latest = await this.query(`
+                            SELECT odds FROM market_selections
+                            WHERE market_id = ? AND selection_key = ?
+                            ORDER BY recorded_at DESC, selection_id DESC
+                            LIMIT 1
+                        `, [marketId, selection.selection_key]);
+                        if (latest.length > 0 && latest[0].odds === selection.odds) continue;
+
+                        await this.runQuery(`
+                            INSERT INTO market_selections (market_id, selection_key, label, odds)
+                            VALUES (?, ?, ?, ?)
+                        `, [marketId, selection.selection_key, selection.label, selection.odds]);
+                        changes++;
+                    }
+                }
+
+                return { markets: markets.length, changes };
+            });
+        } catch (error) {
+            console.error('   ❌ Error saving markets:', error.message);
+            return null;
+        }
+    }
+
+    // Latest price of every selection in every market of the match, ordered by market and line
+    async getMarkets(matchId) {
+        return await this.query(`
+            SELECT mk.market_id, mk.market_key, mk.market_name, mk.line, ms.selection_key, ms.label, ms.odds, ms.recorded_at
+            FROM markets mk
+            JOIN market_selections ms ON ms.market_id = mk.market_id
+            WHERE mk.match_id = ?
+              AND NOT EXISTS (
+                  SELECT 1 FROM market_selections newer
+                  WHERE newer.market_id = ms.market_id
+                    AND newer.selection_key = ms.selection_key
+                    AND newer.selection_id > ms.selection_id
+              )
+            ORDER BY mk.market_key, mk.line, ms.selection_id
+        `, [matchId]);
+    }
+
+    // stats: SelectorRegistry.takeCycleStats() for one scrape cycle
+    // Returns { stopped, recovered, fallback } with the names of selectors that stopped matching this cycle,
+    // matched again after having stopped, or matched through a different candidate than last time
+    async recordSelectorHealth(stats) {
         try {
-            console.log(`   💰 Placing bet: $${amount} on ${teamToBetOn} at odds ${odds}`);
+            return await this.withTransaction(async () => {
+                const changes = { stopped: [], recovered: [], fallback: [] };
+
+                for (const stat of stats) {
+                    const existing = await this.query('SELECT * FROM selector_health WHERE name = ?', [stat.name]);
+                    const previous = existing[0] || null;
+                    const matched = stat.hits > 0;
+
+                    if (!previous) {
+                        await this.runQuery(`
+                            INSERT INTO selector_health (name, optional, hits, misses, missed_cycles, matched_selector, matched_index,
+                                                         last_hit_at, last_miss_at, stopped_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?,
+                                    CASE WHEN ? THEN CURRENT_TIMESTAMP END,
+                                    CASE WHEN ? THEN CURRENT_TIMESTAMP END,
+                                    NULL)
+                        `, [stat.name, stat.optional ? 1 : 0, stat.hits, stat.misses, matched ? 0 : 1,
+                            stat.matchedSelector, stat.matchedIndex, matched ? 1 : 0, stat.misses > 0 ? 1 : 0]);
+                        if (matched && stat.matchedIndex > 0) changes.fallback.push(stat);
+                        continue;
+                    }
 
-            // Get current account balance
-            const account = await this.query('SELECT * FROM account WHERE account_id = 1');
-            if (account.length === 0) {
-                console.error('   ❌ Account not found');
-                return false;
+                    // Only a selector that has matched before can stop matching
+                    const stopped = !matched && previous.last_hit_at !== null && previous.stopped_at === null;
+                    const recovered = matched && previous.stopped_at !== null;
+                    if (stopped) changes.stopped.push({ ...stat, matchedSelector: previous.matched_selector });
+                    if (recovered) changes.recovered.push(stat);
+                    if (matched && stat.matchedIndex !== previous.matched_index && stat.matchedIndex > 0) changes.fallback.push(stat);
+
+                    await this.runQuery(`
+                        UPDATE selector_health
+                        SET optional = ?,
+                            hits = hits + ?,
+                            misses = misses + ?,
+                            missed_cycles = CASE WHEN ? THEN 0 ELSE missed_cycles + 1 END,
+                            matched_selector = CASE WHEN ? THEN ? ELSE matched_selector END,
+                            matched_index = CASE WHEN ? THEN ? ELSE matched_index END,
+                            last_hit_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_hit_at END,
+                            last_miss_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_miss_at END,
+                            stopped_at = CASE WHEN ? THEN CURRENT_TIMESTAMP WHEN ? THEN NULL ELSE stopped_at END,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE name = ?
+                    `, [stat.optional ? 1 : 0, stat.hits, stat.misses,
+                        matched ? 1 : 0,
+                        matched ? 1 : 0, stat.matchedSelector,
+                        matched ? 1 : 0, stat.matchedIndex,
+                        matched ? 1 : 0,
+                        stat.misses > 0 ? 1 : 0,
+                        stopped ? 1 : 0, recovered ? 1 : 0,
+                        stat.name]);
+                }
+
+                return changes;
+            });
+        } catch (error) {
+            console.error('   ❌ Error recording selector health:', error.message);
+            return null;
+        }
+    }
+
+    // Stopped selectors first, then required before optional ones
+    async getSelectorHealth() {
+        return await this.query(`
+            SELECT * FROM selector_health
+            ORDER BY stopped_at IS NULL, optional, name
+        `);
+    }
+
+    // The match's pre-match price history, oldest first; snapshots from kick-off on are left out
+    async getOddsSeries(matchId) {
+        const rows = await this.query(`
+            SELECT bo.odds_id, bo.timestamp, bo.home_odds, bo.draw_odds, bo.away_odds
+            FROM betting_odds bo
+            JOIN matches m ON bo.match_id = m.match_id
+            WHERE bo.match_id = ?
+              AND (m.kickoff_at IS NULL OR bo.timestamp < m.kickoff_at)
+            ORDER BY bo.timestamp, bo.odds_id
+        `, [matchId]);
+
+        return rows.map(row => ({
+            oddsId: row.odds_id,
+            timestamp: row.timestamp,
+            HOME: row.home_odds,
+            DRAW: row.draw_odds,
+            AWAY: row.away_odds
+        }));
+    }
+
+    async getOddsMovement(matchId) {
+        return summariseMovement(await this.getOddsSeries(matchId));
+    }
+
+    // Stores the closing price and CLV on every bet on the match. Call inside a transaction.
+    async recordClosingLine(matchId) {
+        const movement = await this.getOddsMovement(matchId);
+        if (!movement) return 0;
+
+        const bets = await this.query('SELECT bet_id, team_bet_on, odds_taken FROM bets WHERE match_id = ?', [matchId]);
+        let recorded = 0;
+        for (const bet of bets) {
+            const selection = movement.selections[bet.team_bet_on];
+            if (!selection) continue;
+
+            await this.runQuery(
+                'UPDATE bets SET closing_odds = ?, clv = ? WHERE bet_id = ?',
+                [selection.closing, closingLineValue(bet.odds_taken, selection.closing), bet.bet_id]
+            );
+            recorded++;
+        }
+        return recorded;
+    }
+
+    // fixture: { stageName, homeTeam, awayTeam } as read from the page; the match row in the current tournament
+    async resolveMatch(fixture) {
+        if (!fixture || !fixture.stageName || !fixture.homeTeam || !fixture.awayTeam) return null;
+
+        const rows = await this.query(`
+            SELECT m.match_id FROM matches m
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            WHERE ts.stage_name = ?
+              AND ht.team_name = ?
+              AND at.team_name = ?
+              AND m.tournament_id IS ?
+            ORDER BY CASE WHEN m.status = 'COMPLETED' THEN 1 ELSE 0 END, m.created_at DESC
+            LIMIT 1
+        `, [fixture.stageName, fixture.homeTeam, fixture.awayTeam, this.currentTournamentId]);
+
+        return rows.length > 0 ? rows[0].match_id : null;
+    }
+
+    async getLatestOdds(matchId) {
+        const rows = await this.query(`
+            SELECT * FROM betting_odds
+            WHERE match_id = ?
+            ORDER BY timestamp DESC, odds_id DESC
+            LIMIT 1
+        `, [matchId]);
+        return rows[0] || null;
+    }
+
+    // bet: { matchId | fixture: { stageName, homeTeam, awayTeam }, selection: 'HOME' | 'DRAW' | 'AWAY', amount, odds? } with amount in minor units
+    // Resolves to { success, betId, matchId, selection, odds, amount, potentialWin, balance } or { success: false, error }
+    async placeBet(bet) {
+        const fail = (error) => {
+            console.error(`   ❌ Bet rejected: ${error}`);
+            return { success: false, error };
+        };
+
+        try {
+            if (!bet || typeof bet !== 'object') return fail('Bet details are required');
+
+            const selection = String(bet.selection || '').toUpperCase();
+            if (!BET_SELECTIONS.includes(selection)) {
+                return fail(`Selection must be one of ${BET_SELECTIONS.join(', ')} (got "${bet.selection}")`);
             }
 
-            const currentBalance = parseFloat(account[0].balance);
+            const amount = Number(bet.amount);
+            if (!Number.isInteger(amount) || amount <= 0) return fail(`Invalid amount: ${bet.amount} (expected whole minor units)`);
 
-            // Check if sufficient balance
-            if (currentBalance < amount) {
-                console.error(`   ❌ Insufficient balance: $${currentBalance.toFixed(2)} < $${amount}`);
-                return false;
+            let matchId = bet.matchId ? Number(bet.matchId) : null;
+            if (!matchId && bet.fixture) {
+                matchId = await this.resolveMatch(bet.fixture);
+                if (!matchId) return fail(`No match found for ${bet.fixture.stageName}: ${bet.fixture.homeTeam} vs ${bet.fixture.awayTeam}`);
             }
+            if (!matchId) return fail('A matchId or fixture is required');
+
+            const match = await this.query('SELECT match_id, status FROM matches WHERE match_id = ?', [matchId]);
+            if (match.length === 0) return fail(`Match ${matchId} does not exist`);
+            if (match[0].status === 'COMPLETED') return fail(`Match ${matchId} is already completed`);
+
+            // Offered price from the caller wins; otherwise use the latest scraped odds
+            let odds = bet.odds !== undefined && bet.odds !== null ? Number(bet.odds) : null;
+            if (odds === null) {
+                const latestOdds = await this.getLatestOdds(matchId);
+                const column = { HOME: 'home_odds', DRAW: 'draw_odds', AWAY: 'away_odds' }[selection];
+                odds = latestOdds ? latestOdds[column] : null;
+            }
+            if (!Number.isFinite(odds) || odds <= 1) return fail(`No valid odds available for ${selection} on match ${matchId}`);
+
+            console.log(`   💰 Placing bet: ${this.formatAmount(amount)} on ${selection} at odds ${odds} (match ${matchId})`);
 
             // Calculate potential win
-            const potentialWin = amount * odds;
+            const potentialWin = multiplyMinor(amount, odds);
 
-            // Insert bet
-            const betResult = await this.runQuery(`
-                INSERT INTO bets (match_id, team_bet_on, odds_taken, amount, potential_win)
-                VALUES (?, ?, ?, ?, ?)
-            `, [matchId, teamToBetOn, odds, amount, potentialWin]);
+            // Balance check, bet row, balance update and ledger entry commit together or not at all
+            const placed = await this.withTransaction(async () => {
+                const account = await this.query('SELECT * FROM account WHERE account_id = 1');
+                if (account.length === 0) return { error: 'Account not found' };
 
-            // Update account balance
-            const newBalance = currentBalance - amount;
-            await this.runQuery(`
-                UPDATE account SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE account_id = 1
-            `, [newBalance]);
+                const currentBalance = Number(account[0].balance);
+                if (currentBalance < amount) {
+                    return { error: `Insufficient balance: ${this.formatAmount(currentBalance)} < ${this.formatAmount(amount)}` };
+                }
 
-            // Record transaction
-            await this.runQuery(`
-                INSERT INTO transactions (bet_id, type, amount, balance_before, balance_after, description)
-                VALUES (?, 'BET_PLACED', ?, ?, ?, ?)
-            `, [betResult.lastID, amount, currentBalance, newBalance, `Bet placed on ${teamToBetOn}`]);
+                const exposure = await this.checkExposure(matchId, amount);
+                if (!exposure.allowed) {
+                    return { error: `Exposure limit: ${exposure.reason}` };
+                }
+
+                const betResult = await this.runQuery(`
+                    INSERT INTO bets (match_id, tournament_id, team_bet_on, odds_taken, amount, potential_win)
+                    VALUES (?, (SELECT tournament_id FROM matches WHERE match_id = ?), ?, ?, ?, ?)
+                `, [matchId, matchId, selection, odds, amount, potentialWin]);
 
-            console.log(`   ✅ Bet placed! ID: ${betResult.lastID}, New balance: $${newBalance.toFixed(2)}`);
-            console.log(`   🎯 Potential win: $${potentialWin.toFixed(2)}`);
+                const newBalance = currentBalance - amount;
+                await this.runQuery(`
+                    UPDATE account SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE account_id = 1
+                `, [newBalance]);
 
-            return betResult.lastID;
+                await this.runQuery(`
+                    INSERT INTO transactions (bet_id, type, amount, balance_before, balance_after, description)
+                    VALUES (?, 'BET_PLACED', ?, ?, ?, ?)
+                `, [betResult.lastID, amount, currentBalance, newBalance, `Bet placed on ${selection}`]);
+
+                return { betId: betResult.lastID, balance: newBalance };
+            });
+
+            if (placed.error) return fail(placed.error);
+
+            console.log(`   ✅ Bet placed! ID: ${placed.betId}, New balance: ${this.formatAmount(placed.balance)}`);
+            console.log(`   🎯 Potential win: ${this.formatAmount(potentialWin)}`);
+
+            return {
+                success: true,
+                betId: placed.betId,
+                matchId,
+                selection,
+                odds,
+                amount,
+                potentialWin,
+                balance: placed.balance
+            };
 
         } catch (error) {
             console.error('   ❌ Error placing bet:', error.message);
-            return false;
+            return { success: false, error: error.message };
         }
     }
 
@@ -436,101 +1222,374 @@ class BettingDatabase {
         try {
             console.log(`   ⚖️ Settling bets for match ${matchId} with result: ${result}`);
 
-            // Get all pending bets for this match
-            const pendingBets = await this.query(`
-                SELECT b.*, m.home_score, m.away_score, m.full_time_score,
-                       ht.team_name as home_team, at.team_name as away_team
-                FROM bets b
-                JOIN matches m ON b.match_id = m.match_id
-                JOIN teams ht ON m.home_team_id = ht.team_id
-                JOIN teams at ON m.away_team_id = at.team_id
-                WHERE b.match_id = ? AND b.status = 'PENDING'
-            `, [matchId]);
+            // All bets on the match, their ledger entries and the account totals settle in one transaction
+            await this.withTransaction(async () => {
+                // Get all pending bets for this match
+                const pendingBets = await this.query(`
+                    SELECT b.*, m.home_score, m.away_score, m.full_time_score,
+                           ht.team_name as home_team, at.team_name as away_team
+                    FROM bets b
+                    JOIN matches m ON b.match_id = m.match_id
+                    JOIN teams ht ON m.home_team_id = ht.team_id
+                    JOIN teams at ON m.away_team_id = at.team_id
+                    WHERE b.match_id = ? AND b.status = 'PENDING'
+                `, [matchId]);
+
+                if (pendingBets.length === 0) {
+                    console.log(`   ℹ️ No pending bets to settle for match ${matchId}`);
+                    return;
+                }
 
-            if (pendingBets.length === 0) {
-                console.log(`   ℹ️ No pending bets to settle for match ${matchId}`);
-                return;
-            }
+                console.log(`   📊 Found ${pendingBets.length} pending bet(s) to settle`);
 
-            console.log(`   📊 Found ${pendingBets.length} pending bet(s) to settle`);
+                // Get current account balance
+                const account = await this.query('SELECT * FROM account WHERE account_id = 1');
+                if (account.length === 0) {
+                    throw new Error('Account not found');
+                }
 
-            // Get current account balance
-            const account = await this.query('SELECT * FROM account WHERE account_id = 1');
-            if (account.length === 0) {
-                console.error('   ❌ Account not found');
-                return;
-            }
-
-            let currentBalance = parseFloat(account[0].balance);
-            let totalWins = account[0].total_wins;
-            let totalLosses = account[0].total_losses;
-            let totalProfitLoss = parseFloat(account[0].total_profit_loss);
-
-            // Settle each bet
-            for (const bet of pendingBets) {
-                let newStatus = 'LOST';
-                let actualWin = 0;
-                let profitLoss = -parseFloat(bet.amount);
-                let description = '';
-
-                // Determine bet outcome
-                const betResult = this.determineBetResult(bet.team_bet_on, result, bet.home_score, bet.away_score);
-
-                if (betResult === 'WIN') {
-                    newStatus = 'WON';
-                    actualWin = parseFloat(bet.potential_win);
-                    profitLoss = actualWin - parseFloat(bet.amount);
-                    description = `Bet won on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
-
-                    totalWins++;
-                } else if (betResult === 'LOSS') {
-                    newStatus = 'LOST';
-                    actualWin = 0;
-                    profitLoss = -parseFloat(bet.amount);
-                    description = `Bet lost on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
-
-                    totalLosses++;
-                } else {
-                    // Push (draw when betting on draw)
-                    newStatus = 'PUSH';
-                    actualWin = parseFloat(bet.amount); // Return stake
-                    profitLoss = 0;
-                    description = `Bet pushed on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
+                let currentBalance = Number(account[0].balance);
+                let totalWins = account[0].total_wins;
+                let totalLosses = account[0].total_losses;
+                let totalProfitLoss = Number(account[0].total_profit_loss);
+
+                // Settle each bet
+                for (const bet of pendingBets) {
+                    let newStatus = 'LOST';
+                    let actualWin = 0;
+                    let profitLoss = -bet.amount;
+                    let description = '';
+
+                    // Determine bet outcome
+                    const betResult = this.determineBetResult(bet.team_bet_on, result, bet.home_score, bet.away_score);
+
+                    if (betResult === 'WIN') {
+                        newStatus = 'WON';
+                        actualWin = bet.potential_win;
+                        profitLoss = actualWin - bet.amount;
+                        description = `Bet won on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
+
+                        totalWins++;
+                    } else if (betResult === 'LOSS') {
+                        newStatus = 'LOST';
+                        actualWin = 0;
+                        profitLoss = -bet.amount;
+                        description = `Bet lost on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
+
+                        totalLosses++;
+                    } else {
+                        // Push (draw when betting on draw)
+                        newStatus = 'PUSH';
+                        actualWin = bet.amount; // Return stake
+                        profitLoss = 0;
+                        description = `Bet pushed on ${bet.team_bet_on} (${bet.home_team} ${bet.full_time_score} ${bet.away_team})`;
+                    }
+
+                    // The stake already left the balance when the bet was placed, so only the payout comes back
+                    const balanceBefore = currentBalance;
+                    currentBalance += actualWin;
+                    totalProfitLoss += profitLoss;
+
+                    // Update bet
+                    await this.runQuery(`
+                        UPDATE bets 
+                        SET status = ?, actual_win = ?, profit_loss = ?, settled_at = CURRENT_TIMESTAMP
+                        WHERE bet_id = ?
+                    `, [newStatus, actualWin, profitLoss, bet.bet_id]);
+
+                    // Record transaction
+                    await this.runQuery(`
+                        INSERT INTO transactions (bet_id, type, amount, balance_before, balance_after, description)
+                        VALUES (?, 'BET_SETTLEMENT', ?, ?, ?, ?)
+                    `, [bet.bet_id, actualWin, balanceBefore, currentBalance, description]);
+
+                    console.log(`   ${newStatus === 'WON' ? '✅' : newStatus === 'LOST' ? '❌' : '➖'} Bet ${bet.bet_id}: ${newStatus} (${formatSignedMoney(profitLoss, this.currency)})`);
                 }
 
-                // Update balance
-                const balanceBefore = currentBalance;
-                currentBalance += profitLoss;
-                totalProfitLoss += profitLoss;
+                // The market has closed, so every bet's price can be measured against the closing line
+                await this.recordClosingLine(matchId);
 
-                // Update bet
+                // Update account summary
                 await this.runQuery(`
-                    UPDATE bets 
-                    SET status = ?, actual_win = ?, profit_loss = ?, settled_at = CURRENT_TIMESTAMP
-                    WHERE bet_id = ?
-                `, [newStatus, actualWin, profitLoss, bet.bet_id]);
+                    UPDATE account 
+                    SET balance = ?, total_wins = ?, total_losses = ?, total_profit_loss = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE account_id = 1
+                `, [currentBalance, totalWins, totalLosses, totalProfitLoss]);
+
+                console.log(`   💰 New balance: ${this.formatAmount(currentBalance)} (${formatSignedMoney(totalProfitLoss, this.currency)} total)`);
+            });
+
+        } catch (error) {
+            console.error('   ❌ Error settling bets, nothing was changed:', error.message);
+        }
+    }
+
+    async addFunds(amount, description = 'Manual deposit') {
+        return this.moveFunds('DEPOSIT', amount, description);
+    }
+
+    async withdrawFunds(amount, description = 'Manual withdrawal') {
+        return this.moveFunds('WITHDRAWAL', amount, description);
+    }
+
+    // amount is in minor units. Resolves to { success, amount, balanceBefore, balance } or { success: false, error }
+    async moveFunds(type, amount, description) {
+        const value = Number(amount);
+        if (!Number.isInteger(value) || value <= 0) {
+            return { success: false, error: `Invalid amount: ${amount} (expected whole minor units)` };
+        }
+
+        try {
+            return await this.withTransaction(async () => {
+                const account = await this.query('SELECT balance FROM account WHERE account_id = 1');
+                if (account.length === 0) return { success: false, error: 'Account not found' };
+
+                const balanceBefore = Number(account[0].balance);
+                if (type === 'WITHDRAWAL' && balanceBefore < value) {
+                    return { success: false, error: `Insufficient balance. Current: ${this.formatAmount(balanceBefore)}` };
+                }
+
+                const balance = type === 'DEPOSIT' ? balanceBefore + value : balanceBefore - value;
+                const totalColumn = type === 'DEPOSIT' ? 'total_deposits' : 'total_withdrawals';
 
-                // Record transaction
+                await this.runQuery(
+                    `UPDATE account SET balance = ?, ${totalColumn} = ${totalColumn} + ?, updated_at = CURRENT_TIMESTAMP WHERE account_id = 1`,
+                    [balance, value]
+                );
+
+                await this.runQuery(
+                    `INSERT INTO transactions (type, amount, balance_before, balance_after, description)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [type, value, balanceBefore, balance, description]
+                );
+
+                return { success: true, amount: value, balanceBefore, balance };
+            });
+
+        } catch (error) {
+            console.error(`❌ Error recording ${type.toLowerCase()}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    formatAmount(minor) {
+        return formatMoney(minor, this.currency);
+    }
+
+    // How a ledger row moves the balance. Stakes leave on BET_PLACED and payouts (0 for a loss)
+    // come back on BET_SETTLEMENT; ADJUSTMENT rows carry their own sign.
+    ledgerEffect(transaction) {
+        return signedLedgerAmount(transaction.type, transaction.amount);
+    }
+
+    // Replays the transactions table and checks it against account.balance
+    async reconcileLedger() {
+        const transactions = await this.query('SELECT * FROM transactions ORDER BY transaction_id');
+        const account = await this.query('SELECT * FROM account WHERE account_id = 1');
+        const chainIssues = [];
+
+        if (account.length > 0) {
+            this.currency = account[0].currency || DEFAULT_CURRENCY;
+        }
+
+        let replayedBalance = 0;
+        let previous = null;
+
+        for (const transaction of transactions) {
+            const before = Number(transaction.balance_before);
+            const after = Number(transaction.balance_after);
+            const effect = this.ledgerEffect(transaction);
+            const label = `Transaction ${transaction.transaction_id} (${transaction.type})`;
+
+            const follows = !previous || before === Number(previous.balance_after);
+            if (!follows && transaction.type === 'ADJUSTMENT') {
+                // A ledger repair restarts the chain from the replayed balance; earlier breaks are accounted for
+                chainIssues.length = 0;
+            } else if (!follows) {
+                chainIssues.push(`${label}: balance_before ${this.formatAmount(before)} does not follow ${this.formatAmount(previous.balance_after)} from transaction ${previous.transaction_id}`);
+            }
+            if (after !== before + effect) {
+                chainIssues.push(`${label}: ${this.formatAmount(before)} ${effect >= 0 ? '+' : '-'} ${this.formatAmount(Math.abs(effect))} should be ${this.formatAmount(before + effect)}, recorded ${this.formatAmount(after)}`);
+            }
+
+            replayedBalance += effect;
+            previous = transaction;
+        }
+
+        const issues = [...chainIssues];
+        const accountBalance = account.length > 0 ? Number(account[0].balance) : null;
+        if (accountBalance === null) {
+            issues.push('Account row is missing');
+        }
+
+        const difference = accountBalance === null ? null : accountBalance - replayedBalance;
+        if (difference !== null && difference !== 0) {
+            issues.push(`Account balance ${this.formatAmount(accountBalance)} differs from replayed ledger ${this.formatAmount(replayedBalance)} by ${this.formatAmount(difference)}`);
+        }
+
+        return {
+            balanced: issues.length === 0,
+            transactionCount: transactions.length,
+            replayedBalance,
+            accountBalance,
+            difference,
+            chainIssues,
+            issues
+        };
+    }
+
+    // Full check of the money tables: the transaction chain, each bet's ledger entries and the account
+    // totals recomputed from bets. Issues with an adjustment can be corrected by repairLedger().
+    async auditLedger() {
+        const ledger = await this.reconcileLedger();
+        const accounts = await this.query('SELECT * FROM account WHERE account_id = 1');
+        const bets = await this.query('SELECT * FROM bets ORDER BY bet_id');
+        const betTransactions = await this.query('SELECT * FROM transactions WHERE bet_id IS NOT NULL ORDER BY transaction_id');
+        const negativeRows = await this.query('SELECT transaction_id, type, balance_after FROM transactions WHERE balance_after < 0 ORDER BY transaction_id');
+
+        const issues = ledger.chainIssues.map(message => ({ category: 'CHAIN', message }));
+        const adjustments = [];
+        const betFixes = [];
+
+        negativeRows.forEach(row => {
+            issues.push({ category: 'NEGATIVE', message: `Transaction ${row.transaction_id} (${row.type}) left the balance at ${this.formatAmount(row.balance_after)}` });
+        });
+
+        const entriesByBet = new Map();
+        betTransactions.forEach(transaction => {
+            if (!entriesByBet.has(transaction.bet_id)) entriesByBet.set(transaction.bet_id, []);
+            entriesByBet.get(transaction.bet_id).push(transaction);
+        });
+
+        const sumOf = (entries, type) => entries
+            .filter(entry => entry.type === type)
+            .reduce((total, entry) => total + Number(entry.amount), 0);
+
+        const expected = { wins: 0, losses: 0, profitLoss: 0 };
+
+        for (const bet of bets) {
+            const entries = entriesByBet.get(bet.bet_id) || [];
+            const stake = Number(bet.amount);
+            const settled = ['WON', 'LOST', 'PUSH'].includes(bet.status);
+            const payout = settled ? Number(bet.actual_win) || 0 : 0;
+            const problems = [];
+
+            if (!entries.some(entry => entry.type === 'BET_PLACED')) {
+                problems.push('no BET_PLACED transaction');
+            } else if (sumOf(entries, 'BET_PLACED') !== stake) {
+                problems.push(`BET_PLACED of ${this.formatAmount(sumOf(entries, 'BET_PLACED'))} but the stake is ${this.formatAmount(stake)}`);
+            }
+
+            const hasSettlement = entries.some(entry => entry.type === 'BET_SETTLEMENT');
+            if (settled && !hasSettlement) {
+                problems.push(`settled as ${bet.status} with no BET_SETTLEMENT transaction`);
+            } else if (!settled && hasSettlement) {
+                problems.push(`still ${bet.status} but has a BET_SETTLEMENT transaction`);
+            } else if (settled && sumOf(entries, 'BET_SETTLEMENT') !== payout) {
+                problems.push(`BET_SETTLEMENT of ${this.formatAmount(sumOf(entries, 'BET_SETTLEMENT'))} but the payout is ${this.formatAmount(payout)}`);
+            }
+
+            // What the bet should have done to the balance versus what its ledger rows (earlier repairs included) did
+            const correction = (payout - stake) - entries.reduce((total, entry) => total + this.ledgerEffect(entry), 0);
+            const repaired = entries.some(entry => entry.type === 'ADJUSTMENT');
+
+            if (correction !== 0 || (problems.length > 0 && !repaired)) {
+                const amount = correction;
+                const reason = problems.length > 0 ? problems.join('; ') : 'ledger rows do not add up';
+                issues.push({
+                    category: 'BET',
+                    message: `Bet ${bet.bet_id}: ${reason}${amount !== 0 ? ` (balance off by ${this.formatAmount(amount)})` : ''}`
+                });
+                adjustments.push({ betId: bet.bet_id, amount, description: `Ledger repair for bet ${bet.bet_id}: ${reason}` });
+            }
+
+            if (settled) {
+                const profitLoss = payout - stake;
+                if (Number(bet.profit_loss) !== profitLoss) {
+                    issues.push({ category: 'BET', message: `Bet ${bet.bet_id}: profit_loss is ${this.formatAmount(bet.profit_loss)} but payout minus stake is ${this.formatAmount(profitLoss)}` });
+                    betFixes.push({ betId: bet.bet_id, profitLoss });
+                }
+
+                expected.profitLoss += profitLoss;
+                if (bet.status === 'WON') expected.wins++;
+                if (bet.status === 'LOST') expected.losses++;
+            }
+        }
+
+        expected.balance = ledger.replayedBalance + adjustments.reduce((total, adjustment) => total + adjustment.amount, 0);
+
+        const account = accounts[0] || null;
+        const recorded = account ? {
+            balance: Number(account.balance),
+            wins: account.total_wins,
+            losses: account.total_losses,
+            profitLoss: Number(account.total_profit_loss)
+        } : null;
+
+        if (!recorded) {
+            issues.push({ category: 'ACCOUNT', message: 'Account row is missing' });
+        } else {
+            if (recorded.balance < 0) {
+                issues.push({ category: 'NEGATIVE', message: `Account balance is ${this.formatAmount(recorded.balance)}` });
+            }
+            if (recorded.balance !== expected.balance) {
+                issues.push({ category: 'ACCOUNT', message: `Balance is ${this.formatAmount(recorded.balance)} but the ledger gives ${this.formatAmount(expected.balance)}` });
+            }
+            if (recorded.wins !== expected.wins || recorded.losses !== expected.losses) {
+                issues.push({ category: 'ACCOUNT', message: `Wins/losses are ${recorded.wins}/${recorded.losses} but bets give ${expected.wins}/${expected.losses}` });
+            }
+            if (recorded.profitLoss !== expected.profitLoss) {
+                issues.push({ category: 'ACCOUNT', message: `total_profit_loss is ${this.formatAmount(recorded.profitLoss)} but bets give ${this.formatAmount(expected.profitLoss)}` });
+            }
+        }
+
+        return {
+            healthy: issues.length === 0,
+            transactionCount: ledger.transactionCount,
+            betCount: bets.length,
+            replayedBalance: ledger.replayedBalance,
+            recorded,
+            expected,
+            issues,
+            adjustments,
+            betFixes
+        };
+    }
+
+    // Writes the ADJUSTMENT transactions an audit proposed and brings bets and the account row back in line.
+    // Past transactions are never rewritten; the first adjustment restarts the chain from the replayed balance.
+    async repairLedger(audit) {
+        return this.withTransaction(async () => {
+            const accounts = await this.query('SELECT account_id FROM account WHERE account_id = 1');
+            if (accounts.length === 0) throw new Error('Account row is missing');
+
+            const adjustments = [...audit.adjustments];
+            if (adjustments.length === 0 && audit.issues.some(issue => issue.category === 'CHAIN')) {
+                adjustments.push({ betId: null, amount: 0, description: 'Ledger repair: chain restarted from the replayed balance' });
+            }
+
+            let balance = audit.replayedBalance;
+            for (const adjustment of adjustments) {
+                const balanceBefore = balance;
+                balance += adjustment.amount;
                 await this.runQuery(`
                     INSERT INTO transactions (bet_id, type, amount, balance_before, balance_after, description)
-                    VALUES (?, 'BET_SETTLEMENT', ?, ?, ?, ?)
-                `, [bet.bet_id, profitLoss, balanceBefore, currentBalance, description]);
+                    VALUES (?, 'ADJUSTMENT', ?, ?, ?, ?)
+                `, [adjustment.betId, adjustment.amount, balanceBefore, balance, adjustment.description]);
+            }
 
-                console.log(`   ${newStatus === 'WON' ? '✅' : newStatus === 'LOST' ? '❌' : '➖'} Bet ${bet.bet_id}: ${newStatus} (${profitLoss > 0 ? '+' : ''}$${profitLoss.toFixed(2)})`);
+            for (const fix of audit.betFixes) {
+                await this.runQuery('UPDATE bets SET profit_loss = ? WHERE bet_id = ?', [fix.profitLoss, fix.betId]);
             }
 
-            // Update account summary
             await this.runQuery(`
-                UPDATE account 
+                UPDATE account
                 SET balance = ?, total_wins = ?, total_losses = ?, total_profit_loss = ?, updated_at = CURRENT_TIMESTAMP
                 WHERE account_id = 1
-            `, [currentBalance, totalWins, totalLosses, totalProfitLoss]);
-
-            console.log(`   💰 New balance: $${currentBalance.toFixed(2)} (${totalProfitLoss > 0 ? '+' : ''}$${totalProfitLoss.toFixed(2)} total)`);
+            `, [balance, audit.expected.wins, audit.expected.losses, audit.expected.profitLoss]);
 
-        } catch (error) {
-            console.error('   ❌ Error settling bets:', error.message);
-        }
+            return { adjustmentsWritten: adjustments.length, betsFixed: audit.betFixes.length, balance };
+        });
     }
 
     determineBetResult(teamBetOn, matchResult, homeScore, awayScore) {
@@ -583,20 +1642,117 @@ class BettingDatabase {
         }
     }
 
+    // One row per scheduled fixture of the current tournament, carrying its latest odds
     async getScheduledMatchesForBetting() {
         return await this.query(`
             SELECT m.match_id, ts.stage_name, ht.team_name as home_team,
                    at.team_name as away_team, bo.home_odds, bo.draw_odds, bo.away_odds,
-                   bo.odds_id
+                   bo.odds_id, mp.home_prob as fair_home_prob, mp.draw_prob as fair_draw_prob,
+                   mp.away_prob as fair_away_prob, mp.prediction_id, mp.matches_fitted
             FROM matches m
             JOIN tournament_stages ts ON m.stage_id = ts.stage_id
             JOIN teams ht ON m.home_team_id = ht.team_id
             JOIN teams at ON m.away_team_id = at.team_id
-            JOIN betting_odds bo ON m.match_id = bo.match_id
+            JOIN betting_odds bo ON bo.odds_id = (
+                SELECT odds_id FROM betting_odds
+                WHERE match_id = m.match_id AND is_active = 1
+                ORDER BY timestamp DESC, odds_id DESC
+                LIMIT 1
+            )
+            LEFT JOIN model_predictions mp ON mp.match_id = m.match_id AND mp.model = ?
             WHERE m.status = 'SCHEDULED'
-            AND bo.is_active = 1
+            AND (? IS NULL OR m.tournament_id = ?)
             ORDER BY m.created_at
+        `, [poissonModel.MODEL_NAME, this.currentTournamentId, this.currentTournamentId]);
+    }
+
+    // Completed-match record per team (keys upper-case), the history betting strategies work from
+    async getTeamHistory() {
+        const matches = await this.query(`
+            SELECT ts.stage_name, ht.team_name as home_team, at.team_name as away_team,
+                   m.home_score, m.away_score
+            FROM matches m
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            WHERE m.status = 'COMPLETED'
         `);
+
+        const history = {};
+        for (const match of matches) {
+            // Rows scraped from non-stage headings (e.g. STANDINGS) are not real fixtures
+            if (stageOrder(match.stage_name) === null) continue;
+            recordResult(history, match.home_team, match.away_team, match.home_score, match.away_score);
+        }
+
+        return history;
+    }
+
+    // Amounts already staked on the match's matchday (same stage of the same tournament) and today (UTC)
+    async getExposure(matchId) {
+        const rows = await this.query(`
+            SELECT
+                (SELECT COALESCE(SUM(b.amount), 0)
+                 FROM bets b JOIN matches bm ON b.match_id = bm.match_id
+                 WHERE bm.stage_id = m.stage_id AND bm.tournament_id IS m.tournament_id) as matchday,
+                (SELECT COALESCE(SUM(amount), 0) FROM bets WHERE date(placed_at) = date('now')) as day
+            FROM matches m
+            WHERE m.match_id = ?
+        `, [matchId]);
+
+        return rows[0] || { matchday: 0, day: 0 };
+    }
+
+    async checkExposure(matchId, amount) {
+        const exposure = await this.getExposure(matchId);
+        return { ...checkExposure(amount, exposure, this.exposureLimits, minor => this.formatAmount(minor)), exposure };
+    }
+
+    // Consecutive wins or losses at the end of the settled bet history, for progressive staking;
+    // { today: true } only looks at bets settled today (UTC)
+    async getBetStreak(options = {}) {
+        const rows = await this.query(`
+            SELECT status FROM bets
+            WHERE status IN ('WON', 'LOST') ${options.today ? "AND date(settled_at) = date('now')" : ''}
+            ORDER BY settled_at DESC, bet_id DESC
+            LIMIT 50
+        `);
+
+        const streak = { wins: 0, losses: 0 };
+        if (rows.length === 0) return streak;
+
+        const key = rows[0].status === 'WON' ? 'wins' : 'losses';
+        for (const row of rows) {
+            if (row.status !== rows[0].status) break;
+            streak[key]++;
+        }
+        return streak;
+    }
+
+    // Figures the session guards work from: today's settled profit/loss (UTC day, from the ledger),
+    // open bets, minutes since the latest loss and today's win/loss streak
+    async getSessionStats() {
+        const rows = await this.query(`
+            SELECT
+                (SELECT COALESCE(SUM(t.amount - b.amount), 0)
+                 FROM transactions t JOIN bets b ON t.bet_id = b.bet_id
+                 WHERE t.type = 'BET_SETTLEMENT' AND date(t.transaction_date) = date('now')) as daily_profit_loss,
+                (SELECT COUNT(*) FROM bets WHERE status = 'PENDING') as open_bets,
+                (SELECT (julianday('now') - julianday(MAX(settled_at))) * 1440
+                 FROM bets WHERE status = 'LOST') as minutes_since_loss
+        `);
+
+        return {
+            dailyProfitLoss: rows[0].daily_profit_loss,
+            openBets: rows[0].open_bets,
+            minutesSinceLoss: rows[0].minutes_since_loss,
+            streak: await this.getBetStreak({ today: true })
+        };
+    }
+
+    async hasPendingBet(matchId) {
+        const rows = await this.query(`SELECT COUNT(*) as count FROM bets WHERE match_id = ? AND status = 'PENDING'`, [matchId]);
+        return rows[0].count > 0;
     }
 
     async showDatabaseInfo() {
@@ -605,13 +1761,22 @@ class BettingDatabase {
             console.log('='.repeat(70));
 
             const tables = [
+                'tournaments',
                 'tournament_stages',
                 'teams',
                 'matches',
                 'betting_odds',
                 'account',
                 'bets',
-                'transactions'
+                'transactions',
+                'goal_events',
+                'team_rating_history',
+                'model_predictions',
+                'odds_fair_probabilities',
+                'value_bet_alerts',
+                'markets',
+                'market_selections',
+                'selector_health'
             ];
 
             for (const table of tables) {
@@ -622,12 +1787,21 @@ class BettingDatabase {
             const account = await this.getAccountSummary();
             if (account) {
                 console.log('\n💰 ACCOUNT SUMMARY:');
-                console.log(`   Current Balance: $${account.account.balance.toFixed(2)}`);
+                console.log(`   Current Balance: ${this.formatAmount(account.account.balance)}`);
                 console.log(`   Total Wins: ${account.account.total_wins}`);
                 console.log(`   Total Losses: ${account.account.total_losses}`);
                 console.log(`   Win Rate: ${account.winRate}%`);
             }
 
+            const ledger = await this.reconcileLedger();
+            if (ledger.balanced) {
+                console.log(`   Ledger: ✅ ${ledger.transactionCount} transactions reconcile with the balance`);
+            } else {
+                console.log(`   Ledger: ⚠️  ${ledger.issues.length} discrepancy(ies) found`);
+                ledger.issues.slice(0, 5).forEach(issue => console.log(`      • ${issue}`));
+                console.log('      Run "node reconcile.js" for the full report and --repair to fix it');
+            }
+
             console.log('\n⚽ RECENT MATCHES IN DATABASE:');
             console.log('-'.repeat(70));
 
@@ -660,7 +1834,8 @@ class BettingDatabase {
     async getScheduledMatches() {
         return await this.query(`
             SELECT m.match_id, ts.stage_name, ht.team_name as home_team,
-                   at.team_name as away_team, bo.home_odds, bo.draw_odds, bo.away_odds
+                   at.team_name as away_team, bo.home_odds, bo.draw_odds, bo.away_odds,
+                   ht.elo_rating as home_rating, at.elo_rating as away_rating
             FROM matches m
                      JOIN tournament_stages ts ON m.stage_id = ts.stage_id
                      JOIN teams ht ON m.home_team_id = ht.team_id
@@ -1,17 +1,40 @@
 // dbViewer.js - Interactive Database Viewer
 const sqlite3 = require('sqlite3').verbose();
 const readline = require('readline');
+const BettingDatabase = require('./database');
+const { DEFAULT_CURRENCY, formatMoney, formatSignedMoney, signedLedgerAmount } = require('./money');
+const { OUTCOMES } = require('./margins');
+const { summariseMovement } = require('./oddsMovement');
+const { DEFAULTS, cliConfig } = require('./config');
 
 class DatabaseViewer {
-    constructor() {
-        this.dbPath = './virtual_football_betting.db';
+    constructor(config = DEFAULTS) {
+        this.config = config;
+        this.dbPath = config.database.path;
         this.db = null;
+        this.currency = DEFAULT_CURRENCY;
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
         });
     }
 
+    // The reports read columns added by migrations, and before v4 balances were floats, not minor units
+    async checkSchema() {
+        const bettingDB = new BettingDatabase(this.config);
+        try {
+            await bettingDB.connect();
+            const pending = await bettingDB.getPendingMigrations();
+            if (pending.length > 0) {
+                throw new Error(`database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+            }
+        } finally {
+            if (bettingDB.db) {
+                await bettingDB.close();
+            }
+        }
+    }
+
     async connect() {
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
@@ -39,6 +62,10 @@ class DatabaseViewer {
         });
     }
 
+    money(minor) {
+        return formatMoney(minor, this.currency);
+    }
+
     async showMainMenu() {
         console.clear();
         console.log('='.repeat(70));
@@ -48,7 +75,7 @@ class DatabaseViewer {
         const summary = await this.getDatabaseSummary();
 
         console.log('\n📈 DATABASE SUMMARY:');
-        console.log(`   Account Balance: $${summary.account?.balance?.toFixed(2) || '0.00'}`);
+        console.log(`   Account Balance: ${this.money(summary.account?.balance || 0)}`);
         console.log(`   Total Matches: ${summary.matchCount}`);
         console.log(`   Total Teams: ${summary.teamCount}`);
         console.log(`   Tournament Stages: ${summary.stageCount}`);
@@ -89,6 +116,10 @@ class DatabaseViewer {
                 this.query("SELECT COUNT(*) as count FROM transactions")
             ]);
 
+            if (account[0]?.currency) {
+                this.currency = account[0].currency;
+            }
+
             return {
                 account: account[0],
                 stageCount: stages[0].count,
@@ -113,12 +144,12 @@ class DatabaseViewer {
         const account = await this.query("SELECT * FROM account WHERE account_id = 1");
         if (account[0]) {
             console.log('\n📈 ACCOUNT SUMMARY:');
-            console.log(`   Balance: $${account[0].balance.toFixed(2)}`);
+            console.log(`   Balance: ${this.money(account[0].balance)}`);
             console.log(`   Total Wins: ${account[0].total_wins}`);
             console.log(`   Total Losses: ${account[0].total_losses}`);
-            console.log(`   Total Deposits: $${account[0].total_deposits.toFixed(2)}`);
-            console.log(`   Total Withdrawals: $${account[0].total_withdrawals.toFixed(2)}`);
-            console.log(`   Total Profit/Loss: $${account[0].total_profit_loss.toFixed(2)}`);
+            console.log(`   Total Deposits: ${this.money(account[0].total_deposits)}`);
+            console.log(`   Total Withdrawals: ${this.money(account[0].total_withdrawals)}`);
+            console.log(`   Total Profit/Loss: ${formatSignedMoney(account[0].total_profit_loss, this.currency)}`);
 
             const totalBets = account[0].total_wins + account[0].total_losses;
             const winRate = totalBets > 0 ? (account[0].total_wins / totalBets * 100).toFixed(1) : 0;
@@ -145,10 +176,10 @@ class DatabaseViewer {
                     bet.status === 'LOST' ? '❌' : '⏳';
                 console.log(`\n${statusIcon} Bet #${bet.bet_id}: ${bet.home_team} vs ${bet.away_team}`);
                 console.log(`   ${bet.stage_name} | Bet on: ${bet.team_bet_on} | Odds: ${bet.odds_taken}`);
-                console.log(`   Amount: $${bet.amount} | Potential: $${bet.potential_win.toFixed(2)}`);
+                console.log(`   Amount: ${this.money(bet.amount)} | Potential: ${this.money(bet.potential_win)}`);
                 console.log(`   Status: ${bet.status} | Placed: ${bet.placed_at}`);
                 if (bet.status !== 'PENDING') {
-                    console.log(`   Actual: $${bet.actual_win.toFixed(2)} | P/L: $${bet.profit_loss.toFixed(2)}`);
+                    console.log(`   Actual: ${this.money(bet.actual_win)} | P/L: ${formatSignedMoney(bet.profit_loss, this.currency)}`);
                     if (bet.full_time_score) {
                         console.log(`   Result: ${bet.full_time_score} (${bet.match_result})`);
                     }
@@ -170,9 +201,10 @@ class DatabaseViewer {
         console.log('2. Upcoming Scheduled Matches');
         console.log('3. Search Matches by Team');
         console.log('4. View by Tournament Stage');
-        console.log('5. Back to Main Menu\n');
+        console.log('5. Goal Timeline for a Match');
+        console.log('6. Back to Main Menu\n');
 
-        const choice = await this.askQuestion('Select option (1-5): ');
+        const choice = await this.askQuestion('Select option (1-6): ');
 
         switch (choice) {
             case '1':
@@ -188,6 +220,9 @@ class DatabaseViewer {
                 await this.viewMatchesByStage();
                 break;
             case '5':
+                await this.viewGoalTimeline();
+                break;
+            case '6':
                 return;
             default:
                 console.log('Invalid choice');
@@ -336,6 +371,136 @@ class DatabaseViewer {
         await this.waitForInput();
     }
 
+    async viewReports() {
+        console.clear();
+        console.log('📊 STATISTICS & REPORTS');
+        console.log('='.repeat(70));
+
+        console.log('\n1. Team & Result Statistics');
+        console.log('2. Bookmaker Margin Report');
+        console.log('3. Back to Main Menu\n');
+
+        const choice = await this.askQuestion('Select option (1-3): ');
+
+        switch (choice) {
+            case '1':
+                await this.viewStatistics();
+                break;
+            case '2':
+                await this.viewMarginReport();
+                break;
+            case '3':
+                return;
+            default:
+                console.log('Invalid choice');
+        }
+    }
+
+    // How the book's overround and margin-free probabilities vary by stage, team and favourite price
+    async viewMarginReport() {
+        console.clear();
+        console.log('📐 BOOKMAKER MARGIN REPORT');
+        console.log('='.repeat(70));
+
+        const snapshots = await this.query(`
+            SELECT bo.odds_id, bo.home_odds, bo.draw_odds, bo.away_odds, bo.overround,
+                   ts.stage_name, ht.team_name as home_team, at.team_name as away_team,
+                   fp.method, fp.home_prob, fp.draw_prob, fp.away_prob
+            FROM betting_odds bo
+            JOIN matches m ON bo.match_id = m.match_id
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            LEFT JOIN odds_fair_probabilities fp ON fp.odds_id = bo.odds_id
+            WHERE bo.overround IS NOT NULL
+            ORDER BY bo.odds_id
+        `);
+
+        if (snapshots.length === 0) {
+            console.log('No analysed odds snapshots yet.');
+            await this.waitForInput();
+            return;
+        }
+
+        // One entry per snapshot with the favourite's probability under each method
+        const byOdds = new Map();
+        snapshots.forEach(row => {
+            if (!byOdds.has(row.odds_id)) {
+                const prices = { HOME: row.home_odds, DRAW: row.draw_odds, AWAY: row.away_odds };
+                const favourite = Object.keys(prices).reduce((best, key) => prices[key] < prices[best] ? key : best, 'HOME');
+                byOdds.set(row.odds_id, { ...row, favourite, favouritePrice: prices[favourite], favouriteProb: {} });
+            }
+            if (row.method) {
+                const entry = byOdds.get(row.odds_id);
+                entry.favouriteProb[row.method] = { HOME: row.home_prob, DRAW: row.draw_prob, AWAY: row.away_prob }[entry.favourite];
+            }
+        });
+        const entries = [...byOdds.values()];
+
+        const summarise = (groupOf) => {
+            const groups = new Map();
+            entries.forEach(entry => {
+                [].concat(groupOf(entry)).forEach(key => {
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(entry);
+                });
+            });
+            return [...groups.entries()].map(([key, group]) => ({
+                key,
+                count: group.length,
+                overround: group.reduce((sum, entry) => sum + entry.overround, 0) / group.length
+            }));
+        };
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+
+        const overrounds = entries.map(entry => entry.overround);
+        console.log(`\nSnapshots analysed: ${entries.length}`);
+        console.log(`Average overround: ${percent(overrounds.reduce((sum, value) => sum + value, 0) / entries.length)}` +
+            ` (min ${percent(Math.min(...overrounds))}, max ${percent(Math.max(...overrounds))})`);
+
+        console.log('\n🏆 BY STAGE:');
+        console.log('-'.repeat(50));
+        summarise(entry => entry.stage_name).forEach(group => {
+            console.log(`   ${group.key.padEnd(20)}${percent(group.overround).padEnd(12)}${group.count} snapshot(s)`);
+        });
+
+        console.log('\n🏅 BY TEAM (highest margin first):');
+        console.log('-'.repeat(50));
+        summarise(entry => [entry.home_team, entry.away_team])
+            .sort((a, b) => b.overround - a.overround)
+            .forEach(group => {
+                console.log(`   ${group.key.padEnd(20)}${percent(group.overround).padEnd(12)}${group.count} snapshot(s)`);
+            });
+
+        const buckets = [
+            { label: 'under 1.30', max: 1.3 },
+            { label: '1.30 - 1.59', max: 1.6 },
+            { label: '1.60 - 1.99', max: 2.0 },
+            { label: '2.00 - 2.49', max: 2.5 },
+            { label: '2.50 and up', max: Infinity }
+        ];
+        const bucketOf = entry => buckets.find(bucket => entry.favouritePrice < bucket.max).label;
+
+        console.log('\n🎯 BY FAVOURITE PRICE (favourite probability: proportional / shin / power):');
+        console.log('-'.repeat(80));
+        const favouriteGroups = summarise(bucketOf);
+        buckets.forEach(bucket => {
+            const group = favouriteGroups.find(candidate => candidate.key === bucket.label);
+            if (!group) return;
+
+            const members = entries.filter(entry => bucketOf(entry) === bucket.label);
+            const average = method => {
+                const values = members.map(entry => entry.favouriteProb[method]).filter(value => value !== undefined);
+                return values.length > 0 ? percent(values.reduce((sum, value) => sum + value, 0) / values.length) : 'N/A';
+            };
+            console.log(`   ${bucket.label.padEnd(14)}${percent(group.overround).padEnd(10)}` +
+                `${average('proportional')} / ${average('shin')} / ${average('power')}`.padEnd(30) +
+                `${group.count} snapshot(s)`);
+        });
+
+        await this.waitForInput();
+    }
+
     async viewStatistics() {
         console.clear();
         console.log('📊 STATISTICS & REPORTS');
@@ -345,6 +510,7 @@ class DatabaseViewer {
         const teamStats = await this.query(`
             SELECT 
                 t.team_name,
+                t.elo_rating,
                 COUNT(*) as total_matches,
                 SUM(CASE WHEN m.result = 'HOME_WIN' AND m.home_team_id = t.team_id THEN 1 
                          WHEN m.result = 'AWAY_WIN' AND m.away_team_id = t.team_id THEN 1 
@@ -364,9 +530,9 @@ class DatabaseViewer {
         `);
 
         console.log('\n🏆 TEAM PERFORMANCE STATISTICS:');
-        console.log('-'.repeat(80));
-        console.log('Team'.padEnd(15) + 'Matches'.padEnd(10) + 'W-D-L'.padEnd(10) + 'Goals'.padEnd(15) + 'Win %'.padEnd(10) + 'Points');
-        console.log('-'.repeat(80));
+        console.log('-'.repeat(90));
+        console.log('Team'.padEnd(15) + 'Matches'.padEnd(10) + 'W-D-L'.padEnd(10) + 'Goals'.padEnd(15) + 'Win %'.padEnd(10) + 'Points'.padEnd(10) + 'Elo');
+        console.log('-'.repeat(90));
 
         teamStats.forEach(team => {
             const winRate = ((team.wins / team.total_matches) * 100).toFixed(1);
@@ -380,7 +546,8 @@ class DatabaseViewer {
                 record.padEnd(10) +
                 goals.padEnd(15) +
                 winRate.padEnd(10) + '%' +
-                points.toString().padEnd(10)
+                points.toString().padEnd(10) +
+                team.elo_rating.toFixed(0)
             );
         });
 
@@ -422,6 +589,7 @@ class DatabaseViewer {
         console.log('🔍 CUSTOM SQL QUERY');
         console.log('='.repeat(70));
         console.log('\nAvailable tables:');
+        console.log('  • tournaments');
         console.log('  • tournament_stages');
         console.log('  • teams');
         console.log('  • matches');
@@ -429,6 +597,7 @@ class DatabaseViewer {
         console.log('  • account');
         console.log('  • bets');
         console.log('  • transactions');
+        console.log('  • goal_events');
         console.log('\nExample: SELECT * FROM matches LIMIT 5\n');
 
         const query = await this.askQuestion('Enter SQL query (or "back" to return): ');
@@ -575,6 +744,95 @@ class DatabaseViewer {
         await this.waitForInput();
     }
 
+    async viewGoalTimeline() {
+        const recent = await this.query(`
+            SELECT m.match_id, ts.stage_name,
+                   ht.team_name as home_team, at.team_name as away_team,
+                   m.full_time_score, m.status, COUNT(g.event_id) as goal_count
+            FROM matches m
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            JOIN goal_events g ON g.match_id = m.match_id
+            GROUP BY m.match_id
+            ORDER BY MAX(g.recorded_at) DESC
+            LIMIT 10
+        `);
+
+        console.clear();
+        console.log('⏱️  GOAL TIMELINE');
+        console.log('='.repeat(70));
+
+        if (recent.length === 0) {
+            console.log('No goal events recorded yet.');
+            await this.waitForInput();
+            return;
+        }
+
+        console.log('\nRecent matches with goal events:');
+        recent.forEach(match => {
+            console.log(`   #${match.match_id} ${match.stage_name}: ${match.home_team} ${match.full_time_score || 'vs'} ${match.away_team} (${match.goal_count} goal(s), ${match.status})`);
+        });
+
+        const matchId = parseInt(await this.askQuestion('\nEnter match ID (or 0 to go back): '));
+        if (isNaN(matchId) || matchId === 0) {
+            return;
+        }
+
+        const match = await this.query(`
+            SELECT m.*, ts.stage_name, ht.team_name as home_team, at.team_name as away_team
+            FROM matches m
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            WHERE m.match_id = ?
+        `, [matchId]);
+
+        if (match.length === 0) {
+            console.log(`No match found with ID ${matchId}.`);
+            await this.waitForInput();
+            return;
+        }
+
+        const events = await this.query(`
+            SELECT * FROM goal_events
+            WHERE match_id = ?
+            ORDER BY event_id
+        `, [matchId]);
+
+        const info = match[0];
+        console.log(`\n⚽ ${info.stage_name}: ${info.home_team} vs ${info.away_team}`);
+        console.log(`   Status: ${info.status}${info.full_time_score ? ` | Final: ${info.full_time_score}` : ''}`);
+        console.log('-'.repeat(50));
+
+        if (events.length === 0) {
+            console.log('   No goal events recorded for this match.');
+        } else {
+            events.forEach(event => {
+                const minute = event.minute !== null ? `${event.minute}'`.padStart(5) : '   ? ';
+                const scorer = event.scoring_side === 'HOME' ? info.home_team : info.away_team;
+                console.log(`   ${minute}  ${scorer.padEnd(12)} ${event.home_score}:${event.away_score}`);
+            });
+
+            const first = events[0];
+            console.log('\n📈 TIMELINE SUMMARY:');
+            console.log(`   First goal: ${first.minute !== null ? `${first.minute}'` : 'unknown minute'} (${first.scoring_side})`);
+            console.log(`   Late goals (80'+): ${events.filter(event => event.minute !== null && event.minute >= 80).length}`);
+
+            // A comeback is a side that trailed at some point and did not lose
+            const last = events[events.length - 1];
+            const homeTrailed = events.some(event => event.home_score < event.away_score);
+            const awayTrailed = events.some(event => event.away_score < event.home_score);
+            if (homeTrailed && last.home_score >= last.away_score) {
+                console.log(`   Comeback: ${info.home_team} recovered from behind`);
+            } else if (awayTrailed && last.away_score >= last.home_score) {
+                console.log(`   Comeback: ${info.away_team} recovered from behind`);
+            }
+        }
+
+        await this.waitForInput();
+    }
+
     async viewTournamentStages() {
         const stages = await this.query(`
             SELECT ts.*, 
@@ -677,27 +935,27 @@ class DatabaseViewer {
                 if (trans.type === 'DEPOSIT') totalDeposits += trans.amount;
                 if (trans.type === 'WITHDRAWAL') totalWithdrawals += trans.amount;
                 if (trans.type === 'BET_PLACED') totalBets += trans.amount;
-                if (trans.type === 'BET_WON') totalWins += trans.amount;
+                if (trans.type === 'BET_SETTLEMENT') totalWins += trans.amount;
             });
 
             console.log('\n📊 TRANSACTION SUMMARY:');
-            console.log(`   Total Deposits: $${totalDeposits.toFixed(2)}`);
-            console.log(`   Total Withdrawals: $${totalWithdrawals.toFixed(2)}`);
-            console.log(`   Total Bets Placed: $${totalBets.toFixed(2)}`);
-            console.log(`   Total Bets Won: $${totalWins.toFixed(2)}`);
-            console.log(`   Net Cash Flow: $${(totalDeposits - totalWithdrawals + totalWins - totalBets).toFixed(2)}\n`);
+            console.log(`   Total Deposits: ${this.money(totalDeposits)}`);
+            console.log(`   Total Withdrawals: ${this.money(totalWithdrawals)}`);
+            console.log(`   Total Bets Placed: ${this.money(totalBets)}`);
+            console.log(`   Total Bets Won: ${this.money(totalWins)}`);
+            console.log(`   Net Cash Flow: ${formatSignedMoney(totalDeposits - totalWithdrawals + totalWins - totalBets, this.currency)}\n`);
 
             console.log('📋 RECENT TRANSACTIONS:');
             console.log('-'.repeat(70));
 
             transactions.forEach(trans => {
                 const date = new Date(trans.transaction_date).toLocaleString();
-                const sign = trans.type.includes('WON') || trans.type === 'DEPOSIT' ? '+' : '-';
-                const color = sign === '+' ? '\x1b[32m' : '\x1b[31m';
+                const effect = signedLedgerAmount(trans.type, trans.amount);
+                const color = effect >= 0 ? '\x1b[32m' : '\x1b[31m';
 
                 console.log(`[${date}] ${trans.type}`);
-                console.log(`   Amount: ${color}${sign}$${Math.abs(trans.amount).toFixed(2)}\x1b[0m`);
-                console.log(`   Balance: $${trans.balance_before.toFixed(2)} → $${trans.balance_after.toFixed(2)}`);
+                console.log(`   Amount: ${color}${formatSignedMoney(effect, this.currency)}\x1b[0m`);
+                console.log(`   Balance: ${this.money(trans.balance_before)} → ${this.money(trans.balance_after)}`);
 
                 if (trans.bet_id && trans.home_team) {
                     console.log(`   Match: ${trans.home_team} vs ${trans.away_team} (Bet on: ${trans.team_bet_on})`);
@@ -710,6 +968,61 @@ class DatabaseViewer {
         await this.waitForInput();
     }
 
+    // One row per fixture: its pre-match price history summarised for each selection
+    async oddsMovementRows() {
+        const snapshots = await this.query(`
+            SELECT bo.match_id, bo.timestamp, bo.home_odds, bo.draw_odds, bo.away_odds,
+                   ts.stage_name, ht.team_name as home_team, at.team_name as away_team, m.status
+            FROM betting_odds bo
+            JOIN matches m ON bo.match_id = m.match_id
+            JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+            JOIN teams ht ON m.home_team_id = ht.team_id
+            JOIN teams at ON m.away_team_id = at.team_id
+            WHERE m.kickoff_at IS NULL OR bo.timestamp < m.kickoff_at
+            ORDER BY bo.match_id, bo.timestamp, bo.odds_id
+        `);
+
+        const fixtures = new Map();
+        snapshots.forEach(snapshot => {
+            if (!fixtures.has(snapshot.match_id)) {
+                fixtures.set(snapshot.match_id, { match: snapshot, series: [] });
+            }
+            fixtures.get(snapshot.match_id).series.push({
+                timestamp: snapshot.timestamp,
+                HOME: snapshot.home_odds,
+                DRAW: snapshot.draw_odds,
+                AWAY: snapshot.away_odds
+            });
+        });
+
+        return [...fixtures.values()].map(({ match, series }) => {
+            const movement = summariseMovement(series);
+            const row = {
+                match_id: match.match_id,
+                stage_name: match.stage_name,
+                home_team: match.home_team,
+                away_team: match.away_team,
+                status: match.status,
+                snapshots: movement.snapshots,
+                changes: movement.changes,
+                first_seen: movement.firstSeen,
+                last_seen: movement.lastSeen
+            };
+
+            OUTCOMES.forEach(outcome => {
+                const selection = movement.selections[outcome] || {};
+                const prefix = outcome.toLowerCase();
+                row[`${prefix}_open`] = selection.opening;
+                row[`${prefix}_close`] = selection.closing;
+                row[`${prefix}_min`] = selection.min;
+                row[`${prefix}_max`] = selection.max;
+                row[`${prefix}_changes`] = selection.changes;
+                row[`${prefix}_drift`] = selection.drift;
+            });
+            return row;
+        });
+    }
+
     async exportData() {
         console.clear();
         console.log('📤 EXPORT DATA');
@@ -720,13 +1033,14 @@ class DatabaseViewer {
         console.log('2. Betting Odds');
         console.log('3. Betting History');
         console.log('4. Transaction History');
-        console.log('5. Back to Main Menu\n');
+        console.log('5. Odds Movement (per fixture)');
+        console.log('6. Back to Main Menu\n');
 
-        const choice = await this.askQuestion('Select option (1-5): ');
+        const choice = await this.askQuestion('Select option (1-6): ');
 
-        if (choice === '5') return;
+        if (choice === '6') return;
 
-        let query, filename;
+        let query, loadRows, filename;
 
         switch (choice) {
             case '1':
@@ -763,9 +1077,13 @@ class DatabaseViewer {
                 query = `
                     SELECT b.bet_id, ts.stage_name, 
                            ht.team_name as home_team, at.team_name as away_team,
-                           b.team_bet_on, b.odds_taken, b.amount,
-                           b.potential_win, b.actual_win, b.status,
-                           b.profit_loss, b.placed_at, b.settled_at,
+                           b.team_bet_on, b.odds_taken,
+                           printf('%.2f', b.amount / 100.0) as amount,
+                           printf('%.2f', b.potential_win / 100.0) as potential_win,
+                           printf('%.2f', b.actual_win / 100.0) as actual_win, b.status,
+                           printf('%.2f', b.profit_loss / 100.0) as profit_loss,
+                           b.closing_odds, ROUND(b.clv, 4) as clv,
+                           b.placed_at, b.settled_at,
                            m.full_time_score, m.result as match_result
                     FROM bets b
                     JOIN matches m ON b.match_id = m.match_id
@@ -778,8 +1096,10 @@ class DatabaseViewer {
                 break;
             case '4':
                 query = `
-                    SELECT t.transaction_id, t.type, t.amount,
-                           t.balance_before, t.balance_after,
+                    SELECT t.transaction_id, t.type,
+                           printf('%.2f', t.amount / 100.0) as amount,
+                           printf('%.2f', t.balance_before / 100.0) as balance_before,
+                           printf('%.2f', t.balance_after / 100.0) as balance_after,
                            t.description, t.transaction_date,
                            b.team_bet_on, ht.team_name as home_team, 
                            at.team_name as away_team
@@ -792,13 +1112,17 @@ class DatabaseViewer {
                 `;
                 filename = 'transactions_export.csv';
                 break;
+            case '5':
+                loadRows = () => this.oddsMovementRows();
+                filename = 'odds_movement_export.csv';
+                break;
             default:
                 console.log('Invalid choice.');
                 return;
         }
 
         try {
-            const rows = await this.query(query);
+            const rows = loadRows ? await loadRows() : await this.query(query);
 
             if (rows.length === 0) {
                 console.log('\n⚠️  No data to export.');
@@ -852,6 +1176,7 @@ class DatabaseViewer {
 
     async start() {
         try {
+            await this.checkSchema();
             await this.connect();
 
             while (true) {
@@ -878,7 +1203,7 @@ class DatabaseViewer {
                         await this.viewTransactions();
                         break;
                     case '7':
-                        await this.viewStatistics();
+                        await this.viewReports();
                         break;
                     case '8':
                         await this.exportData();
@@ -898,6 +1223,7 @@ class DatabaseViewer {
             }
         } catch (error) {
             console.error('Error:', error.message);
+            process.exitCode = 1;
             this.rl.close();
         }
     }
@@ -905,6 +1231,6 @@ class DatabaseViewer {
 
 // Start the viewer
 (async () => {
-    const viewer = new DatabaseViewer();
+    const viewer = new DatabaseViewer(cliConfig());
     await viewer.start();
 })();
\ No newline at end of file
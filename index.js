@@ -1,17 +1,83 @@
 // index.js - COMPLETE VERSION WITH BETTING SYSTEM INTEGRATION
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const sqlite3 = require('sqlite3').verbose();
-const { username, password } = require('./user');
 const BettingDatabase = require('./database');
+const SnapshotReplayServer = require('./snapshotReplay');
+const SnapshotRecorder = require('./snapshotRecorder');
+const SessionStore = require('./sessionStore');
+const ProcessLock = require('./processLock');
+const { MatchTracker, FIXTURE_STATES } = require('./matchTracker');
+const { fromMinor, multiplyMinor, formatMoney, formatSignedMoney } = require('./money');
+const { selectBets, describeSelection, fixtureFromMatch, SELECTIONS } = require('./strategies');
+const { getPlan, planOptionsFromValue, calculateStake } = require('./staking');
+const { SessionGuards, guardsFromConfig } = require('./sessionGuards');
+const { detectValueBets } = require('./valueBets');
+const { MARKET_SELECTORS, readMarketBlocks, normaliseMarkets } = require('./markets');
+const { SelectorRegistry } = require('./selectors');
+const { DEFAULTS, cliConfig, replayConfig } = require('./config');
+const { ask, askNewPassphrase, resolveCredentials, writeVault, trackedPlaintextFiles, listProviders } = require('./credentials');
+
+// Healthy scrape cycles after which a daemon restart counts as a recovery rather than another failure in a row
+const STABLE_CYCLES = 10;
 
 class VirtualFootballScraper {
-    constructor() {
+    constructor(options = {}) {
+        // Site, browser, timing and file settings (config.js); replays get their own databases and files
+        const config = options.config || DEFAULTS;
+        this.config = config.replay.dir ? replayConfig(config) : config;
+
+        // { username, password, source } from credentials.js; not needed in replay mode
+        this.credentials = options.credentials || null;
+
+        // Replay mode (offline snapshots instead of the live site)
+        this.replayDir = this.config.replay.dir;
+        this.replayServer = null;
+
+        // Capture mode (archive the iframe DOM every cycle)
+        this.captureDir = this.config.capture.enabled ? this.config.capture.dir : null;
+        this.captureLimit = this.config.capture.limit;
+        this.recorder = null;
+
+        // Cookies and localStorage saved after login and reused on the next launch; replays never log in
+        this.sessionStore = !this.replayDir && this.config.browser.persistSession
+            ? new SessionStore(this.config.browser.sessionFile)
+            : null;
+        this.context = null;
+
+        // Daemon mode: headless, never reads stdin, holds a PID/lock file and restarts the browser with
+        // exponential backoff when the game iframe disappears or navigation fails
+        this.daemon = this.config.daemon.enabled;
+        this.lock = null;
+        this.browserLaunchError = null;
+        this.missingFrameCycles = 0;
+        this.healthyCycles = 0;
+        this.shuttingDown = false;
+
         // Betting tracking properties
         this.completedRounds = 0;
         this.roundMatches = new Set();
-        this.betPlaced = false;
         this.currentMatchday = 0;
+        this.lastBetMatchday = 0;
+        this.betsPlaced = 0;
+
+        // Strategy deciding what to back, on the site and in the simulated account
+        const { strategy, staking, stake } = this.config.betting;
+        this.strategyName = strategy;
+        this.strategyOptions = { staking: stake === null ? { plan: staking } : planOptionsFromValue(staking, stake) };
+        this.autoBet = this.config.betting.autoBet;
+        this.guardOptions = guardsFromConfig(this.config.guards);
+        this.sessionGuards = null;
+
+        // Value bets: offered prices beating the model's fair price by valueEdge are recorded as alerts and,
+        // with valueAutoBet, backed in the simulated account
+        this.valueEdge = this.config.betting.valueEdge;
+        this.valueAutoBet = this.config.betting.valueAutoBet;
+
+        // Fixture lifecycle - results are only committed once a fixture finishes
+        this.matchTracker = new MatchTracker();
+        this.scoreboardReadings = new Map();
 
         // Existing properties
         this.db = null; // Old database
@@ -21,13 +87,23 @@ class VirtualFootballScraper {
         this.isRunning = false;
         this.data = [];
         this.savedKeys = new Set();
-        this.jsonFile = 'leap_results_with_odds.json';
-        this.oddsDataFile = 'betting_odds_data.json';
+        this.jsonFile = this.config.files.results;
+        this.oddsDataFile = this.config.files.odds;
         this.currentStage = 'Unknown Stage';
         this.loginPopupCount = 0;
         this.bettingTrigger = false;
         this.lastBettingCheck = null;
-        this.bettingCheckInterval = 60000;
+        this.bettingCheckInterval = this.config.scraper.bettingCheckInterval;
+
+        // Full market lists (double chance, over/under, ...) take a few clicks to open, so each fixture's
+        // list is read at most once per marketRefreshInterval; --no-markets keeps to the 1X2 prices
+        this.captureMarkets = this.config.scraper.captureMarkets;
+        this.marketRefreshInterval = this.config.scraper.marketRefreshInterval;
+        this.marketsCapturedAt = new Map();
+        this.marketListMissingLogged = false;
+
+        // Every page selector, by name (selectors.json, optionally overridden by scraper.selectorsFile)
+        this.selectors = options.selectors || SelectorRegistry.load(this.config.scraper.selectorsFile);
     }
 
     async initialize() {
@@ -36,7 +112,17 @@ class VirtualFootballScraper {
             console.log('🏆 VIRTUAL FOOTBALL SCRAPER WITH BETTING SYSTEM');
             console.log('='.repeat(70));
 
+            if (this.replayDir) {
+                await fs.mkdir(this.config.replay.outputDir, { recursive: true });
+                console.log(`🎞️  Replay output goes to ${this.config.replay.outputDir}, not the live database`);
+            }
             await this.setupDatabase();
+            if (this.replayDir) {
+                await this.setupReplay();
+            } else if (this.captureDir) {
+                this.recorder = new SnapshotRecorder(this.captureDir, this.captureLimit);
+                await this.recorder.initialize();
+            }
             await this.launchBrowser();
             await this.loadExistingData();
             await this.showRecentMatches();
@@ -53,11 +139,14 @@ class VirtualFootballScraper {
     async setupDatabase() {
         console.log('\n📦 Setting up databases...');
         console.log('   Initializing betting database...');
-        this.bettingDB = new BettingDatabase();
+        this.bettingDB = new BettingDatabase(this.config);
         await this.bettingDB.initialize();
+        this.sessionGuards = new SessionGuards(this.bettingDB, this.guardOptions);
+        console.log(`   🛡️  Session guards: ${this.sessionGuards.describe()}`);
+        console.log(`   💎 Value alerts: edge ≥ ${(this.valueEdge * 100).toFixed(1)}%${this.valueAutoBet ? ', auto-bet on' : ''}`);
 
         return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database('./matches.db', (err) => {
+            this.db = new sqlite3.Database(this.config.database.matchesPath, (err) => {
                 if (err) {
                     console.error('❌ Old database connection failed:', err.message);
                     reject(err);
@@ -89,16 +178,44 @@ class VirtualFootballScraper {
         });
     }
 
+    async setupReplay() {
+        console.log(`\n🎞️  Setting up replay from ${this.replayDir}...`);
+        this.replayServer = new SnapshotReplayServer(this.replayDir);
+        await this.replayServer.start();
+    }
+
     async launchBrowser() {
         console.log('\n🌐 Launching browser...');
         this.browser = await chromium.launch({
-            headless: false,
-            slowMo: 100,
+            headless: !!this.replayDir || this.daemon || this.config.browser.headless,
+            slowMo: this.config.browser.slowMo,
             timeout: 60000
         });
-        this.page = await this.browser.newPage();
-        await this.page.setViewportSize({ width: 1366, height: 900 });
-        console.log('✅ Browser launched');
+        const storageState = this.sessionStore ? await this.sessionStore.load() : null;
+        this.context = await this.browser.newContext({
+            viewport: { width: 1366, height: 900 },
+            storageState: storageState || undefined
+        });
+        this.page = await this.context.newPage();
+        this.missingFrameCycles = 0;
+        this.healthyCycles = 0;
+        console.log(storageState ? `✅ Browser launched with the saved session from ${this.sessionStore.file}` : '✅ Browser launched');
+    }
+
+    // Saves cookies once the site shows we are logged in, so the next run can skip the login
+    async saveSession() {
+        if (!this.sessionStore) return;
+        if (await this.checkIfLoginNeeded()) {
+            console.log('   ⚠️  Still logged out - session not saved');
+            return;
+        }
+        await this.sessionStore.save(this.context);
+    }
+
+    async forgetSession(reason) {
+        if (this.sessionStore) {
+            await this.sessionStore.invalidate(reason);
+        }
     }
 
     async loadExistingData() {
@@ -107,8 +224,7 @@ class VirtualFootballScraper {
             const fileContent = await fs.readFile(this.jsonFile, 'utf8');
             this.data = JSON.parse(fileContent);
             this.data.forEach(match => {
-                const key = `${match.tournament_stage || 'Unknown'}-${match.homeTeam}-${match.awayTeam}-${match.fullTimeScore}`;
-                this.savedKeys.add(key);
+                this.savedKeys.add(this.resultKey(match));
             });
             console.log(`✅ Loaded ${this.data.length} existing matches`);
             try {
@@ -127,6 +243,10 @@ class VirtualFootballScraper {
         }
     }
 
+    resultKey(match) {
+        return `${match.tournament_id || 'legacy'}-${match.tournament_stage || 'Unknown'}-${match.homeTeam}-${match.awayTeam}-${match.fullTimeScore}`;
+    }
+
     async showRecentMatches() {
         return new Promise((resolve, reject) => {
             this.db.all(
@@ -153,10 +273,24 @@ class VirtualFootballScraper {
         });
     }
 
+    async loadNextSnapshot() {
+        const snapshot = this.replayServer.next();
+        if (!snapshot) return false;
+
+        console.log(`   🎞️  Replaying snapshot ${this.replayServer.currentIndex + 1}/${this.replayServer.snapshots.length}: ${snapshot}`);
+        await this.page.goto(this.replayServer.url, { waitUntil: 'load', timeout: 30000 });
+        return true;
+    }
+
     async loginAndNavigate() {
+        if (this.replayDir) {
+            console.log('🎞️  Replay mode - skipping login');
+            return;
+        }
+
         console.log('🔐 Logging in and navigating...');
         try {
-            await this.page.goto('https://linebet.com/en/virtualsports?product=266&game=123472', {
+            await this.page.goto(this.config.site.url, {
                 waitUntil: 'domcontentloaded',
                 timeout: 120000
             });
@@ -168,20 +302,22 @@ class VirtualFootballScraper {
                 console.log('   Login required, attempting to login...');
                 await this.performLogin();
             } else {
-                console.log('✅ Already logged in!');
+                console.log(this.sessionStore && this.sessionStore.restored ? '✅ Already logged in (saved session)!' : '✅ Already logged in!');
             }
             await this.waitForGame();
+            await this.saveSession();
             console.log('✅ Ready to start scraping!\n');
         } catch (error) {
             console.error('❌ Navigation failed:', error.message);
             await this.alternativeLoginMethod();
+            await this.saveSession();
         }
     }
 
     async alternativeLoginMethod() {
         try {
             console.log('   Trying alternative login method...');
-            await this.page.goto('https://linebet.com/en/', {
+            await this.page.goto(this.config.site.loginUrl, {
                 waitUntil: 'domcontentloaded',
                 timeout: 90000
             });
@@ -189,33 +325,13 @@ class VirtualFootballScraper {
             await this.handleInactivityPopup();
             const needsLogin = await this.checkIfLoginNeeded();
             if (needsLogin) {
-                const loginButtonSelectors = [
-                    'button:has-text("Log in")',
-                    'button:has-text("Login")',
-                    'a:has-text("Log in")',
-                    'a:has-text("Login")',
-                    '.login-button',
-                    '[class*="login"] button',
-                    '[class*="login"] a'
-                ];
-                let loginButtonFound = false;
-                for (const selector of loginButtonSelectors) {
-                    try {
-                        const button = await this.page.$(selector);
-                        if (button && await button.isVisible()) {
-                            console.log(`   Found login button with selector: ${selector}`);
-                            await button.click();
-                            await this.page.waitForTimeout(2000);
-                            loginButtonFound = true;
-                            break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
-                if (loginButtonFound) {
+                const loginButton = await this.selectors.first(this.page, 'loginOpenButton', { visible: true });
+                if (loginButton) {
+                    console.log('   Found login button');
+                    await loginButton.click();
+                    await this.page.waitForTimeout(2000);
                     await this.fillCredentials();
-                    await this.page.goto('https://linebet.com/en/virtualsports?product=266&game=123472', {
+                    await this.page.goto(this.config.site.url, {
                         waitUntil: 'domcontentloaded',
                         timeout: 120000
                     });
@@ -223,12 +339,11 @@ class VirtualFootballScraper {
                     console.log('✅ Alternative login successful!\n');
                 } else {
                     console.log('   ⚠️  Could not find login button');
-                    console.log('💡 Please login manually and press Enter...');
                     await this.waitForManualLogin();
                 }
             } else {
                 console.log('   Already logged in, navigating to virtual football...');
-                await this.page.goto('https://linebet.com/en/virtualsports?product=266&game=123472', {
+                await this.page.goto(this.config.site.url, {
                     waitUntil: 'domcontentloaded',
                     timeout: 120000
                 });
@@ -243,47 +358,22 @@ class VirtualFootballScraper {
 
     async checkIfLoginNeeded() {
         try {
-            const loginSelectors = [
-                'input[name="username"]',
-                'input[name="user"]',
-                'input[type="text"][placeholder*="username" i]',
-                'input[type="text"][placeholder*="user" i]',
-                'input[type="password"]',
-                'input[name="password"]',
-                'input[type="password"][placeholder*="password" i]',
-                'button:has-text("Log in"):visible',
-                'button:has-text("Sign in"):visible',
-                'button:has-text("Login"):visible',
-                'form:has(input[type="password"]):visible',
-                '.login-form:visible',
-                '.auth-form:visible',
-                '.login-dialog:visible'
-            ];
-            for (const selector of loginSelectors) {
-                try {
-                    const elements = await this.page.$$(selector);
-                    for (const element of elements) {
-                        if (await element.isVisible()) {
-                            console.log(`   Login needed: Found ${selector}`);
-                            return true;
-                        }
-                    }
-                } catch (error) {
-                    continue;
-                }
+            const loginElement = await this.selectors.first(this.page, 'loginRequired', { visible: true });
+            if (loginElement) {
+                console.log('   Login needed: found a login form or button');
+                await this.forgetSession('the site asked for a login');
+                return true;
             }
             const pageText = await this.page.textContent('body').catch(() => '');
             const hasLoginText = pageText.toLowerCase().includes('log in') ||
                 pageText.toLowerCase().includes('sign in') ||
                 pageText.toLowerCase().includes('welcome back');
             if (hasLoginText) {
-                const logoutElements = await this.page.$$('button:has-text("Log out"), button:has-text("Logout")');
-                for (const element of logoutElements) {
-                    if (await element.isVisible()) {
-                        return false;
-                    }
+                const logoutButton = await this.selectors.first(this.page, 'logoutButton', { visible: true });
+                if (!logoutButton) {
+                    await this.forgetSession('the site shows we are logged out');
                 }
-                return true;
+                return !logoutButton;
             }
             return false;
         } catch (error) {
@@ -294,95 +384,46 @@ class VirtualFootballScraper {
 
     async performLogin() {
         try {
-            const loginButtons = await this.page.$$('button:has-text("Log in"), button:has-text("Login"), button:has-text("Sign in")');
-            if (loginButtons.length > 0) {
-                for (const button of loginButtons) {
-                    try {
-                        if (await button.isVisible()) {
-                            console.log('   Clicking login button...');
-                            await button.click();
-                            await this.page.waitForTimeout(2000);
-                            break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
+            const loginButton = await this.selectors.first(this.page, 'loginOpenButton', { visible: true });
+            if (loginButton) {
+                console.log('   Clicking login button...');
+                await loginButton.click();
+                await this.page.waitForTimeout(2000);
             }
             await this.fillCredentials();
         } catch (error) {
             console.log('⚠️  Could not perform automatic login:', error.message);
-            console.log('💡 Please login manually and press Enter...');
             await this.waitForManualLogin();
         }
     }
 
     async fillCredentials() {
+        if (!this.credentials) {
+            console.log('   ⚠️  No credentials loaded, cannot fill the login form');
+            return;
+        }
         try {
             console.log('   Looking for login form...');
-            const usernameSelectors = [
-                'input[name="username"]',
-                'input[name="user"]',
-                'input[type="text"]',
-                'input[placeholder*="username" i]',
-                'input[placeholder*="user" i]',
-                'input[placeholder*="email" i]',
-                '#username',
-                '#user',
-                '.username-input',
-                '.user-input'
-            ];
-            let usernameField = null;
-            for (const selector of usernameSelectors) {
-                usernameField = await this.page.$(selector).catch(() => null);
-                if (usernameField && await usernameField.isVisible()) {
-                    console.log(`   Found username field with selector: ${selector}`);
-                    break;
-                }
-            }
+            const usernameField = await this.selectors.first(this.page, 'usernameField', { visible: true });
             if (usernameField) {
+                console.log('   Found username field');
                 console.log('   Filling username...');
                 await usernameField.click();
                 await this.page.waitForTimeout(500);
-                await usernameField.fill(username);
+                await usernameField.fill(this.credentials.username);
                 await this.page.waitForTimeout(1000);
-                const passwordSelectors = [
-                    'input[name="password"]',
-                    'input[type="password"]',
-                    'input[placeholder*="password" i]',
-                    '#password',
-                    '.password-input'
-                ];
-                let passwordField = null;
-                for (const selector of passwordSelectors) {
-                    passwordField = await this.page.$(selector).catch(() => null);
-                    if (passwordField && await passwordField.isVisible()) {
-                        console.log(`   Found password field with selector: ${selector}`);
-                        break;
-                    }
-                }
+                const passwordField = await this.selectors.first(this.page, 'passwordField', { visible: true });
                 if (passwordField) {
+                    console.log('   Found password field');
                     console.log('   Filling password...');
                     await passwordField.click();
                     await this.page.waitForTimeout(500);
-                    await passwordField.fill(password);
+                    await passwordField.fill(this.credentials.password);
                     await this.page.waitForTimeout(1000);
-                    const submitSelectors = [
-                        'button[type="submit"]',
-                        'input[type="submit"]',
-                        'button:has-text("Log in")',
-                        'button:has-text("Login")',
-                        'button:has-text("Sign in")',
-                        '.submit-button',
-                        '.login-submit'
-                    ];
-                    for (const selector of submitSelectors) {
-                        const submitButton = await this.page.$(selector).catch(() => null);
-                        if (submitButton && await submitButton.isVisible()) {
-                            console.log('   Clicking submit button...');
-                            await submitButton.click();
-                            break;
-                        }
+                    const submitButton = await this.selectors.first(this.page, 'loginSubmit', { visible: true });
+                    if (submitButton) {
+                        console.log('   Clicking submit button...');
+                        await submitButton.click();
                     }
                     console.log('   Pressing Enter to submit...');
                     await passwordField.press('Enter');
@@ -400,6 +441,10 @@ class VirtualFootballScraper {
     }
 
     async waitForManualLogin() {
+        if (this.daemon) {
+            throw new Error('manual login needed, which a daemon cannot wait for - check the credentials');
+        }
+        console.log('💡 Please login manually and press Enter...');
         const readline = require('readline');
         const rl = readline.createInterface({
             input: process.stdin,
@@ -417,8 +462,7 @@ class VirtualFootballScraper {
         console.log('   Waiting for game to load...');
         for (let i = 0; i < 20; i++) {
             try {
-                await this.page.waitForSelector('iframe', { timeout: 5000 });
-                const iframe = await this.page.$('iframe');
+                const iframe = await this.selectors.waitFor(this.page, 'gameIframe', { timeout: 5000 });
                 if (!iframe) {
                     throw new Error('No iframe found');
                 }
@@ -426,7 +470,9 @@ class VirtualFootballScraper {
                 if (!frame) {
                     throw new Error('Iframe has no content');
                 }
-                await frame.waitForSelector('.teams-vs-btn, .scoreboard, .teams-vs, .component-head', { timeout: 5000 });
+                if (!await this.selectors.waitFor(frame, 'gameReady', { timeout: 5000 })) {
+                    throw new Error('Game has not rendered yet');
+                }
                 console.log('✅ Game loaded successfully!');
                 return;
             } catch (error) {
@@ -440,15 +486,23 @@ class VirtualFootballScraper {
 
     // NEW: BETTING FUNCTIONALITY METHODS
     async checkBettingTrigger() {
+        // A replay is history: its fixtures were settled long ago, so nothing is ever bet on them
+        if (this.replayDir) return false;
+
         try {
-            if (this.currentMatchday >= 2 && !this.betPlaced) {
+            // One site bet per matchday, and only while the session guards allow it
+            if (this.currentMatchday >= 2 && this.currentMatchday > this.lastBetMatchday) {
+                const guard = await this.sessionGuards.check();
+                if (!guard.allowed) return false;
+
                 console.log(`\n   🎯 BETTING TRIGGERED!`);
                 console.log(`   📊 Current Matchday: ${this.currentMatchday}`);
                 console.log(`   🎲 Placing bet on Next Matchday...\n`);
 
                 const betResult = await this.placeBetOnNextMatchday();
                 if (betResult) {
-                    this.betPlaced = true;
+                    this.lastBetMatchday = this.currentMatchday;
+                    this.betsPlaced++;
                     return true;
                 }
             }
@@ -464,7 +518,7 @@ class VirtualFootballScraper {
             console.log('   🎲 Starting betting process...');
 
             // Get iframe
-            const iframe = await this.page.$('iframe');
+            const iframe = await this.selectors.first(this.page, 'gameIframe');
             if (!iframe) {
                 console.log('   ❌ Iframe not found for betting');
                 return false;
@@ -477,7 +531,7 @@ class VirtualFootballScraper {
             }
 
             // Step 1: Find the Next Matchday section
-            const nextMatchdaySection = await frame.$('.next-bets');
+            const nextMatchdaySection = await this.selectors.first(frame, 'nextMatchday');
             if (!nextMatchdaySection) {
                 console.log('   ❌ Next Matchday section not found');
                 return false;
@@ -486,7 +540,7 @@ class VirtualFootballScraper {
             console.log('   ✅ Found Next Matchday section');
 
             // Step 2: Get all matches in Next Matchday
-            const eventGroups = await frame.$$('.popular-event-groups');
+            const eventGroups = await this.selectors.all(frame, 'eventGroups');
             if (eventGroups.length === 0) {
                 console.log('   ❌ No matches found in Next Matchday');
                 return false;
@@ -494,60 +548,20 @@ class VirtualFootballScraper {
 
             console.log(`   📊 Found ${eventGroups.length} upcoming matches`);
 
-            // Step 3: Find the match with the lowest odds (favorite to win)
-            let lowestOdds = Infinity;
-            let targetMatch = null;
-            let targetButtonIndex = null;
-            let targetTeamName = '';
-            let matchTeams = { home: '', away: '' };
+            // Step 3: Read every fixture on the card and let the strategy choose
+            const fixtures = [];
 
             for (let i = 0; i < eventGroups.length; i++) {
                 try {
-                    const matchData = await frame.evaluate((el) => {
-                        // Get team names
-                        const homeTeamEl = el.querySelector('.teams-vs__left-asset .team-name');
-                        const awayTeamEl = el.querySelector('.teams-vs__right-asset .team-name');
-
-                        const homeTeam = homeTeamEl ? homeTeamEl.textContent.trim() : '';
-                        const awayTeam = awayTeamEl ? awayTeamEl.textContent.trim() : '';
-
-                        // Get odds for all three outcomes
-                        const betElements = el.querySelectorAll('.bet');
-                        const odds = [];
-
-                        if (betElements.length >= 3) {
-                            for (let j = 0; j < 3; j++) {
-                                const oddsEl = betElements[j].querySelector('.bet-odd');
-                                const oddsValue = oddsEl ? parseFloat(oddsEl.getAttribute('data-decimal')) : null;
-                                odds.push(oddsValue);
-                            }
-                        }
-
-                        return {
-                            homeTeam,
-                            awayTeam,
-                            odds
-                        };
-                    }, eventGroups[i]);
-
-                    // Check each odds value
-                    if (matchData.odds && matchData.odds.length === 3) {
-                        for (let j = 0; j < 3; j++) {
-                            if (matchData.odds[j] !== null && matchData.odds[j] < lowestOdds) {
-                                lowestOdds = matchData.odds[j];
-                                targetMatch = eventGroups[i];
-                                targetButtonIndex = j;
-
-                                if (j === 0) targetTeamName = matchData.homeTeam;
-                                else if (j === 1) targetTeamName = 'Draw';
-                                else targetTeamName = matchData.awayTeam;
-
-                                matchTeams = {
-                                    home: matchData.homeTeam,
-                                    away: matchData.awayTeam
-                                };
-                            }
-                        }
+                    const matchData = await this.readEventGroup(eventGroups[i]);
+
+                    if (matchData.odds.length === 3) {
+                        fixtures.push({
+                            index: i,
+                            homeTeam: matchData.homeTeam,
+                            awayTeam: matchData.awayTeam,
+                            odds: { HOME: matchData.odds[0], DRAW: matchData.odds[1], AWAY: matchData.odds[2] }
+                        });
                     }
 
                 } catch (error) {
@@ -555,79 +569,82 @@ class VirtualFootballScraper {
                 }
             }
 
-            if (!targetMatch || targetButtonIndex === null) {
-                console.log('   ❌ Could not find suitable match to bet on');
+            // The site's bet slip takes one selection at a time, so only the strategy's top intent is placed
+            const [intent] = await this.selectIntents(fixtures);
+            if (!intent) {
+                console.log(`   ❌ Strategy "${this.strategyName}" found no bet on the Next Matchday card`);
                 return false;
             }
 
+            const targetMatch = eventGroups[intent.fixture.index];
+            const targetButtonIndex = SELECTIONS.indexOf(intent.selection);
+            const targetTeamName = describeSelection(intent.fixture, intent.selection);
+            const matchTeams = { home: intent.fixture.homeTeam, away: intent.fixture.awayTeam };
+            const stakeText = String(fromMinor(intent.stake));
+
             console.log(`   ✅ Selected match: ${matchTeams.home} vs ${matchTeams.away}`);
-            console.log(`   🎯 Betting on: ${targetTeamName} (Lowest odds: ${lowestOdds})`);
+            console.log(`   🎯 Betting on: ${targetTeamName} at ${intent.odds} (${intent.strategy}: ${intent.reason})`);
+
+            // Check the exposure limits before touching the site's bet slip. Fails closed: a match we have
+            // not recorded cannot be checked, and the bet could not be stored against it afterwards either
+            const matchId = await this.bettingDB.resolveMatch(this.matchFixture(matchTeams));
+            if (!matchId) {
+                console.log(`   🛑 Bet skipped - ${matchTeams.home} vs ${matchTeams.away} is not in the database, so its exposure cannot be checked`);
+                return false;
+            }
+            const exposure = await this.bettingDB.checkExposure(matchId, intent.stake);
+            if (!exposure.allowed) {
+                console.log(`   🛑 Bet skipped - ${exposure.reason}`);
+                return false;
+            }
 
             // Step 4: Click the bet button
             console.log('   🖱️  Clicking bet button...');
 
             // Get the specific bet button within the match
-            const betButtons = await targetMatch.$$('.bet');
+            const betButtons = await this.selectors.all(targetMatch, 'betButtons');
             if (betButtons.length > targetButtonIndex) {
                 await betButtons[targetButtonIndex].click();
                 await frame.waitForTimeout(3000);
                 console.log('   ✅ Bet button clicked');
 
-                // Step 5: Enter bet amount (55)
-                console.log('   💰 Entering bet amount: 55');
+                // Step 5: Enter bet amount
+                console.log(`   💰 Entering bet amount: ${stakeText}`);
 
-                // Find the stake input field
-                const stakeInput = await frame.$('input.stake-input.focus');
+                // Find the stake input field (the focused one first)
+                const stakeInput = await this.selectors.first(frame, 'stakeInput');
                 if (!stakeInput) {
-                    console.log('   ⚠️  Focused stake input not found, trying any stake input...');
-                    const anyStakeInput = await frame.$('input.stake-input');
-                    if (anyStakeInput) {
-                        await anyStakeInput.click();
-                        await frame.waitForTimeout(500);
-                        await anyStakeInput.fill('55');
-                        console.log('   ✅ Bet amount entered');
-                    } else {
-                        console.log('   ❌ No stake input field found');
-                        return false;
-                    }
-                } else {
-                    await stakeInput.click();
-                    await frame.waitForTimeout(500);
-                    await stakeInput.fill('55');
-                    console.log('   ✅ Bet amount entered');
+                    console.log('   ❌ No stake input field found');
+                    return false;
                 }
+                await stakeInput.click();
+                await frame.waitForTimeout(500);
+                await stakeInput.fill(stakeText);
+                console.log('   ✅ Bet amount entered');
 
                 // Step 6: Click submit button
                 console.log('   📤 Submitting bet...');
                 await frame.waitForTimeout(2000);
 
-                // Find and click submit button
-                const submitButton = await frame.$('div.button:not(.disabled)');
+                // Find and click submit button (an enabled one first)
+                const submitButton = await this.selectors.first(frame, 'betSlipSubmit');
                 if (!submitButton) {
-                    console.log('   ⚠️  Submit button not found or is disabled, trying any button...');
-                    const anySubmitButton = await frame.$('div.button');
-                    if (anySubmitButton) {
-                        await anySubmitButton.click();
-                        console.log('   ✅ Bet submitted via alternative button!');
-                    } else {
-                        console.log('   ❌ Could not find any submit button');
-                        return false;
-                    }
-                } else {
-                    await submitButton.click();
-                    console.log('   ✅ Bet submitted!');
+                    console.log('   ❌ Could not find any submit button');
+                    return false;
                 }
+                await submitButton.click();
+                console.log('   ✅ Bet submitted!');
 
                 // Show success alert
                 console.log('\n   🎉🎉🎉 ALERT: BET PLACED SUCCESSFULLY! 🎉🎉🎉');
-                console.log(`   💰 Amount: 55`);
+                console.log(`   💰 Amount: ${formatMoney(intent.stake)}`);
                 console.log(`   🏆 Match: ${matchTeams.home} vs ${matchTeams.away}`);
                 console.log(`   🎯 Bet on: ${targetTeamName}`);
-                console.log(`   📈 Odds: ${lowestOdds}`);
-                console.log(`   💵 Potential Win: ${(55 * lowestOdds).toFixed(2)}\n`);
+                console.log(`   📈 Odds: ${intent.odds}`);
+                console.log(`   💵 Potential Win: ${formatMoney(multiplyMinor(intent.stake, intent.odds))}\n`);
 
                 // Save the bet to database
-                await this.saveBetToDatabase(matchTeams, targetTeamName, 55, lowestOdds);
+                await this.saveBetToDatabase(matchTeams, targetTeamName, intent.stake, intent.odds);
 
                 return true;
 
@@ -642,26 +659,38 @@ class VirtualFootballScraper {
         }
     }
 
+    // Runs the configured strategy over fixtures shaped { homeTeam, awayTeam, odds: { HOME, DRAW, AWAY } }
+    async selectIntents(fixtures) {
+        const summary = await this.bettingDB.getAccountSummary();
+        const history = await this.bettingDB.getTeamHistory();
+
+        return selectBets(this.strategyName, {
+            fixtures,
+            history,
+            bankroll: summary ? summary.account.balance : 0,
+            streak: await this.bettingDB.getBetStreak()
+        }, this.strategyOptions);
+    }
+
+    // Stage and teams kept apart, since team and stage names may themselves contain dashes
+    matchFixture(matchTeams) {
+        return { stageName: this.currentStage, homeTeam: matchTeams.home.toUpperCase(), awayTeam: matchTeams.away.toUpperCase() };
+    }
+
     async saveBetToDatabase(matchInfo, betOn, amount, odds) {
         try {
-            const matchRef = `${this.currentStage}-${matchInfo.home}-${matchInfo.away}`;
-
-            const betData = {
-                match_reference: matchRef,
-                bet_type: betOn === 'Draw' ? 'DRAW' : (betOn === matchInfo.home ? 'HOME' : 'AWAY'),
-                bet_value: odds,
+            const result = await this.bettingDB.placeBet({
+                fixture: this.matchFixture(matchInfo),
+                selection: betOn === 'Draw' ? 'DRAW' : (betOn === matchInfo.home ? 'HOME' : 'AWAY'),
                 amount: amount,
-                potential_win: amount * odds,
-                status: 'PENDING',
-                placed_at: new Date().toISOString()
-            };
-
-            const result = await this.bettingDB.placeBet(betData);
+                odds: odds
+            });
 
-            if (result && result.betId) {
+            if (result.success) {
                 console.log(`   💾 Bet saved to database: Bet ID ${result.betId}`);
                 return true;
             }
+            console.log(`   ⚠️  Bet not saved to database: ${result.error}`);
             return false;
 
         } catch (error) {
@@ -670,12 +699,38 @@ class VirtualFootballScraper {
         }
     }
 
+    async startReplay() {
+        console.log('🎞️  Starting replay of captured snapshots...');
+        console.log(`   ${this.replayServer.snapshots.length} snapshot(s) queued\n`);
+
+        this.isRunning = true;
+        let cycleCount = 0;
+
+        while (this.isRunning && await this.loadNextSnapshot()) {
+            cycleCount++;
+            console.log(`\n🔄 Replay cycle ${cycleCount}`);
+
+            try {
+                await this.scrapeCycle();
+                await this.checkBettingTriggers();
+            } catch (error) {
+                console.error('⚠️  Error in replay cycle:', error.message);
+            }
+        }
+
+        console.log(`\n✅ Replay finished after ${cycleCount} cycle(s)`);
+    }
+
     async startScraping() {
+        if (this.replayDir) {
+            return this.startReplay();
+        }
+
         console.log('🎯 Starting to scrape matches and odds...');
-        console.log('   Monitoring every 30 seconds');
+        console.log(`   Monitoring every ${this.config.scraper.cycleInterval / 1000} seconds`);
         console.log('   Will handle login popups automatically');
         console.log('   Will check for betting triggers automatically');
-        console.log('   Press Ctrl+C to stop\n');
+        console.log(this.daemon ? `   Running as a daemon (PID ${process.pid}) - send SIGTERM to stop\n` : '   Press Ctrl+C to stop\n');
 
         this.isRunning = true;
         let cycleCount = 0;
@@ -702,7 +757,83 @@ class VirtualFootballScraper {
                 console.error('⚠️  Error in scrape cycle:', error.message);
             }
 
-            await this.sleep(30000);
+            // Left to the supervisor, which starts a new browser
+            if (this.daemon) {
+                this.assertBrowserRunning();
+                if (!this.browser.isConnected() || this.page.isClosed()) {
+                    throw new Error('the browser or page closed');
+                }
+                if (this.missingFrameCycles >= this.config.daemon.missingFrameCycles) {
+                    throw new Error(`the game iframe has been missing for ${this.missingFrameCycles} cycle(s)`);
+                }
+            }
+
+            await this.sleep(this.config.scraper.cycleInterval);
+        }
+    }
+
+    // Daemon loop: log in and scrape; when that fails, start a new browser after an exponentially growing delay.
+    // A run that got through enough healthy cycles counts as recovered, so only failures in a row reach the cap.
+    async supervise() {
+        const { maxRestarts, restartDelay, maxRestartDelay } = this.config.daemon;
+        let restarts = 0;
+
+        while (!this.shuttingDown) {
+            try {
+                this.assertBrowserRunning();
+                await this.loginAndNavigate();
+                await this.startScraping();
+                return;
+            } catch (error) {
+                if (this.shuttingDown) return;
+
+                if (this.healthyCycles >= STABLE_CYCLES) {
+                    restarts = 0;
+                }
+                this.healthyCycles = 0;
+                restarts++;
+                if (restarts > maxRestarts) {
+                    console.error(`\n💥 Giving up after ${maxRestarts} restart(s) in a row: ${error.message}`);
+                    await this.shutdown(1);
+                    return;
+                }
+
+                const delay = Math.min(restartDelay * 2 ** (restarts - 1), maxRestartDelay);
+                console.error(`\n🔁 ${error.message} - restarting the browser in ${Math.round(delay / 1000)}s (restart ${restarts}/${maxRestarts})`);
+                this.isRunning = false;
+                await this.sleep(delay);
+                if (this.shuttingDown) return;
+                await this.restartBrowser();
+            }
+        }
+    }
+
+    // Throws a readable reason instead of letting a null browser or page surface as a TypeError
+    assertBrowserRunning() {
+        if (!this.browser || !this.page) {
+            throw new Error(`the browser is not running${this.browserLaunchError ? ` (launch failed: ${this.browserLaunchError})` : ''}`);
+        }
+    }
+
+    async restartBrowser() {
+        // A session the site has dropped was already invalidated; a good one is kept for the new browser
+        if (this.sessionStore && this.sessionStore.valid && this.context) {
+            await this.sessionStore.save(this.context).catch(() => {});
+        }
+        if (this.browser) {
+            await this.browser.close().catch(() => {});
+        }
+        this.browser = null;
+        this.context = null;
+        this.page = null;
+
+        try {
+            await this.launchBrowser();
+            this.browserLaunchError = null;
+        } catch (error) {
+            // The next attempt of the supervisor loop fails on the missing page and backs off again
+            this.browserLaunchError = error.message;
+            console.error('❌ Browser restart failed:', error.message);
         }
     }
 
@@ -713,22 +844,45 @@ class VirtualFootballScraper {
             await this.handleLoginPopup();
 
             // Get iframe
-            const iframe = await this.page.$('iframe');
+            const iframe = await this.selectors.first(this.page, 'gameIframe');
             if (!iframe) {
+                this.missingFrameCycles++;
                 console.log('   ⏳ Iframe not found...');
                 return;
             }
 
             const frame = await iframe.contentFrame();
             if (!frame) {
+                this.missingFrameCycles++;
                 console.log('   ⏳ Frame not ready...');
                 return;
             }
+            this.missingFrameCycles = 0;
+            this.healthyCycles++;
 
             // Extract tournament stage
             const tournamentStage = await this.extractStage(frame);
             this.currentStage = tournamentStage;
 
+            if (this.recorder) {
+                await this.recorder.capture(frame, tournamentStage);
+            }
+
+            // A new stage means the previous stage's live fixtures have ended
+            if (this.matchTracker.currentStage !== tournamentStage) {
+                this.scoreboardReadings.clear();
+            }
+            const finishedFixtures = this.matchTracker.handleStageChange(tournamentStage);
+            for (const fixture of finishedFixtures) {
+                await this.commitResult(fixture);
+            }
+
+            // Results above belong to the old tournament, so only roll over once they are saved
+            const tournament = await this.bettingDB.trackTournamentStage(tournamentStage);
+            if (tournament.opened) {
+                this.currentMatchday = 0;
+            }
+
             // Update current matchday number
             const matchdayMatch = tournamentStage.match(/Matchday (\d+)/i);
             if (matchdayMatch) {
@@ -740,14 +894,25 @@ class VirtualFootballScraper {
             }
 
             // Get live match info
-            await this.getLiveMatch(frame);
+            const liveMatch = await this.getLiveMatch(frame);
+            if (liveMatch) {
+                await this.recordLiveReading(liveMatch, tournamentStage);
+            }
 
             // Extract and process matches
             const matches = await this.extractMatches(frame);
             console.log(`   📊 Found ${matches.length} match(es) in ${tournamentStage}`);
 
             for (const match of matches) {
-                await this.processMatch(match, tournamentStage);
+                await this.processMatch(match, tournamentStage, liveMatch);
+            }
+
+            // The scoreboard clock confirms full time for the featured fixture
+            if (liveMatch) {
+                const finishedFixture = this.matchTracker.observeClock(tournamentStage, liveMatch.home, liveMatch.away, liveMatch.time);
+                if (finishedFixture) {
+                    await this.commitResult(finishedFixture);
+                }
             }
 
             // Extract odds data
@@ -759,13 +924,35 @@ class VirtualFootballScraper {
 
         } catch (error) {
             console.log('   ⚠️  Error in scrape cycle:', error.message);
+        } finally {
+            await this.recordSelectorHealth();
+        }
+    }
+
+    // Stores this cycle's selector hits and misses and warns when a required selector stops matching
+    async recordSelectorHealth() {
+        const stats = this.selectors.takeCycleStats();
+        if (stats.length === 0 || !this.bettingDB) return;
+
+        const changes = await this.bettingDB.recordSelectorHealth(stats);
+        if (!changes) return;
+
+        for (const stat of changes.stopped.filter(stat => !stat.optional)) {
+            const tried = this.selectors.candidates(stat.name).join(' | ');
+            console.log(`   🧩 Selector "${stat.name}" stopped matching (tried ${tried}); run "node selectorReport.js" for details`);
+        }
+        for (const stat of changes.fallback.filter(stat => !stat.optional)) {
+            console.log(`   🧩 Selector "${stat.name}" is using fallback #${stat.matchedIndex + 1}: ${stat.matchedSelector}`);
+        }
+        for (const stat of changes.recovered.filter(stat => !stat.optional)) {
+            console.log(`   🧩 Selector "${stat.name}" is matching again (${stat.matchedSelector})`);
         }
     }
 
     async extractOddsData(frame, tournamentStage) {
         try {
             // Method 1: Look for "Next Matchday" section
-            const nextMatchdaySection = await frame.$('.next-bets').catch(() => null);
+            const nextMatchdaySection = await this.selectors.first(frame, 'nextMatchday');
             if (nextMatchdaySection) {
                 console.log('   Found "Next Matchday" section, extracting odds...');
                 await this.extractNextMatchdayOdds(frame, tournamentStage);
@@ -773,7 +960,7 @@ class VirtualFootballScraper {
             }
 
             // Method 2: Look for odds in popular-event-groups
-            const eventGroups = await frame.$$('.popular-event-groups').catch(() => []);
+            const eventGroups = await this.selectors.all(frame, 'eventGroups');
             if (eventGroups.length > 0) {
                 console.log(`   Found ${eventGroups.length} event group(s), extracting odds...`);
                 await this.extractEventGroupOdds(frame, tournamentStage);
@@ -786,9 +973,26 @@ class VirtualFootballScraper {
         }
     }
 
+    // Team names (as shown) and 1X2 prices of one event group; odds is [] unless all three selections are there
+    async readEventGroup(group) {
+        const homeTeam = (await this.selectors.text(group, 'cardHomeTeam')) || '';
+        const awayTeam = (await this.selectors.text(group, 'cardAwayTeam')) || '';
+
+        const odds = [];
+        const betButtons = await this.selectors.all(group, 'betButtons');
+        if (betButtons.length >= 3) {
+            for (const button of betButtons.slice(0, 3)) {
+                const oddsEl = await this.selectors.first(button, 'betOdds');
+                odds.push(oddsEl ? parseFloat(await oddsEl.getAttribute('data-decimal')) : null);
+            }
+        }
+
+        return { homeTeam, awayTeam, odds };
+    }
+
     async extractNextMatchdayOdds(frame, tournamentStage) {
         try {
-            const eventGroups = await frame.$$('.popular-event-groups');
+            const eventGroups = await this.selectors.all(frame, 'eventGroups');
             if (eventGroups.length === 0) {
                 console.log('   No event groups found in Next Matchday');
                 return;
@@ -800,25 +1004,15 @@ class VirtualFootballScraper {
 
             for (let i = 0; i < eventGroups.length; i++) {
                 try {
-                    const matchOdds = await frame.evaluate(el => {
-                        const homeTeamEl = el.querySelector('.teams-vs__left-asset .team-name');
-                        const awayTeamEl = el.querySelector('.teams-vs__right-asset .team-name');
-                        const homeTeam = homeTeamEl ? homeTeamEl.textContent.trim().toUpperCase() : '';
-                        const awayTeam = awayTeamEl ? awayTeamEl.textContent.trim().toUpperCase() : '';
-                        const betElements = el.querySelectorAll('.bet');
-                        let homeOdds = null, drawOdds = null, awayOdds = null;
-
-                        if (betElements.length >= 3) {
-                            const homeOddsEl = betElements[0].querySelector('.bet-odd');
-                            homeOdds = homeOddsEl ? parseFloat(homeOddsEl.getAttribute('data-decimal')) : null;
-                            const drawOddsEl = betElements[1].querySelector('.bet-odd');
-                            drawOdds = drawOddsEl ? parseFloat(drawOddsEl.getAttribute('data-decimal')) : null;
-                            const awayOddsEl = betElements[2].querySelector('.bet-odd');
-                            awayOdds = awayOddsEl ? parseFloat(awayOddsEl.getAttribute('data-decimal')) : null;
-                        }
-
-                        return { homeTeam, awayTeam, homeOdds, drawOdds, awayOdds };
-                    }, eventGroups[i]);
+                    const group = await this.readEventGroup(eventGroups[i]);
+                    const [homeOdds = null, drawOdds = null, awayOdds = null] = group.odds;
+                    const matchOdds = {
+                        homeTeam: group.homeTeam.toUpperCase(),
+                        awayTeam: group.awayTeam.toUpperCase(),
+                        homeOdds,
+                        drawOdds,
+                        awayOdds
+                    };
 
                     if (matchOdds.homeTeam && matchOdds.awayTeam) {
                         const oddsEntry = {
@@ -848,35 +1042,111 @@ class VirtualFootballScraper {
                 console.log(`   💾 Saved ${oddsData.length} odds record(s) to database`);
             }
 
+            if (this.captureMarkets) {
+                await this.extractFixtureMarkets(frame, tournamentStage);
+            }
+
         } catch (error) {
             console.log('   ⚠️  Error extracting Next Matchday odds:', error.message);
         }
     }
 
+    // Reads every market of each Next Matchday fixture into the markets / market_selections tables
+    async extractFixtureMarkets(frame, tournamentStage) {
+        const eventGroups = await this.selectors.all(frame, 'eventGroups');
+
+        for (let i = 0; i < eventGroups.length; i++) {
+            try {
+                const teams = {
+                    home: ((await this.selectors.text(eventGroups[i], 'cardHomeTeam')) || '').toUpperCase(),
+                    away: ((await this.selectors.text(eventGroups[i], 'cardAwayTeam')) || '').toUpperCase()
+                };
+                if (!teams.home || !teams.away) continue;
+
+                const fixture = { stageName: tournamentStage, homeTeam: teams.home, awayTeam: teams.away };
+                const captureKey = JSON.stringify(fixture);
+                const capturedAt = this.marketsCapturedAt.get(captureKey);
+                if (capturedAt && Date.now() - capturedAt < this.marketRefreshInterval) continue;
+
+                const rawMarkets = await this.readMarketList(frame, eventGroups[i]);
+                this.marketsCapturedAt.set(captureKey, Date.now());
+                if (rawMarkets.length === 0) continue;
+
+                const matchId = await this.bettingDB.resolveMatch(fixture);
+                if (!matchId) continue;
+
+                const markets = normaliseMarkets(rawMarkets, { homeTeam: teams.home, awayTeam: teams.away });
+                const saved = await this.bettingDB.saveMarkets(matchId, markets);
+                if (saved) {
+                    console.log(`   📚 ${teams.home} vs ${teams.away}: ${saved.markets} market(s), ${saved.changes} price change(s)`);
+                }
+            } catch (error) {
+                console.log(`   ⚠️  Could not read markets for match ${i + 1}:`, error.message);
+            }
+        }
+    }
+
+    // Markets shown inline in the fixture's group are read as they are; otherwise the fixture's market list is
+    // opened, read and closed again. Resolves to [{ title, selections: [{ label, odds }] }]
+    async readMarketList(frame, group) {
+        const candidates = Object.fromEntries(MARKET_SELECTORS.map(name => [name, this.selectors.candidates(name)]));
+
+        // Most fixtures only show 1X2 inline, so an inline miss is not counted
+        const inline = await group.evaluate(readMarketBlocks, candidates);
+        if (inline.markets.length > 0) {
+            Object.entries(inline.matched).forEach(([name, index]) => this.selectors.record(name, index));
+            return inline.markets;
+        }
+
+        const opener = await this.selectors.first(group, 'marketListOpener');
+        if (!opener) {
+            if (!this.marketListMissingLogged) {
+                console.log('   ℹ️  No market list control found; only 1X2 odds are captured');
+                this.marketListMissingLogged = true;
+            }
+            return [];
+        }
+
+        await opener.click();
+        const panel = await this.selectors.waitFor(frame, 'marketListPanel', { timeout: 3000 });
+        let markets = [];
+        if (panel) {
+            const listed = await panel.evaluate(readMarketBlocks, candidates);
+            Object.entries(listed.matched).forEach(([name, index]) => this.selectors.record(name, index));
+            markets = listed.markets;
+        }
+
+        const close = await this.selectors.first(frame, 'marketListClose');
+        if (close) {
+            await close.click().catch(() => {});
+        } else {
+            await this.page.keyboard.press('Escape').catch(() => {});
+        }
+        await frame.waitForTimeout(500);
+
+        return markets;
+    }
+
     async extractEventGroupOdds(frame, tournamentStage) {
         try {
-            const eventGroups = await frame.$$('.popular-event-groups');
+            const eventGroups = await this.selectors.all(frame, 'eventGroups');
             const oddsData = [];
             const timestamp = new Date().toISOString();
 
             for (const group of eventGroups) {
                 try {
-                    const matchData = await frame.evaluate(el => {
-                        const teamNames = el.querySelectorAll('.team-name');
-                        let homeTeam = '', awayTeam = '';
-                        if (teamNames.length >= 2) {
-                            homeTeam = teamNames[0]?.textContent.trim().toUpperCase() || '';
-                            awayTeam = teamNames[1]?.textContent.trim().toUpperCase() || '';
-                        }
-                        const betOdds = el.querySelectorAll('.bet-odd');
-                        let homeOdds = null, drawOdds = null, awayOdds = null;
-                        if (betOdds.length >= 3) {
-                            homeOdds = parseFloat(betOdds[0]?.getAttribute('data-decimal')) || null;
-                            drawOdds = parseFloat(betOdds[1]?.getAttribute('data-decimal')) || null;
-                            awayOdds = parseFloat(betOdds[2]?.getAttribute('data-decimal')) || null;
-                        }
-                        return { homeTeam, awayTeam, homeOdds, drawOdds, awayOdds };
-                    }, group);
+                    const teamNames = await this.selectors.all(group, 'cardTeamNames');
+                    const betOdds = await this.selectors.all(group, 'betOdds');
+                    const matchData = { homeTeam: '', awayTeam: '', homeOdds: null, drawOdds: null, awayOdds: null };
+                    if (teamNames.length >= 2) {
+                        matchData.homeTeam = (await teamNames[0].textContent()).trim().toUpperCase();
+                        matchData.awayTeam = (await teamNames[1].textContent()).trim().toUpperCase();
+                    }
+                    if (betOdds.length >= 3) {
+                        matchData.homeOdds = parseFloat(await betOdds[0].getAttribute('data-decimal')) || null;
+                        matchData.drawOdds = parseFloat(await betOdds[1].getAttribute('data-decimal')) || null;
+                        matchData.awayOdds = parseFloat(await betOdds[2].getAttribute('data-decimal')) || null;
+                    }
 
                     if (matchData.homeTeam && matchData.awayTeam) {
                         const oddsEntry = {
@@ -930,6 +1200,8 @@ class VirtualFootballScraper {
 
             let newCount = 0;
             for (const odds of oddsData) {
+                this.matchTracker.schedule(odds.tournament_stage, odds.home_team, odds.away_team);
+
                 const key = `${odds.match_reference}-${odds.home_odds}-${odds.draw_odds}-${odds.away_odds}`;
                 if (!existingKeys.has(key)) {
                     existingOdds.push(odds);
@@ -952,32 +1224,16 @@ class VirtualFootballScraper {
 
     async handleInactivityPopup() {
         try {
-            const inactivityPopup = await this.page.$('.overlay-page.shown');
+            const inactivityPopup = await this.selectors.first(this.page, 'inactivityOverlay');
             if (inactivityPopup) {
                 console.log('   Found inactivity popup overlay...');
-                const buttonSelectors = [
-                    '.overlay-page.shown .overlay-content button',
-                    '.overlay-content button:has-text("Click to initiate gameplay")',
-                    'button:has-text("Click to initiate gameplay")',
-                    '.overlay-container button',
-                    '.overlay-page.shown button'
-                ];
-                for (const selector of buttonSelectors) {
-                    try {
-                        const button = await this.page.$(selector);
-                        if (button) {
-                            const isVisible = await button.isVisible();
-                            if (isVisible) {
-                                console.log('   Clicking "Click to initiate gameplay" button...');
-                                await button.click();
-                                await this.page.waitForTimeout(3000);
-                                console.log('   ✅ Inactivity popup handled successfully.');
-                                return true;
-                            }
-                        }
-                    } catch (error) {
-                        continue;
-                    }
+                const button = await this.selectors.first(this.page, 'inactivityButton', { visible: true });
+                if (button) {
+                    console.log('   Clicking "Click to initiate gameplay" button...');
+                    await button.click();
+                    await this.page.waitForTimeout(3000);
+                    console.log('   ✅ Inactivity popup handled successfully.');
+                    return true;
                 }
             }
             const pageText = await this.page.textContent('body').catch(() => '');
@@ -1012,9 +1268,8 @@ class VirtualFootballScraper {
     }
 
     async handleLoginPopup() {
-        const popupSelector = 'button.ui-button.ui-button--size-m.ui-button--theme-accent.ui-button--block.ui-button--uppercase.ui-button--rounded';
         try {
-            const popupButton = await this.page.$(popupSelector);
+            const popupButton = await this.selectors.first(this.page, 'loginPopupButton');
             if (popupButton) {
                 const isVisible = await popupButton.isVisible();
                 const buttonText = await popupButton.innerText().catch(() => '');
@@ -1023,6 +1278,7 @@ class VirtualFootballScraper {
                     await popupButton.click();
                     this.loginPopupCount++;
                     console.log(`   Login popup clicked (${this.loginPopupCount} time(s))`);
+                    await this.forgetSession('the login popup appeared');
                     await this.page.waitForTimeout(3000);
                 }
             }
@@ -1032,15 +1288,15 @@ class VirtualFootballScraper {
     }
 
     async extractStage(frame) {
-        try {
-            const stage = await frame.$eval('.component-head.day-toggle h1', el => el.textContent.trim());
-            if (stage) {
-                return this.cleanStage(stage);
-            }
-        } catch (error) {
+        const stage = await this.selectors.text(frame, 'stageHeading').catch(() => null);
+        if (stage) {
+            return this.cleanStage(stage);
+        }
+        if (stage === null) {
             try {
-                const allH1s = await frame.$$eval('h1', h1s => h1s.map(h => h.textContent.trim()));
-                for (const h1 of allH1s) {
+                const headings = await this.selectors.all(frame, 'anyHeading');
+                for (const heading of headings) {
+                    const h1 = (await heading.textContent()).trim();
                     if (h1 && (h1.includes('Matchday') || h1.includes('FINAL') || h1.includes('QUARTER') || h1.includes('SEMI'))) {
                         return this.cleanStage(h1);
                     }
@@ -1072,28 +1328,73 @@ class VirtualFootballScraper {
 
     async getLiveMatch(frame) {
         try {
-            const home = await frame.$eval('.scoreboard .team:first-child .name', el => el.textContent.trim());
-            const away = await frame.$eval('.scoreboard .team:last-child .name', el => el.textContent.trim());
-            const score = await frame.$eval('.scoreboard .score', el => el.textContent.trim());
-            const time = await frame.$eval('.scoreboard .trapezoid', el => el.textContent.trim());
+            const home = await this.selectors.text(frame, 'scoreboardHome');
+            if (home === null) {
+                // No live match
+                return null;
+            }
+            const away = await this.selectors.text(frame, 'scoreboardAway');
+            const score = await this.selectors.text(frame, 'scoreboardScore');
+            const time = await this.selectors.text(frame, 'scoreboardClock');
+            if (away === null || score === null || time === null) {
+                return null;
+            }
             console.log(`   🔴 LIVE: ${home} ${score} ${away} | ${time}`);
+            return {
+                home: home.toUpperCase(),
+                away: away.toUpperCase(),
+                score: score.replace(/[^\d:]/g, ''),
+                time
+            };
         } catch (error) {
             // No live match
+            return null;
+        }
+    }
+
+    async recordLiveReading(liveMatch, tournamentStage) {
+        try {
+            if (!this.bettingDB || !liveMatch.score.includes(':')) return;
+
+            const fixture = this.matchTracker.getFixture(tournamentStage, liveMatch.home, liveMatch.away);
+            if (fixture && fixture.state === FIXTURE_STATES.FINISHED) return;
+
+            const key = `${tournamentStage}-${liveMatch.home}-${liveMatch.away}`;
+            const previousScore = this.scoreboardReadings.get(key);
+            this.scoreboardReadings.set(key, liveMatch.score);
+            if (previousScore === liveMatch.score) return;
+
+            const matchId = await this.bettingDB.markMatchLive({
+                tournament_stage: tournamentStage,
+                homeTeam: liveMatch.home,
+                awayTeam: liveMatch.away,
+                fullTimeScore: liveMatch.score
+            });
+            if (!matchId) return;
+
+            // Goals already on the board at our first reading happened before we were watching
+            const [homeScore, awayScore] = liveMatch.score.split(':').map(Number);
+            const minute = previousScore === undefined && (homeScore + awayScore) > 0
+                ? null
+                : this.matchTracker.parseClock(liveMatch.time).minute;
+
+            await this.bettingDB.recordGoalEvents(matchId, homeScore, awayScore, minute, liveMatch.time);
+        } catch (error) {
+            console.log('   ⚠️  Error recording live reading:', error.message);
         }
     }
 
     async extractMatches(frame) {
         const matches = [];
         try {
-            const matchElements = await frame.$$('.teams-vs-btn');
+            const matchElements = await this.selectors.all(frame, 'resultCards');
             for (const element of matchElements) {
                 try {
-                    const matchData = await frame.evaluate(el => {
-                        const home = el.querySelector('.teams-vs__left-asset .team-name')?.textContent.trim().toUpperCase() || '';
-                        const away = el.querySelector('.teams-vs__right-asset .team-name')?.textContent.trim().toUpperCase() || '';
-                        const score = el.querySelector('.score')?.textContent.trim().replace(/\s/g, '') || '';
-                        return { home, away, score };
-                    }, element);
+                    const matchData = {
+                        home: ((await this.selectors.text(element, 'cardHomeTeam')) || '').toUpperCase(),
+                        away: ((await this.selectors.text(element, 'cardAwayTeam')) || '').toUpperCase(),
+                        score: ((await this.selectors.text(element, 'cardScore')) || '').replace(/\s/g, '')
+                    };
                     if (matchData.home && matchData.away && matchData.score && matchData.score.includes(':')) {
                         matches.push(matchData);
                     }
@@ -1107,57 +1408,94 @@ class VirtualFootballScraper {
         return matches;
     }
 
-    async processMatch(matchData, tournamentStage) {
+    async processMatch(matchData, tournamentStage, liveMatch = null) {
         try {
             const cleanScore = matchData.score.replace(/[^\d:]/g, '');
             if (!cleanScore.includes(':')) return;
 
-            const [homeScore, awayScore] = cleanScore.split(':').map(Number);
-            const key = `${tournamentStage}-${matchData.home}-${matchData.away}-${cleanScore}`;
-
-            if (!this.savedKeys.has(key)) {
-                let matchResult;
-                if (homeScore > awayScore) {
-                    matchResult = `${matchData.home} WIN`;
-                } else if (awayScore > homeScore) {
-                    matchResult = `${matchData.away} WIN`;
-                } else {
-                    matchResult = 'DRAW';
+            const isOnScoreboard = liveMatch && liveMatch.home === matchData.home && liveMatch.away === matchData.away;
+            const fixture = this.matchTracker.updateScore(
+                tournamentStage,
+                matchData.home,
+                matchData.away,
+                cleanScore,
+                isOnScoreboard ? liveMatch.time : null
+            );
+
+            if (fixture) {
+                console.log(`   ⏱️  LIVE ${tournamentStage}: ${matchData.home} ${cleanScore} ${matchData.away} (${fixture.timeline.length} score update(s))`);
+                if (this.bettingDB) {
+                    await this.bettingDB.markMatchLive({
+                        tournament_stage: tournamentStage,
+                        homeTeam: matchData.home,
+                        awayTeam: matchData.away,
+                        fullTimeScore: cleanScore
+                    });
                 }
+            }
+        } catch (error) {
+            console.log(`   ⚠️  Error processing match:`, error.message);
+        }
+    }
 
-                const newEntry = {
-                    matchNo: this.data.length + 1,
-                    tournament_stage: tournamentStage,
-                    homeTeam: matchData.home,
-                    awayTeam: matchData.away,
-                    fullTimeScore: cleanScore,
-                    result: matchResult,
-                    savedAt: new Date().toISOString(),
-                    is_final: 1,
-                    homeScore: homeScore,
-                    awayScore: awayScore
-                };
+    async commitResult(fixture) {
+        try {
+            if (!fixture.score) return;
 
-                this.data.push(newEntry);
-                this.savedKeys.add(key);
-                await fs.writeFile(this.jsonFile, JSON.stringify(this.data, null, 2));
-                await this.saveToDatabase(newEntry);
+            const cleanScore = fixture.score;
+            const [homeScore, awayScore] = cleanScore.split(':').map(Number);
 
-                if (this.bettingDB) {
-                    const matchId = await this.bettingDB.saveMatch(newEntry);
-                    if (matchId) {
-                        await this.bettingDB.settleBet(matchId);
-                    }
-                }
+            let matchResult;
+            let betResult;
+            if (homeScore > awayScore) {
+                matchResult = `${fixture.homeTeam} WIN`;
+                betResult = 'HOME_WIN';
+            } else if (awayScore > homeScore) {
+                matchResult = `${fixture.awayTeam} WIN`;
+                betResult = 'AWAY_WIN';
+            } else {
+                matchResult = 'DRAW';
+                betResult = 'DRAW';
+            }
+
+            const newEntry = {
+                matchNo: this.data.length + 1,
+                tournament_id: this.bettingDB ? this.bettingDB.currentTournamentId : null,
+                tournament_stage: fixture.stage,
+                homeTeam: fixture.homeTeam,
+                awayTeam: fixture.awayTeam,
+                fullTimeScore: cleanScore,
+                result: matchResult,
+                savedAt: new Date().toISOString(),
+                is_final: 1,
+                homeScore: homeScore,
+                awayScore: awayScore,
+                scoreTimeline: fixture.timeline
+            };
 
-                console.log(`   🎯 NEW MATCH SAVED!`);
-                console.log(`       🏆 ${tournamentStage}`);
-                console.log(`       ⚽ ${matchData.home} ${cleanScore} ${matchData.away}`);
-                console.log(`       📊 ${matchResult}`);
-                console.log(`       🆔 #${newEntry.matchNo}\n`);
+            const key = this.resultKey(newEntry);
+            if (this.savedKeys.has(key)) return;
+
+            this.data.push(newEntry);
+            this.savedKeys.add(key);
+            await fs.writeFile(this.jsonFile, JSON.stringify(this.data, null, 2));
+            await this.saveToDatabase(newEntry);
+
+            if (this.bettingDB) {
+                const matchId = await this.bettingDB.saveMatch(newEntry);
+                if (matchId) {
+                    await this.bettingDB.settleBet(matchId, betResult);
+                }
             }
+
+            console.log(`   🎯 FINAL RESULT SAVED!`);
+            console.log(`       🏆 ${fixture.stage}`);
+            console.log(`       ⚽ ${fixture.homeTeam} ${cleanScore} ${fixture.awayTeam}`);
+            console.log(`       📊 ${matchResult}`);
+            console.log(`       ⏱️  ${fixture.timeline.map(entry => entry.score).join(' → ')}`);
+            console.log(`       🆔 #${newEntry.matchNo}\n`);
         } catch (error) {
-            console.log(`   ⚠️  Error processing match:`, error.message);
+            console.log(`   ⚠️  Error committing result:`, error.message);
         }
     }
 
@@ -1192,25 +1530,30 @@ class VirtualFootballScraper {
             console.log('   🔍 Checking betting triggers...');
             const summary = await this.bettingDB.getAccountSummary();
             if (summary) {
-                console.log(`   💰 Account Balance: $${summary.account.balance.toFixed(2)}`);
-                const scheduledMatches = await this.bettingDB.getScheduledMatches();
+                console.log(`   💰 Account Balance: ${formatMoney(summary.account.balance, summary.account.currency)}`);
+                // Refresh fair prices so newly listed fixtures and fresh results are reflected
+                await this.bettingDB.updatePredictions();
+                const scheduledMatches = await this.bettingDB.getScheduledMatchesForBetting();
                 if (scheduledMatches.length > 0) {
                     console.log(`   📅 Found ${scheduledMatches.length} scheduled matches`);
-                    for (const match of scheduledMatches) {
-                        if (match.home_odds && match.draw_odds && match.away_odds) {
-                            let highestOdds = Math.max(match.home_odds, match.draw_odds, match.away_odds);
-                            let betOn = '';
-                            if (highestOdds > 2.0) {
-                                if (highestOdds === match.home_odds) betOn = 'HOME';
-                                else if (highestOdds === match.draw_odds) betOn = 'DRAW';
-                                else if (highestOdds === match.away_odds) betOn = 'AWAY';
-                                if (summary.account.balance >= 10) {
-                                    console.log(`   🎲 Potential bet found: ${match.home_team} vs ${match.away_team}`);
-                                    console.log(`      Highest odds: ${highestOdds} (${betOn})`);
-                                }
-                            }
+                    const fixtures = scheduledMatches.map(fixtureFromMatch);
+                    const intents = await this.selectIntents(fixtures);
+
+                    for (const intent of intents) {
+                        const { fixture } = intent;
+                        console.log(`   🎲 ${intent.strategy}: ${fixture.homeTeam} vs ${fixture.awayTeam} → ${intent.selection} @ ${intent.odds}`);
+                        console.log(`      ${intent.reason} | stake ${formatMoney(intent.stake, summary.account.currency)}`);
+
+                        if (this.autoBet && !this.replayDir && !(await this.bettingDB.hasPendingBet(fixture.matchId))) {
+                            // Re-checked before every bet: the previous one may have hit the open-bet limit
+                            const guard = await this.sessionGuards.check();
+                            if (!guard.allowed) continue;
+
+                            await this.placeAutoBet(fixture.matchId, intent.selection, intent.stake, intent.odds);
                         }
                     }
+
+                    await this.checkValueBets(fixtures);
                 }
             }
             const pendingBets = await this.bettingDB.query(`
@@ -1224,18 +1567,72 @@ class VirtualFootballScraper {
         }
     }
 
-    async placeAutoBet(matchId, betOn, amount) {
+    // Records an alert for every selection priced above the model's fair odds by the minimum edge and,
+    // with --value-auto-bet, backs each alert that has not been acted on yet
+    async checkValueBets(fixtures) {
+        const values = detectValueBets(fixtures, { minEdge: this.valueEdge });
+
+        for (const value of values) {
+            const { fixture } = value;
+            const alert = await this.bettingDB.recordValueAlert(value, this.valueEdge);
+            if (!alert) continue;
+
+            if (alert.isNew) {
+                console.log(`   💎 Value: ${fixture.homeTeam} vs ${fixture.awayTeam} → ${value.selection} @ ${value.odds} (fair ${value.fairOdds.toFixed(2)}, edge ${(value.edge * 100).toFixed(1)}%)`);
+            }
+            if (!this.valueAutoBet || this.replayDir || alert.status !== 'OPEN') continue;
+
+            if (await this.bettingDB.hasPendingBet(fixture.matchId)) {
+                await this.bettingDB.updateValueAlert(alert.alertId, 'SKIPPED', { note: 'already a pending bet on this match' });
+                continue;
+            }
+
+            // Left open while a guard is tripped, so the alert is picked up again once it clears
+            const guard = await this.sessionGuards.check();
+            if (!guard.allowed) continue;
+
+            const summary = await this.bettingDB.getAccountSummary();
+            const stake = calculateStake(this.strategyOptions.staking, {
+                balance: summary ? summary.account.balance : 0,
+                odds: value.odds,
+                probability: value.probability,
+                streak: await this.bettingDB.getBetStreak()
+            });
+            if (stake <= 0) {
+                await this.bettingDB.updateValueAlert(alert.alertId, 'SKIPPED', { note: 'staking plan gave no stake' });
+                continue;
+            }
+
+            const result = await this.placeAutoBet(fixture.matchId, value.selection, stake, value.odds);
+            if (result.success) {
+                await this.bettingDB.updateValueAlert(alert.alertId, 'BET', { betId: result.betId });
+            } else {
+                await this.bettingDB.updateValueAlert(alert.alertId, 'SKIPPED', { note: result.error });
+            }
+        }
+    }
+
+    async placeAutoBet(matchId, betOn, amount, odds = null) {
+        if (this.replayDir) return { success: false, error: 'no bets are placed while replaying' };
+
         try {
-            console.log(`   🤖 Placing auto bet: $${amount} on ${betOn} for match ${matchId}`);
-            const betData = {
-                match_id: matchId,
-                team_bet_on: betOn,
-                amount: amount
-            };
-            const result = await this.bettingDB.placeBet(betData);
-            console.log(`   ✅ Auto bet placed: Bet ID ${result.betId}`);
+            console.log(`   🤖 Placing auto bet: ${formatMoney(amount)} on ${betOn} for match ${matchId}`);
+            const result = await this.bettingDB.placeBet({
+                matchId: matchId,
+                selection: betOn,
+                amount: amount,
+                odds: odds
+            });
+            if (result.success) {
+                this.betsPlaced++;
+                console.log(`   ✅ Auto bet placed: Bet ID ${result.betId}`);
+            } else {
+                console.log(`   ❌ Auto bet failed: ${result.error}`);
+            }
+            return result;
         } catch (error) {
             console.log('   ❌ Auto bet failed:', error.message);
+            return { success: false, error: error.message };
         }
     }
 
@@ -1248,27 +1645,39 @@ class VirtualFootballScraper {
             console.log('\n\n🛑 Stopping scraper...');
             await this.shutdown();
         });
+        process.on('SIGTERM', async () => {
+            console.log('\n\n🛑 SIGTERM received, stopping scraper...');
+            await this.shutdown();
+        });
     }
 
-    async shutdown() {
+    async shutdown(exitCode = 0) {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
         this.isRunning = false;
         console.log('\n📊 FINAL SUMMARY:');
         console.log(`   Total matches: ${this.data.length}`);
         console.log(`   Login popups handled: ${this.loginPopupCount}`);
         console.log(`   Match JSON file: ${this.jsonFile}`);
         console.log(`   Odds JSON file: ${this.oddsDataFile}`);
+        if (this.recorder) {
+            console.log(`   Snapshots captured: ${this.recorder.savedCount} (${this.captureDir})`);
+        }
         console.log(`   Current Matchday: ${this.currentMatchday}`);
-        console.log(`   Bet placed: ${this.betPlaced ? 'Yes' : 'No'}`);
+        console.log(`   Bets placed this session: ${this.betsPlaced}`);
+        if (this.sessionGuards && this.sessionGuards.tripped) {
+            console.log(`   Auto-betting paused: ${this.sessionGuards.tripped.reason}`);
+        }
 
         console.log('\n💰 BETTING DATABASE SUMMARY:');
         try {
             const summary = await this.bettingDB.getAccountSummary();
             if (summary) {
-                console.log(`   Current Balance: $${summary.account.balance.toFixed(2)}`);
+                console.log(`   Current Balance: ${formatMoney(summary.account.balance, summary.account.currency)}`);
                 console.log(`   Total Wins: ${summary.account.total_wins}`);
                 console.log(`   Total Losses: ${summary.account.total_losses}`);
                 console.log(`   Win Rate: ${summary.winRate}%`);
-                console.log(`   Total Profit/Loss: $${summary.account.total_profit_loss.toFixed(2)}`);
+                console.log(`   Total Profit/Loss: ${formatSignedMoney(summary.account.total_profit_loss, summary.account.currency)}`);
             }
         } catch (error) {
             console.log('   Could not retrieve betting summary');
@@ -1297,47 +1706,150 @@ class VirtualFootballScraper {
             console.log('✅ Betting database closed');
         }
 
+        // Cookies may have been refreshed during the run; a session invalidated on the way is not brought back
+        if (this.sessionStore && this.sessionStore.valid && this.context) {
+            await this.sessionStore.save(this.context);
+        }
+
         if (this.browser) {
-            await this.browser.close();
+            await this.browser.close().catch(() => {});
             console.log('✅ Browser closed');
         }
 
+        if (this.replayServer) {
+            await this.replayServer.stop();
+        }
+
+        if (this.lock) {
+            this.lock.release();
+        }
+
         console.log('\n👋 Goodbye!\n');
-        process.exit(0);
+        process.exit(exitCode);
     }
 
     async run() {
         try {
             this.setupShutdownHandlers();
+            if (this.daemon) {
+                this.lock = new ProcessLock(this.config.daemon.pidFile);
+                try {
+                    this.lock.acquire();
+                } catch (error) {
+                    console.error(`\n❌ ERROR: ${error.message}`);
+                    process.exitCode = 1;
+                    return;
+                }
+                console.log(`🔒 Daemon mode: PID ${process.pid} written to ${this.config.daemon.pidFile}`);
+            }
             const initialized = await this.initialize();
-            if (!initialized) return;
+            if (!initialized) {
+                await this.shutdown(1);
+                return;
+            }
+            if (this.daemon) {
+                await this.supervise();
+                return;
+            }
             await this.loginAndNavigate();
             await this.startScraping();
+            if (this.replayDir) {
+                await this.shutdown();
+            }
         } catch (error) {
             console.error('\n💥 Fatal error:', error.message);
-            await this.shutdown();
+            await this.shutdown(1);
         }
     }
 }
 
-// Check for user.js
-try {
-    require.resolve('./user');
-} catch (error) {
-    console.error('\n❌ ERROR: user.js file not found!');
+// A login committed in plaintext is readable by anyone with the repository, so refuse to run until it is untracked
+const trackedCredentials = trackedPlaintextFiles();
+if (trackedCredentials.length > 0) {
+    console.error(`\n❌ ERROR: ${trackedCredentials.join(', ')} holds the linebet login in plaintext and is tracked by git!`);
     console.error(`
-    Create a file called user.js with:
+    Stop tracking it and move the login into the encrypted vault:
+
+        git rm --cached ${trackedCredentials.join(' ')}
+        node vault.js create --import-user-js
 
-    module.exports = {
-        username: 'YOUR_USERNAME',
-        password: 'YOUR_PASSWORD'
-    };
+    Then delete ${trackedCredentials.join(', ')} and change the linebet password - the old one
+    stays readable in the repository history.
     `);
     process.exit(1);
 }
 
+// The login from the environment, the vault or a prompt; a prompted login can be saved to a new vault.
+// A daemon never prompts, so it needs the environment or the vault plus VF_VAULT_PASSPHRASE.
+async function loadCredentials(settings, daemon) {
+    let credentials;
+    try {
+        credentials = await resolveCredentials(settings, { interactive: !daemon && !!process.stdin.isTTY });
+    } catch (error) {
+        console.error(`\n❌ ERROR: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (!credentials) {
+        console.error('\n❌ ERROR: No linebet login available!');
+        console.error(`
+    Provide it in one of these ways:
+
+        node vault.js create                   store it in an encrypted vault (recommended)${existsSync('user.js') ? `
+        node vault.js create --import-user-js  move the login from the old user.js into the vault` : ''}
+        VF_USERNAME=... VF_PASSWORD=...        set it in the environment
+        run from a terminal                    to be asked for it at startup
+
+    Sources: ${listProviders().map(provider => `${provider.name} (${provider.description})`).join('; ')}
+    `);
+        process.exit(1);
+    }
+    console.log(`🔐 Logging in as ${credentials.username} (credentials from ${credentials.source})`);
+
+    if (credentials.source === 'prompt' && !existsSync(settings.vaultFile)) {
+        const answer = await ask(`💾 Save this login to an encrypted vault at ${settings.vaultFile}? (y/N): `);
+        if (answer.toLowerCase() === 'y') {
+            try {
+                writeVault(settings.vaultFile, credentials, await askNewPassphrase());
+                console.log(`✅ Vault written to ${settings.vaultFile} - next time only the passphrase is asked for`);
+            } catch (error) {
+                console.log(`⚠️  Vault not written: ${error.message}`);
+            }
+        }
+    }
+    return credentials;
+}
+
+// Every option, from --url to --strategy or --daily-loss, is a setting read by config.js; only the checks
+// that span several settings are left here
+const options = { config: cliConfig() };
+const { betting, scraper } = options.config;
+if (options.config.replay.dir && options.config.daemon.enabled) {
+    console.error('\n❌ ERROR: --replay and --daemon cannot be combined - a replay ends on its own');
+    process.exit(1);
+}
+if (options.config.daemon.enabled && options.config.credentials.source === 'prompt') {
+    console.error('\n❌ ERROR: a daemon never reads the terminal - use --credentials env or vault (with VF_VAULT_PASSPHRASE)');
+    process.exit(1);
+}
+// The stake means something different for each plan, e.g. --staking percent --stake 2
+if (betting.stake !== null && !planOptionsFromValue(betting.staking, betting.stake)) {
+    console.error(`\n❌ ERROR: stake ${betting.stake} is not a valid ${getPlan(betting.staking).parameter.name} for the ${betting.staking} plan`);
+    process.exit(1);
+}
+try {
+    options.selectors = SelectorRegistry.load(scraper.selectorsFile);
+} catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}`);
+    process.exit(1);
+}
+
 // Run the scraper
 (async () => {
-    const scraper = new VirtualFootballScraper();
+    // Replays never log in
+    if (!options.config.replay.dir) {
+        options.credentials = await loadCredentials(options.config.credentials, options.config.daemon.enabled);
+    }
+    const scraper = new VirtualFootballScraper(options);
     await scraper.run();
 })();
\ No newline at end of file
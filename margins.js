@@ -0,0 +1,107 @@
+// margins.js - Bookmaker margin and implied-probability analysis for 1X2 prices
+// 1/odds gives each outcome's implied probability; they add up to more than 1 and the excess is the
+// overround. Three ways of taking the margin back out:
+//   proportional - scale every probability down by the same factor
+//   shin         - Shin's model, which assumes part of the book guards against insiders and so takes
+//                  relatively more margin off longshots
+//   power        - raise each probability to the power k that makes them sum to 1 (also longshot-heavy)
+const OUTCOMES = ['HOME', 'DRAW', 'AWAY'];
+const METHODS = ['proportional', 'shin', 'power'];
+
+// Iterations of bisection; enough for probabilities to agree to ~1e-12
+const SOLVER_STEPS = 60;
+
+function hasCompletePrices(odds) {
+    return !!odds && OUTCOMES.every(outcome => Number.isFinite(odds[outcome]) && odds[outcome] > 1);
+}
+
+// odds: { HOME, DRAW, AWAY } decimal prices
+function impliedProbabilities(odds) {
+    return Object.fromEntries(OUTCOMES.map(outcome => [outcome, 1 / odds[outcome]]));
+}
+
+function overround(implied) {
+    return OUTCOMES.reduce((total, outcome) => total + implied[outcome], 0) - 1;
+}
+
+function proportional(implied) {
+    const total = 1 + overround(implied);
+    return { probabilities: Object.fromEntries(OUTCOMES.map(outcome => [outcome, implied[outcome] / total])), parameter: null };
+}
+
+// Bisection for a monotonic f on [low, high] with f(low) and f(high) of opposite sign
+function solve(f, low, high) {
+    let fLow = f(low);
+    for (let step = 0; step < SOLVER_STEPS; step++) {
+        const mid = (low + high) / 2;
+        const fMid = f(mid);
+        if ((fMid > 0) === (fLow > 0)) {
+            low = mid;
+            fLow = fMid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// z is the share of insider money Shin's model needs to explain the overround
+function shin(implied) {
+    const booksum = 1 + overround(implied);
+    if (booksum <= 1) return proportional(implied);
+
+    const probabilitiesFor = z => Object.fromEntries(OUTCOMES.map(outcome => [
+        outcome,
+        (Math.sqrt(z * z + 4 * (1 - z) * implied[outcome] * implied[outcome] / booksum) - z) / (2 * (1 - z))
+    ]));
+    const excess = z => OUTCOMES.reduce((total, outcome) => total + probabilitiesFor(z)[outcome], 0) - 1;
+
+    const z = solve(excess, 0, 0.5);
+    return { probabilities: probabilitiesFor(z), parameter: z };
+}
+
+function power(implied) {
+    if (overround(implied) <= 0) return proportional(implied);
+
+    const probabilitiesFor = k => Object.fromEntries(OUTCOMES.map(outcome => [outcome, Math.pow(implied[outcome], k)]));
+    const excess = k => OUTCOMES.reduce((total, outcome) => total + probabilitiesFor(k)[outcome], 0) - 1;
+
+    const k = solve(excess, 1, 10);
+    return { probabilities: probabilitiesFor(k), parameter: k };
+}
+
+const NORMALISERS = { proportional, shin, power };
+
+function normalise(implied, method = 'proportional') {
+    const normaliser = NORMALISERS[method];
+    if (!normaliser) {
+        throw new Error(`Unknown margin method "${method}". Available: ${METHODS.join(', ')}`);
+    }
+    return normaliser(implied);
+}
+
+// Returns { implied, overround, favourite, methods: { proportional|shin|power: { probabilities, parameter } } }
+// or null when any of the three prices is missing
+function analyseOdds(odds) {
+    if (!hasCompletePrices(odds)) return null;
+
+    const implied = impliedProbabilities(odds);
+    const favourite = OUTCOMES.reduce((best, outcome) => odds[outcome] < odds[best] ? outcome : best, 'HOME');
+
+    return {
+        implied,
+        overround: overround(implied),
+        favourite,
+        methods: Object.fromEntries(METHODS.map(method => [method, normalise(implied, method)]))
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    METHODS,
+    hasCompletePrices,
+    impliedProbabilities,
+    overround,
+    normalise,
+    analyseOdds
+};
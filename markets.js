@@ -0,0 +1,184 @@
+// markets.js - Normalises every betting market shown for a fixture into { market_key, line, selections }
+// The game iframe labels markets and selections loosely ("1X2", "Match Result", "Over 2.5", "GG", team names...),
+// so titles and labels are mapped onto fixed keys here; anything unrecognised is kept under a key made from its
+// title. Over/under and handicap blocks often list several lines together, so each line becomes its own market.
+
+// Checked in order; the first matching title wins
+const MARKET_TYPES = [
+    { key: 'HALF_TIME_RESULT', kind: 'MATCH_RESULT', name: 'Half-Time Result', pattern: /(half[\s-]*time|1st half|first half|\bht\b).*(result|1x2|winner)/i, order: ['HOME', 'DRAW', 'AWAY'] },
+    { key: 'DOUBLE_CHANCE', name: 'Double Chance', pattern: /double chance/i, order: ['HOME_DRAW', 'HOME_AWAY', 'DRAW_AWAY'] },
+    { key: 'BOTH_TEAMS_TO_SCORE', name: 'Both Teams To Score', pattern: /both teams|btts|gg\s*\/\s*ng|goal\s*\/\s*no goal/i, order: ['YES', 'NO'] },
+    { key: 'CORRECT_SCORE', name: 'Correct Score', pattern: /correct score|exact score/i, order: [] },
+    { key: 'HANDICAP', name: 'Handicap', pattern: /handicap/i, order: ['HOME', 'DRAW', 'AWAY'] },
+    { key: 'OVER_UNDER', name: 'Over/Under Goals', pattern: /over\s*\/?\s*under|total goals|goals o\/u/i, order: ['OVER', 'UNDER'] },
+    { key: 'MATCH_RESULT', name: 'Match Result', pattern: /^(1x2|match result|full[\s-]*time result|match winner|result|3[\s-]*way)$/i, order: ['HOME', 'DRAW', 'AWAY'] }
+];
+
+function slug(text) {
+    return String(text).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'UNKNOWN';
+}
+
+// First signed or unsigned decimal in the text, e.g. "Over 2.5" -> 2.5, "ESP (-1)" -> -1; ordinals such as
+// the "1st" of "1st Half" are not lines
+function parseLine(text) {
+    const match = String(text || '').replace(/\b\d+(st|nd|rd|th)\b/gi, '').match(/[+-]?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+// kind picks how selections are read; key is what gets stored. Other first-half markets (e.g. "1st Half
+// Over/Under") are read like their full-time counterpart but stored under their own HALF_TIME_ key.
+function classifyMarket(title) {
+    const text = String(title || '').trim();
+    const type = MARKET_TYPES.find(candidate => candidate.pattern.test(text));
+    if (!type) {
+        return { key: slug(text), kind: null, name: text || 'Unknown', order: [] };
+    }
+    if (!type.kind && /half|\bht\b/i.test(text)) {
+        return { ...type, key: `HALF_TIME_${type.key}`, kind: type.key, name: `Half-Time ${type.name}` };
+    }
+    return { ...type, kind: type.kind || type.key };
+}
+
+// HOME / DRAW / AWAY from "1", "X", "2", "Home", "Draw", "Away" or a team name
+function resultSide(label, teams) {
+    const text = label.toUpperCase();
+    if (/^(1|HOME)\b/.test(text) || (teams.homeTeam && text.startsWith(teams.homeTeam.toUpperCase()))) return 'HOME';
+    if (/^(X|DRAW|TIE)\b/.test(text)) return 'DRAW';
+    if (/^(2|AWAY)\b/.test(text) || (teams.awayTeam && text.startsWith(teams.awayTeam.toUpperCase()))) return 'AWAY';
+    return null;
+}
+
+// Returns { selection, line } for one selection of a classified market; line only for markets that have one
+function normaliseSelection(type, label, index, teams = {}, title = '') {
+    const text = String(label || '').trim();
+    const byPosition = type.order[index] || null;
+
+    switch (type.kind) {
+        case 'MATCH_RESULT':
+            return { selection: resultSide(text, teams) || byPosition, line: null };
+
+        case 'HANDICAP': {
+            // Lines are stored from the home side's point of view. They are usually on the selection
+            // ("ESP (-1)", "NED (+1)"), where the away side shows its own handicap, and sometimes only in the title,
+            // either signed or as a head start ("Handicap 0:1" gives the away side one goal, i.e. home -1)
+            const selection = resultSide(text, teams) || byPosition;
+            const ownLine = parseLine(text.replace(/^(1|2|X)\b/i, ''));
+            if (ownLine === null) {
+                const headStart = String(title).match(/(\d+)\s*:\s*(\d+)/);
+                return { selection, line: headStart ? parseInt(headStart[1]) - parseInt(headStart[2]) : parseLine(title) };
+            }
+            return { selection, line: selection === 'AWAY' ? -ownLine : ownLine };
+        }
+
+        case 'DOUBLE_CHANCE': {
+            const sides = text.toUpperCase()
+                .replace(teams.homeTeam ? teams.homeTeam.toUpperCase() : '\u0000', '1')
+                .replace(teams.awayTeam ? teams.awayTeam.toUpperCase() : '\u0000', '2')
+                .replace(/HOME/g, '1').replace(/AWAY/g, '2').replace(/DRAW/g, 'X')
+                .replace(/[^12X]/g, '');
+            const has = side => sides.includes(side);
+            if (sides.length === 2 && has('1') && has('X')) return { selection: 'HOME_DRAW', line: null };
+            if (sides.length === 2 && has('1') && has('2')) return { selection: 'HOME_AWAY', line: null };
+            if (sides.length === 2 && has('X') && has('2')) return { selection: 'DRAW_AWAY', line: null };
+            return { selection: byPosition, line: null };
+        }
+
+        case 'OVER_UNDER': {
+            const line = parseLine(text) !== null ? Math.abs(parseLine(text)) : parseLine(title);
+            if (/^(OVER|O\b|\+)/i.test(text)) return { selection: 'OVER', line };
+            if (/^(UNDER|U\b|-)/i.test(text)) return { selection: 'UNDER', line };
+            return { selection: byPosition, line };
+        }
+
+        case 'BOTH_TEAMS_TO_SCORE':
+            if (/^(YES|GG|GOAL)\b/i.test(text)) return { selection: 'YES', line: null };
+            if (/^(NO|NG|NO GOAL)\b/i.test(text)) return { selection: 'NO', line: null };
+            return { selection: byPosition, line: null };
+
+        case 'CORRECT_SCORE': {
+            const score = text.match(/(\d+)\s*[-:]\s*(\d+)/);
+            if (score) return { selection: `${parseInt(score[1])}:${parseInt(score[2])}`, line: null };
+            return { selection: /other/i.test(text) ? 'OTHER' : (text ? slug(text) : null), line: null };
+        }
+
+        default:
+            return { selection: text ? slug(text) : `SELECTION_${index + 1}`, line: null };
+    }
+}
+
+// Named selectors (selectors.json) readMarketBlocks() needs, passed to it as { name: [candidates] }
+const MARKET_SELECTORS = ['marketBlock', 'marketTitle', 'betButtons', 'betOdds', 'marketSelectionLabel'];
+
+// Runs in the page (element.evaluate), so it may only use its arguments and the DOM. Candidates are tried in
+// order like SelectorRegistry does, and the index of the one that matched comes back for the hit/miss counters.
+// Resolves to { markets: [{ title, selections: [{ label, odds }] }], matched: { name: index | null } }
+function readMarketBlocks(root, candidates) {
+    const matched = {};
+    const pick = (el, name, all) => {
+        const list = candidates[name];
+        for (let i = 0; i < list.length; i++) {
+            const found = all ? Array.from(el.querySelectorAll(list[i])) : el.querySelector(list[i]);
+            if (all ? found.length > 0 : found) {
+                matched[name] = i;
+                return found;
+            }
+        }
+        if (!(name in matched)) matched[name] = null;
+        return all ? [] : null;
+    };
+    const text = el => el ? el.textContent.trim() : '';
+
+    const markets = pick(root, 'marketBlock', true).map(block => ({
+        title: text(pick(block, 'marketTitle')),
+        selections: pick(block, 'betButtons', true).map(bet => {
+            const oddsEl = pick(bet, 'betOdds');
+            return {
+                label: text(pick(bet, 'marketSelectionLabel')),
+                odds: oddsEl ? parseFloat(oddsEl.getAttribute('data-decimal')) : null
+            };
+        })
+    })).filter(market => market.title && market.selections.length > 0);
+
+    return { markets, matched };
+}
+
+// rawMarkets: [{ title, selections: [{ label, odds }] }] as read from the page
+// Returns [{ market_key, market_name, line, selections: [{ selection_key, label, odds }] }]; selections without
+// a usable price or key are dropped, as are markets left empty
+function normaliseMarkets(rawMarkets, teams = {}) {
+    const markets = new Map();
+
+    for (const raw of rawMarkets) {
+        const type = classifyMarket(raw.title);
+
+        (raw.selections || []).forEach((rawSelection, index) => {
+            const odds = parseFloat(rawSelection.odds);
+            if (!Number.isFinite(odds) || odds <= 1) return;
+
+            const { selection, line } = normaliseSelection(type, rawSelection.label, index, teams, raw.title);
+            if (!selection) return;
+
+            const id = `${type.key}|${line === null ? '' : line}`;
+            if (!markets.has(id)) {
+                markets.set(id, { market_key: type.key, market_name: type.name, line, selections: [] });
+            }
+
+            const market = markets.get(id);
+            // The same selection listed twice keeps its first price
+            if (market.selections.some(existing => existing.selection_key === selection)) return;
+            market.selections.push({ selection_key: selection, label: String(rawSelection.label || '').trim(), odds });
+        });
+    }
+
+    return [...markets.values()].filter(market => market.selections.length > 0);
+}
+
+module.exports = {
+    MARKET_TYPES,
+    MARKET_SELECTORS,
+    readMarketBlocks,
+    classifyMarket,
+    normaliseSelection,
+    normaliseMarkets,
+    parseLine
+};
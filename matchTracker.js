@@ -0,0 +1,110 @@
+// matchTracker.js - Per-fixture lifecycle (SCHEDULED -> LIVE -> FINISHED)
+const FIXTURE_STATES = {
+    SCHEDULED: 'SCHEDULED',
+    LIVE: 'LIVE',
+    FINISHED: 'FINISHED'
+};
+
+class MatchTracker {
+    constructor() {
+        this.fixtures = new Map();
+        this.currentStage = null;
+    }
+
+    fixtureKey(stage, homeTeam, awayTeam) {
+        return `${stage}-${homeTeam}-${awayTeam}`;
+    }
+
+    getFixture(stage, homeTeam, awayTeam) {
+        return this.fixtures.get(this.fixtureKey(stage, homeTeam, awayTeam)) || null;
+    }
+
+    getOrCreateFixture(stage, homeTeam, awayTeam) {
+        const key = this.fixtureKey(stage, homeTeam, awayTeam);
+        if (!this.fixtures.has(key)) {
+            this.fixtures.set(key, {
+                key,
+                stage,
+                homeTeam,
+                awayTeam,
+                state: FIXTURE_STATES.SCHEDULED,
+                score: null,
+                timeline: [],
+                firstSeenAt: new Date().toISOString(),
+                finishedAt: null
+            });
+        }
+        return this.fixtures.get(key);
+    }
+
+    schedule(stage, homeTeam, awayTeam) {
+        return this.getOrCreateFixture(stage, homeTeam, awayTeam);
+    }
+
+    // Records a score reading; returns the fixture when the score changed, otherwise null
+    updateScore(stage, homeTeam, awayTeam, score, clockText = null) {
+        const fixture = this.getOrCreateFixture(stage, homeTeam, awayTeam);
+        if (fixture.state === FIXTURE_STATES.FINISHED) return null;
+
+        fixture.state = FIXTURE_STATES.LIVE;
+        if (fixture.score === score) return null;
+
+        fixture.score = score;
+        fixture.timeline.push({
+            score,
+            minute: this.parseClock(clockText).minute,
+            clock: clockText,
+            observedAt: new Date().toISOString()
+        });
+        return fixture;
+    }
+
+    // A new stage on the scoreboard means every fixture still live in the old one has ended
+    handleStageChange(stage) {
+        const finished = [];
+        if (this.currentStage !== null && stage !== this.currentStage) {
+            for (const [key, fixture] of this.fixtures) {
+                if (fixture.stage === stage) continue;
+
+                if (fixture.state === FIXTURE_STATES.LIVE) {
+                    finished.push(this.finishFixture(fixture));
+                }
+                this.fixtures.delete(key);
+            }
+        }
+        this.currentStage = stage;
+        return finished;
+    }
+
+    // Finishes the fixture on the scoreboard once its clock shows full time
+    observeClock(stage, homeTeam, awayTeam, clockText) {
+        const fixture = this.getFixture(stage, homeTeam, awayTeam);
+        if (!fixture || fixture.state !== FIXTURE_STATES.LIVE) return null;
+
+        if (this.parseClock(clockText).isFullTime) {
+            return this.finishFixture(fixture);
+        }
+        return null;
+    }
+
+    finishFixture(fixture) {
+        fixture.state = FIXTURE_STATES.FINISHED;
+        fixture.finishedAt = new Date().toISOString();
+        return fixture;
+    }
+
+    parseClock(clockText) {
+        if (!clockText) return { minute: null, isFullTime: false };
+
+        const text = clockText.trim().toUpperCase();
+        const isFullTime = /\bFT\b|FULL\s*TIME|\bENDED\b|\bFINISHED\b/.test(text);
+        const minuteMatch = text.match(/(\d+)(?:\s*\+\s*(\d+))?/);
+        const minute = minuteMatch
+            ? parseInt(minuteMatch[1]) + (minuteMatch[2] ? parseInt(minuteMatch[2]) : 0)
+            : null;
+
+        return { minute, isFullTime };
+    }
+}
+
+module.exports = { MatchTracker, FIXTURE_STATES };
@@ -0,0 +1,25 @@
+// migrate.js - Apply or list pending schema migrations
+// Usage: node migrate.js            apply pending migrations (a backup is taken first)
+//        node migrate.js --dry-run  list pending migrations without touching the database
+const BettingDatabase = require('./database');
+const { cliConfig } = require('./config');
+
+(async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const db = new BettingDatabase(cliConfig());
+
+    console.log('\n🗂️  SCHEMA MIGRATIONS');
+    console.log('='.repeat(70));
+
+    try {
+        await db.connect();
+        await db.migrate({ dryRun });
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (db.db) {
+            await db.close();
+        }
+    }
+})();
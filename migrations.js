@@ -0,0 +1,572 @@
+// migrations.js - Numbered schema steps for virtual_football_betting.db
+// Steps run once each, in order, inside a transaction. Never edit a step that has shipped; add a new one.
+// Data steps carry their own copy of the SQL they ran when they shipped rather than calling BettingDatabase,
+// whose methods follow the latest schema; only the pure maths (ratings, margins, price movement) is shared.
+const { rateMatch } = require('./ratings');
+const { analyseOdds } = require('./margins');
+const { summariseMovement, closingLineValue } = require('./oddsMovement');
+
+// Step 3: group the matches seen before tournaments existed. A stage going backwards or a gap of more
+// than 30 minutes between sightings starts a new tournament; the latest one stays open unless it reached the Final.
+async function assignMatchesToTournaments(db) {
+    const gapMs = 30 * 60 * 1000;
+    const stageOrder = (stageName) => {
+        const matchday = stageName && stageName.match(/^Matchday (\d+)$/);
+        if (matchday) return parseInt(matchday[1]);
+        return { 'Quarter Finals': 100, 'Semi Finals': 101, '3rd Place': 102, 'Final': 103 }[stageName] || null;
+    };
+
+    const unassigned = await db.query(`
+        SELECT m.match_id, ts.stage_name, m.created_at, m.updated_at
+        FROM matches m
+        JOIN tournament_stages ts ON m.stage_id = ts.stage_id
+        WHERE m.tournament_id IS NULL
+        ORDER BY m.created_at, m.match_id
+    `);
+    if (unassigned.length === 0) return;
+
+    console.log(`\n🏆 Assigning ${unassigned.length} existing match(es) to tournaments...`);
+
+    const groups = [];
+    let current = null;
+    let lastOrder = null;
+    let lastSeen = null;
+
+    for (const match of unassigned) {
+        const order = stageOrder(match.stage_name);
+        const seenAt = new Date(`${match.created_at.replace(' ', 'T')}Z`).getTime();
+
+        const regressed = order !== null && lastOrder !== null && order < lastOrder;
+        const gap = lastSeen !== null && seenAt - lastSeen > gapMs;
+
+        if (!current || regressed || gap) {
+            current = { matches: [], firstStage: match.stage_name, lastStage: match.stage_name, startedAt: match.created_at, lastSeenAt: match.updated_at || match.created_at };
+            groups.push(current);
+            lastOrder = null;
+        }
+
+        current.matches.push(match.match_id);
+        current.lastSeenAt = match.updated_at || match.created_at;
+        if (order !== null) {
+            current.lastStage = match.stage_name;
+            lastOrder = order;
+        }
+        lastSeen = seenAt;
+    }
+
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        const status = i === groups.length - 1 && group.lastStage !== 'Final' ? 'OPEN' : 'CLOSED';
+
+        const result = await db.runQuery(`
+            INSERT INTO tournaments (status, first_stage, last_stage, started_at, last_seen_at, ended_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [status, group.firstStage, group.lastStage, group.startedAt, group.lastSeenAt, status === 'CLOSED' ? group.lastSeenAt : null]);
+
+        await db.runQuery(
+            `UPDATE matches SET tournament_id = ? WHERE match_id IN (${group.matches.map(() => '?').join(', ')})`,
+            [result.lastID, ...group.matches]
+        );
+    }
+
+    await db.runQuery(`
+        UPDATE betting_odds
+        SET tournament_id = (SELECT tournament_id FROM matches WHERE matches.match_id = betting_odds.match_id)
+        WHERE tournament_id IS NULL
+    `);
+    await db.runQuery(`
+        UPDATE bets
+        SET tournament_id = (SELECT tournament_id FROM matches WHERE matches.match_id = bets.match_id)
+        WHERE tournament_id IS NULL
+    `);
+
+    console.log(`✅ Created ${groups.length} tournament(s) from existing matches`);
+}
+
+// Step 6: every team starts at 1500 and the completed matches are replayed in the order they finished
+async function seedRatings(db) {
+    const matches = await db.query(`
+        SELECT m.match_id, m.home_team_id, m.away_team_id, m.home_score, m.away_score
+        FROM matches m
+        JOIN teams ht ON m.home_team_id = ht.team_id
+        JOIN teams at ON m.away_team_id = at.team_id
+        WHERE m.status = 'COMPLETED' AND m.result IS NOT NULL
+        ORDER BY COALESCE(m.updated_at, m.created_at), m.match_id
+    `);
+
+    const ratings = new Map();
+    const rate = async (matchId, teamId, change) => {
+        ratings.set(teamId, change.after);
+        await db.runQuery('UPDATE teams SET elo_rating = ?, rated_matches = rated_matches + 1 WHERE team_id = ?', [change.after, teamId]);
+        await db.runQuery(`
+            INSERT INTO team_rating_history (team_id, match_id, rating_before, rating_after, expected_score)
+            VALUES (?, ?, ?, ?, ?)
+        `, [teamId, matchId, change.before, change.after, change.expected]);
+    };
+
+    for (const match of matches) {
+        const rating = rateMatch(ratings.get(match.home_team_id) || 1500, ratings.get(match.away_team_id) || 1500, match.home_score, match.away_score);
+        await rate(match.match_id, match.home_team_id, rating.home);
+        await rate(match.match_id, match.away_team_id, rating.away);
+    }
+}
+
+// Step 8: implied probabilities, overround and the margin-free probabilities of every snapshot with all three prices
+async function analyseStoredOdds(db) {
+    const snapshots = await db.query(`
+        SELECT odds_id, home_odds, draw_odds, away_odds FROM betting_odds
+        WHERE overround IS NULL
+          AND home_odds IS NOT NULL AND draw_odds IS NOT NULL AND away_odds IS NOT NULL
+    `);
+
+    let analysed = 0;
+    for (const snapshot of snapshots) {
+        const analysis = analyseOdds({ HOME: snapshot.home_odds, DRAW: snapshot.draw_odds, AWAY: snapshot.away_odds });
+        if (!analysis) continue;
+
+        await db.runQuery(`
+            UPDATE betting_odds
+            SET implied_home_prob = ?, implied_draw_prob = ?, implied_away_prob = ?, overround = ?
+            WHERE odds_id = ?
+        `, [analysis.implied.HOME, analysis.implied.DRAW, analysis.implied.AWAY, analysis.overround, snapshot.odds_id]);
+
+        for (const [method, result] of Object.entries(analysis.methods)) {
+            await db.runQuery(`
+                INSERT OR REPLACE INTO odds_fair_probabilities (odds_id, method, home_prob, draw_prob, away_prob, parameter)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [snapshot.odds_id, method, result.probabilities.HOME, result.probabilities.DRAW, result.probabilities.AWAY, result.parameter]);
+        }
+        analysed++;
+    }
+
+    if (analysed > 0) {
+        console.log(`   📐 Analysed the margin of ${analysed} odds snapshot(s)`);
+    }
+}
+
+// Step 9: closing price (the last snapshot before kick-off) and CLV of every settled bet
+async function recordClosingLines(db) {
+    const bets = await db.query(`
+        SELECT bet_id, match_id, team_bet_on, odds_taken FROM bets
+        WHERE status != 'PENDING' AND closing_odds IS NULL
+    `);
+
+    let recorded = 0;
+    for (const bet of bets) {
+        const snapshots = await db.query(`
+            SELECT bo.home_odds, bo.draw_odds, bo.away_odds
+            FROM betting_odds bo
+            JOIN matches m ON bo.match_id = m.match_id
+            WHERE bo.match_id = ?
+              AND (m.kickoff_at IS NULL OR bo.timestamp < m.kickoff_at)
+            ORDER BY bo.timestamp, bo.odds_id
+        `, [bet.match_id]);
+
+        const movement = summariseMovement(snapshots.map(row => ({ HOME: row.home_odds, DRAW: row.draw_odds, AWAY: row.away_odds })));
+        const selection = movement && movement.selections[bet.team_bet_on];
+        if (!selection) continue;
+
+        await db.runQuery(
+            'UPDATE bets SET closing_odds = ?, clv = ? WHERE bet_id = ?',
+            [selection.closing, closingLineValue(bet.odds_taken, selection.closing), bet.bet_id]
+        );
+        recorded++;
+    }
+
+    if (recorded > 0) {
+        console.log(`   📈 Recorded the closing line of ${recorded} settled bet(s)`);
+    }
+}
+
+module.exports = [
+    {
+        version: 1,
+        description: 'Baseline betting schema',
+        up: async (db) => {
+            const tables = [
+                `CREATE TABLE IF NOT EXISTS tournament_stages (
+                    stage_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    stage_name TEXT UNIQUE NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS teams (
+                    team_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    team_name TEXT UNIQUE NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS matches (
+                    match_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_number INTEGER,
+                    stage_id INTEGER,
+                    home_team_id INTEGER,
+                    away_team_id INTEGER,
+                    home_score INTEGER DEFAULT 0,
+                    away_score INTEGER DEFAULT 0,
+                    full_time_score TEXT,
+                    match_date DATE,
+                    match_time TIME,
+                    status TEXT DEFAULT 'SCHEDULED',
+                    result TEXT,
+                    is_final BOOLEAN DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (stage_id) REFERENCES tournament_stages(stage_id),
+                    FOREIGN KEY (home_team_id) REFERENCES teams(team_id),
+                    FOREIGN KEY (away_team_id) REFERENCES teams(team_id)
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS betting_odds (
+                    odds_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER,
+                    home_odds DECIMAL(5,2),
+                    draw_odds DECIMAL(5,2),
+                    away_odds DECIMAL(5,2),
+                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    is_active BOOLEAN DEFAULT 1,
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id)
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS account (
+                    account_id INTEGER PRIMARY KEY CHECK (account_id = 1),
+                    balance DECIMAL(10,2) DEFAULT 1000.00,
+                    total_deposits DECIMAL(10,2) DEFAULT 0.00,
+                    total_withdrawals DECIMAL(10,2) DEFAULT 0.00,
+                    total_wins INTEGER DEFAULT 0,
+                    total_losses INTEGER DEFAULT 0,
+                    total_profit_loss DECIMAL(10,2) DEFAULT 0.00,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS bets (
+                    bet_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER,
+                    team_bet_on TEXT,
+                    odds_taken DECIMAL(5,2),
+                    amount DECIMAL(10,2),
+                    potential_win DECIMAL(10,2),
+                    actual_win DECIMAL(10,2) DEFAULT 0.00,
+                    status TEXT DEFAULT 'PENDING',
+                    placed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    settled_at TIMESTAMP,
+                    profit_loss DECIMAL(10,2) DEFAULT 0.00,
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id)
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS transactions (
+                    transaction_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    bet_id INTEGER,
+                    type TEXT,
+                    amount DECIMAL(10,2),
+                    balance_before DECIMAL(10,2),
+                    balance_after DECIMAL(10,2),
+                    description TEXT,
+                    transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (bet_id) REFERENCES bets(bet_id)
+                )`
+            ];
+
+            for (const sql of tables) {
+                await db.runQuery(sql);
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Goal events captured from the live scoreboard',
+        up: async (db) => {
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS goal_events (
+                    event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER,
+                    minute INTEGER,
+                    clock_text TEXT,
+                    scoring_side TEXT,
+                    home_score INTEGER,
+                    away_score INTEGER,
+                    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 3,
+        description: 'Tournaments linking matches, odds and bets',
+        up: async (db) => {
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS tournaments (
+                    tournament_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    status TEXT DEFAULT 'OPEN',
+                    first_stage TEXT,
+                    last_stage TEXT,
+                    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    ended_at TIMESTAMP
+                )
+            `);
+
+            // Databases created before this step already have the tables, so link columns are added in place
+            await db.ensureColumn('matches', 'tournament_id', 'INTEGER REFERENCES tournaments(tournament_id)');
+            await db.ensureColumn('betting_odds', 'tournament_id', 'INTEGER REFERENCES tournaments(tournament_id)');
+            await db.ensureColumn('bets', 'tournament_id', 'INTEGER REFERENCES tournaments(tournament_id)');
+
+            await assignMatchesToTournaments(db);
+        }
+    },
+    {
+        version: 4,
+        description: 'Money stored as integer minor units with an account currency',
+        up: async (db) => {
+            const minor = column => `CAST(ROUND(COALESCE(${column}, 0) * 100) AS INTEGER)`;
+            const copy = columns => Object.fromEntries(columns.map(column => [column, column]));
+
+            await db.rebuildTable('account', `
+                account_id INTEGER PRIMARY KEY CHECK (account_id = 1),
+                balance INTEGER NOT NULL DEFAULT 0,
+                total_deposits INTEGER NOT NULL DEFAULT 0,
+                total_withdrawals INTEGER NOT NULL DEFAULT 0,
+                total_wins INTEGER DEFAULT 0,
+                total_losses INTEGER DEFAULT 0,
+                total_profit_loss INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            `, {
+                ...copy(['account_id', 'total_wins', 'total_losses', 'created_at', 'updated_at']),
+                balance: minor('balance'),
+                total_deposits: minor('total_deposits'),
+                total_withdrawals: minor('total_withdrawals'),
+                total_profit_loss: minor('total_profit_loss')
+            });
+
+            await db.rebuildTable('bets', `
+                bet_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                match_id INTEGER,
+                team_bet_on TEXT,
+                odds_taken DECIMAL(5,2),
+                amount INTEGER NOT NULL,
+                potential_win INTEGER NOT NULL,
+                actual_win INTEGER NOT NULL DEFAULT 0,
+                status TEXT DEFAULT 'PENDING',
+                placed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                settled_at TIMESTAMP,
+                profit_loss INTEGER NOT NULL DEFAULT 0,
+                tournament_id INTEGER REFERENCES tournaments(tournament_id),
+                FOREIGN KEY (match_id) REFERENCES matches(match_id)
+            `, {
+                ...copy(['bet_id', 'match_id', 'team_bet_on', 'odds_taken', 'status', 'placed_at', 'settled_at', 'tournament_id']),
+                amount: minor('amount'),
+                potential_win: minor('potential_win'),
+                actual_win: minor('actual_win'),
+                profit_loss: minor('profit_loss')
+            });
+
+            await db.rebuildTable('transactions', `
+                transaction_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                bet_id INTEGER,
+                type TEXT,
+                amount INTEGER NOT NULL,
+                balance_before INTEGER NOT NULL,
+                balance_after INTEGER NOT NULL,
+                description TEXT,
+                transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (bet_id) REFERENCES bets(bet_id)
+            `, {
+                ...copy(['transaction_id', 'bet_id', 'type', 'description', 'transaction_date']),
+                amount: minor('amount'),
+                balance_before: minor('balance_before'),
+                balance_after: minor('balance_after')
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Kick-off time on matches',
+        up: async (db) => {
+            // Set when a fixture is first seen live; older rows stay NULL
+            await db.ensureColumn('matches', 'kickoff_at', 'TIMESTAMP');
+        }
+    },
+    {
+        version: 6,
+        description: 'Elo team ratings with rating history',
+        up: async (db) => {
+            await db.ensureColumn('teams', 'elo_rating', 'REAL NOT NULL DEFAULT 1500');
+            await db.ensureColumn('teams', 'rated_matches', 'INTEGER NOT NULL DEFAULT 0');
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS team_rating_history (
+                    history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    team_id INTEGER NOT NULL,
+                    match_id INTEGER NOT NULL,
+                    rating_before REAL NOT NULL,
+                    rating_after REAL NOT NULL,
+                    expected_score REAL NOT NULL,
+                    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (team_id) REFERENCES teams(team_id),
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id)
+                )
+            `);
+
+            // Existing results seed the ratings
+            await seedRatings(db);
+        }
+    },
+    {
+        version: 7,
+        description: 'Model predictions (fair prices) for scheduled matches',
+        up: async (db) => {
+            // One row per match and model, replaced each time the model is refitted.
+            // goal_lines holds { "1.5": { over, under }, ... }; correct_scores the most likely scorelines
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS model_predictions (
+                    prediction_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    odds_id INTEGER,
+                    model TEXT NOT NULL,
+                    expected_home_goals REAL,
+                    expected_away_goals REAL,
+                    home_prob REAL,
+                    draw_prob REAL,
+                    away_prob REAL,
+                    over_2_5_prob REAL,
+                    under_2_5_prob REAL,
+                    goal_lines TEXT,
+                    correct_scores TEXT,
+                    matches_fitted INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (match_id, model),
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id),
+                    FOREIGN KEY (odds_id) REFERENCES betting_odds(odds_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Implied probabilities, overround and margin-free probabilities per odds snapshot',
+        up: async (db) => {
+            await db.ensureColumn('betting_odds', 'implied_home_prob', 'REAL');
+            await db.ensureColumn('betting_odds', 'implied_draw_prob', 'REAL');
+            await db.ensureColumn('betting_odds', 'implied_away_prob', 'REAL');
+            await db.ensureColumn('betting_odds', 'overround', 'REAL');
+
+            // One row per snapshot and method (proportional, shin, power); parameter is Shin's z or the power k
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS odds_fair_probabilities (
+                    odds_id INTEGER NOT NULL,
+                    method TEXT NOT NULL,
+                    home_prob REAL NOT NULL,
+                    draw_prob REAL NOT NULL,
+                    away_prob REAL NOT NULL,
+                    parameter REAL,
+                    PRIMARY KEY (odds_id, method),
+                    FOREIGN KEY (odds_id) REFERENCES betting_odds(odds_id)
+                )
+            `);
+
+            await analyseStoredOdds(db);
+        }
+    },
+    {
+        version: 9,
+        description: 'Closing odds and closing line value on bets',
+        up: async (db) => {
+            // closing_odds is the last pre-match price of the selection; clv = odds_taken / closing_odds - 1
+            await db.ensureColumn('bets', 'closing_odds', 'REAL');
+            await db.ensureColumn('bets', 'clv', 'REAL');
+
+            await recordClosingLines(db);
+        }
+    },
+    {
+        version: 10,
+        description: 'Value-bet alerts raised by the model',
+        up: async (db) => {
+            // One alert per odds snapshot, selection and model version; status OPEN until it is bet or skipped
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS value_bet_alerts (
+                    alert_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    odds_id INTEGER NOT NULL,
+                    selection TEXT NOT NULL CHECK (selection IN ('HOME', 'DRAW', 'AWAY')),
+                    offered_odds REAL NOT NULL,
+                    fair_odds REAL NOT NULL,
+                    model_probability REAL NOT NULL,
+                    edge REAL NOT NULL,
+                    min_edge REAL NOT NULL,
+                    model TEXT NOT NULL,
+                    model_version INTEGER NOT NULL,
+                    matches_fitted INTEGER,
+                    status TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'BET', 'SKIPPED')),
+                    bet_id INTEGER,
+                    note TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (odds_id, selection, model, model_version),
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id),
+                    FOREIGN KEY (odds_id) REFERENCES betting_odds(odds_id),
+                    FOREIGN KEY (bet_id) REFERENCES bets(bet_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 11,
+        description: 'All markets per fixture (double chance, over/under, BTTS, correct score, handicap, half-time)',
+        up: async (db) => {
+            // One row per match, market and line (NULL for markets without one, e.g. double chance)
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS markets (
+                    market_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    tournament_id INTEGER,
+                    market_key TEXT NOT NULL,
+                    market_name TEXT NOT NULL,
+                    line REAL,
+                    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (match_id) REFERENCES matches(match_id),
+                    FOREIGN KEY (tournament_id) REFERENCES tournaments(tournament_id)
+                )
+            `);
+
+            // Price history: a selection gets a new row whenever its price changes, like betting_odds
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS market_selections (
+                    selection_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    market_id INTEGER NOT NULL,
+                    selection_key TEXT NOT NULL,
+                    label TEXT,
+                    odds REAL NOT NULL,
+                    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (market_id) REFERENCES markets(market_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 12,
+        description: 'Selector health: hits and misses of every named page selector',
+        up: async (db) => {
+            // Running totals per selector name from selectors.json; stopped_at is set when a selector that used to
+            // match misses for a whole cycle and cleared once it matches again
+            await db.runQuery(`
+                CREATE TABLE IF NOT EXISTS selector_health (
+                    name TEXT PRIMARY KEY,
+                    optional INTEGER NOT NULL DEFAULT 0,
+                    hits INTEGER NOT NULL DEFAULT 0,
+                    misses INTEGER NOT NULL DEFAULT 0,
+                    missed_cycles INTEGER NOT NULL DEFAULT 0,
+                    matched_selector TEXT,
+                    matched_index INTEGER,
+                    last_hit_at TIMESTAMP,
+                    last_miss_at TIMESTAMP,
+                    stopped_at TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    }
+];
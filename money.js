@@ -0,0 +1,74 @@
+// money.js - Integer minor-unit (cents) money helpers
+// Every amount in the betting database is an integer count of minor units; convert only at the edges.
+const DEFAULT_CURRENCY = 'USD';
+const MINOR_UNITS_PER_MAJOR = 100;
+
+const CURRENCY_SYMBOLS = {
+    USD: '$',
+    EUR: '€',
+    GBP: '£'
+};
+
+// 12.34 or "12.34" -> 1234; null for anything that is not a finite amount
+function toMinor(amount) {
+    if (amount === null || amount === undefined || amount === '') return null;
+
+    const value = typeof amount === 'string' ? Number(amount.trim().replace(/^[$€£]/, '')) : Number(amount);
+    if (!Number.isFinite(value)) return null;
+
+    return Math.round(value * MINOR_UNITS_PER_MAJOR);
+}
+
+function fromMinor(minor) {
+    return (Number(minor) || 0) / MINOR_UNITS_PER_MAJOR;
+}
+
+// Parses a user-typed amount that must be positive and have at most two decimals
+function parseAmount(input) {
+    const text = String(input === undefined || input === null ? '' : input).trim().replace(/^[$€£]/, '');
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+
+    const minor = toMinor(text);
+    return minor > 0 ? minor : null;
+}
+
+// Stake times decimal odds, rounded to the nearest minor unit
+function multiplyMinor(minor, factor) {
+    return Math.round(minor * factor);
+}
+
+function formatMoney(minor, currency = DEFAULT_CURRENCY) {
+    const value = Math.round(Number(minor) || 0);
+    const sign = value < 0 ? '-' : '';
+    const absolute = Math.abs(value);
+    const major = Math.floor(absolute / MINOR_UNITS_PER_MAJOR);
+    const cents = String(absolute % MINOR_UNITS_PER_MAJOR).padStart(2, '0');
+    const symbol = CURRENCY_SYMBOLS[currency];
+
+    return symbol
+        ? `${sign}${symbol}${major}.${cents}`
+        : `${sign}${major}.${cents} ${currency}`;
+}
+
+// "+$10.00" / "-$5.00" for profit and loss columns
+function formatSignedMoney(minor, currency = DEFAULT_CURRENCY) {
+    return `${minor > 0 ? '+' : ''}${formatMoney(minor, currency)}`;
+}
+
+// How a transactions row moves the balance: stakes and withdrawals leave it, everything else is signed as stored
+function signedLedgerAmount(type, minor) {
+    const amount = Number(minor) || 0;
+    return type === 'WITHDRAWAL' || type === 'BET_PLACED' ? -amount : amount;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    MINOR_UNITS_PER_MAJOR,
+    toMinor,
+    fromMinor,
+    parseAmount,
+    multiplyMinor,
+    formatMoney,
+    formatSignedMoney,
+    signedLedgerAmount
+};
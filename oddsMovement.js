@@ -0,0 +1,67 @@
+// oddsMovement.js - How a fixture's 1X2 prices moved before kick-off, and closing line value (CLV)
+// saveOdds() appends a betting_odds row whenever any price changes, so a match's snapshots are its price
+// history: the first one is the opening price and the last one before kick-off the closing price.
+// CLV compares the odds a bet was struck at with that closing price; beating the close consistently is
+// the usual sign of finding value, whatever the short-run results say.
+const { OUTCOMES } = require('./margins');
+
+// snapshots: [{ timestamp, HOME, DRAW, AWAY }] oldest first
+// Returns { snapshots, changes, firstSeen, lastSeen, selections: { HOME|DRAW|AWAY: { opening, closing, max, min,
+// changes, move, movePercent, drift } | null } } or null without any snapshots
+function summariseMovement(snapshots) {
+    if (!snapshots || snapshots.length === 0) return null;
+
+    const selections = {};
+    for (const outcome of OUTCOMES) {
+        const prices = snapshots.map(snapshot => snapshot[outcome]).filter(price => Number.isFinite(price) && price > 0);
+        if (prices.length === 0) {
+            selections[outcome] = null;
+            continue;
+        }
+
+        const opening = prices[0];
+        const closing = prices[prices.length - 1];
+        const changes = prices.filter((price, index) => index > 0 && price !== prices[index - 1]).length;
+
+        selections[outcome] = {
+            opening,
+            closing,
+            max: Math.max(...prices),
+            min: Math.min(...prices),
+            changes,
+            move: closing - opening,
+            movePercent: closing / opening - 1,
+            // A shortening price means money came in for the selection
+            drift: closing < opening ? 'SHORTENED' : (closing > opening ? 'DRIFTED' : 'STEADY')
+        };
+    }
+
+    const changes = snapshots.filter((snapshot, index) =>
+        index > 0 && OUTCOMES.some(outcome => snapshot[outcome] !== snapshots[index - 1][outcome])
+    ).length;
+
+    return {
+        snapshots: snapshots.length,
+        changes,
+        firstSeen: snapshots[0].timestamp,
+        lastSeen: snapshots[snapshots.length - 1].timestamp,
+        selections
+    };
+}
+
+// Positive when the bet got a bigger price than the market closed at: 2.20 taken against a 2.00 close is +10%
+function closingLineValue(oddsTaken, closingOdds) {
+    if (!Number.isFinite(oddsTaken) || !Number.isFinite(closingOdds) || closingOdds <= 0) return null;
+    return oddsTaken / closingOdds - 1;
+}
+
+function formatPercent(value) {
+    if (value === null || value === undefined) return '-';
+    return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+module.exports = {
+    summariseMovement,
+    closingLineValue,
+    formatPercent
+};
@@ -0,0 +1,155 @@
+// poissonModel.js - Poisson goal model giving fair 1X2, over/under and correct-score probabilities
+// Each team gets attack and defence strengths for home and away games, relative to the league average.
+// A fixture's expected goals are home attack x away defence x league home average (and the mirror for the
+// away side); independent Poisson distributions over those means give every scoreline's probability.
+const MODEL_NAME = 'poisson';
+
+// Bump whenever the fitting or prediction maths changes, so alerts raised by older fits can be told apart
+const MODEL_VERSION = 1;
+
+// Strengths are pulled towards the league average as if every team had also played this many average games
+const PRIOR_MATCHES = 3;
+
+// Scorelines beyond this many goals per side are folded away by renormalising the grid
+const MAX_GOALS = 10;
+
+const GOAL_LINES = [1.5, 2.5, 3.5];
+
+function poissonProbability(mean, goals) {
+    let probability = Math.exp(-mean);
+    for (let i = 1; i <= goals; i++) {
+        probability *= mean / i;
+    }
+    return probability;
+}
+
+// results: [{ homeTeam, awayTeam, homeScore, awayScore }]
+function fitStrengths(results) {
+    const totals = {};
+    let homeGoals = 0;
+    let awayGoals = 0;
+
+    const team = name => {
+        const key = String(name).toUpperCase();
+        if (!totals[key]) {
+            totals[key] = { homePlayed: 0, homeScored: 0, homeConceded: 0, awayPlayed: 0, awayScored: 0, awayConceded: 0 };
+        }
+        return totals[key];
+    };
+
+    for (const result of results) {
+        const home = team(result.homeTeam);
+        const away = team(result.awayTeam);
+
+        home.homePlayed++;
+        home.homeScored += result.homeScore;
+        home.homeConceded += result.awayScore;
+        away.awayPlayed++;
+        away.awayScored += result.awayScore;
+        away.awayConceded += result.homeScore;
+
+        homeGoals += result.homeScore;
+        awayGoals += result.awayScore;
+    }
+
+    const matchCount = results.length;
+    const leagueHomeGoals = matchCount > 0 ? homeGoals / matchCount : 0;
+    const leagueAwayGoals = matchCount > 0 ? awayGoals / matchCount : 0;
+
+    // Goals per game over the league average, shrunk towards 1 for teams with few games
+    const ratio = (goals, played, average) => {
+        if (average === 0) return 1;
+        return (goals + PRIOR_MATCHES * average) / ((played + PRIOR_MATCHES) * average);
+    };
+
+    const teams = {};
+    for (const [name, t] of Object.entries(totals)) {
+        teams[name] = {
+            homePlayed: t.homePlayed,
+            awayPlayed: t.awayPlayed,
+            homeAttack: ratio(t.homeScored, t.homePlayed, leagueHomeGoals),
+            homeDefence: ratio(t.homeConceded, t.homePlayed, leagueAwayGoals),
+            awayAttack: ratio(t.awayScored, t.awayPlayed, leagueAwayGoals),
+            awayDefence: ratio(t.awayConceded, t.awayPlayed, leagueHomeGoals)
+        };
+    }
+
+    return { matchCount, leagueHomeGoals, leagueAwayGoals, teams };
+}
+
+const AVERAGE_TEAM = { homePlayed: 0, awayPlayed: 0, homeAttack: 1, homeDefence: 1, awayAttack: 1, awayDefence: 1 };
+
+function expectedGoals(strengths, homeTeam, awayTeam) {
+    const home = strengths.teams[String(homeTeam).toUpperCase()] || AVERAGE_TEAM;
+    const away = strengths.teams[String(awayTeam).toUpperCase()] || AVERAGE_TEAM;
+
+    return {
+        home: home.homeAttack * away.awayDefence * strengths.leagueHomeGoals,
+        away: away.awayAttack * home.homeDefence * strengths.leagueAwayGoals
+    };
+}
+
+// Returns { expectedHomeGoals, expectedAwayGoals, HOME, DRAW, AWAY, over: { line: p }, under: { line: p },
+// correctScores: [{ score: '1:0', probability }] most likely first }; null without any results to fit
+function predictFixture(strengths, homeTeam, awayTeam, options = {}) {
+    if (!strengths || strengths.matchCount === 0) return null;
+
+    const lines = options.lines || GOAL_LINES;
+    const goals = expectedGoals(strengths, homeTeam, awayTeam);
+
+    const grid = [];
+    let total = 0;
+    for (let h = 0; h <= MAX_GOALS; h++) {
+        for (let a = 0; a <= MAX_GOALS; a++) {
+            const probability = poissonProbability(goals.home, h) * poissonProbability(goals.away, a);
+            grid.push({ home: h, away: a, probability });
+            total += probability;
+        }
+    }
+
+    const prediction = {
+        expectedHomeGoals: goals.home,
+        expectedAwayGoals: goals.away,
+        HOME: 0,
+        DRAW: 0,
+        AWAY: 0,
+        over: Object.fromEntries(lines.map(line => [line, 0])),
+        under: Object.fromEntries(lines.map(line => [line, 0])),
+        correctScores: []
+    };
+
+    for (const cell of grid) {
+        const probability = cell.probability / total;
+        cell.probability = probability;
+
+        if (cell.home > cell.away) prediction.HOME += probability;
+        else if (cell.home === cell.away) prediction.DRAW += probability;
+        else prediction.AWAY += probability;
+
+        for (const line of lines) {
+            if (cell.home + cell.away > line) prediction.over[line] += probability;
+            else prediction.under[line] += probability;
+        }
+    }
+
+    prediction.correctScores = grid
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, options.topScores || 10)
+        .map(cell => ({ score: `${cell.home}:${cell.away}`, probability: cell.probability }));
+
+    return prediction;
+}
+
+function fairOdds(probability) {
+    return probability > 0 ? 1 / probability : null;
+}
+
+module.exports = {
+    MODEL_NAME,
+    MODEL_VERSION,
+    GOAL_LINES,
+    fitStrengths,
+    expectedGoals,
+    predictFixture,
+    fairOdds
+};
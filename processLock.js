@@ -0,0 +1,72 @@
+// processLock.js - PID/lock file so only one unattended scraper runs against the same database and files
+// The file holds the owner's PID. A lock whose process is gone (crash, kill -9, reboot) is taken over;
+// the file is removed again when the process exits.
+const fs = require('fs');
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+function readPid(file) {
+    try {
+        return parseInt(fs.readFileSync(file, 'utf8'), 10);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+class ProcessLock {
+    constructor(file) {
+        this.file = file;
+        this.held = false;
+    }
+
+    // Throws when another live process holds the lock
+    acquire() {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(this.file, `${process.pid}\n`, { flag: 'wx' });
+                this.held = true;
+                process.on('exit', () => this.release());
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new Error(`Could not create lock file ${this.file}: ${error.message}`);
+                }
+            }
+
+            const pid = readPid(this.file);
+            if (Number.isInteger(pid) && pid !== process.pid && isAlive(pid)) {
+                throw new Error(`Another scraper is already running (PID ${pid}, lock file ${this.file})`);
+            }
+            console.log(`   🧹 Removing stale lock file ${this.file}${Number.isInteger(pid) ? ` left by PID ${pid}` : ''}`);
+            try {
+                fs.unlinkSync(this.file);
+            } catch (error) {
+                // Removed by someone else in the meantime
+            }
+        }
+        throw new Error(`Could not take the lock file ${this.file}`);
+    }
+
+    // Synchronous so it also works from the 'exit' handler; a lock taken over by another process is left alone
+    release() {
+        if (!this.held) return;
+        this.held = false;
+        if (readPid(this.file) === process.pid) {
+            try {
+                fs.unlinkSync(this.file);
+            } catch (error) {
+                // Already gone
+            }
+        }
+    }
+}
+
+module.exports = ProcessLock;
@@ -0,0 +1,46 @@
+// ratings.js - Elo team strength ratings
+// Ratings move after every completed match by K x goal-difference multiplier x (actual - expected result),
+// so both teams' changes always cancel out. The same maths drives the incremental update in saveMatch()
+// and the from-scratch recompute.
+const INITIAL_RATING = 1500;
+const K_FACTOR = 20;
+
+// Virtual fixtures have no travelling side, so home advantage starts at zero; raise it if the data says otherwise
+const HOME_ADVANTAGE = 0;
+
+// Expected score (win = 1, draw = 0.5) of a team rated `rating` against `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Bigger wins move ratings further, as in the World Football Elo ratings
+function goalDifferenceMultiplier(homeScore, awayScore) {
+    const difference = Math.abs(homeScore - awayScore);
+    if (difference <= 1) return 1;
+    if (difference === 2) return 1.5;
+    return (11 + difference) / 8;
+}
+
+// Returns { home: { before, after, expected }, away: { before, after, expected } }
+function rateMatch(homeRating, awayRating, homeScore, awayScore, options = {}) {
+    const kFactor = options.kFactor || K_FACTOR;
+    const homeAdvantage = options.homeAdvantage !== undefined ? options.homeAdvantage : HOME_ADVANTAGE;
+
+    const expectedHome = expectedScore(homeRating + homeAdvantage, awayRating);
+    const actualHome = homeScore > awayScore ? 1 : (homeScore === awayScore ? 0.5 : 0);
+    const change = kFactor * goalDifferenceMultiplier(homeScore, awayScore) * (actualHome - expectedHome);
+
+    return {
+        home: { before: homeRating, after: homeRating + change, expected: expectedHome },
+        away: { before: awayRating, after: awayRating - change, expected: 1 - expectedHome }
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    K_FACTOR,
+    HOME_ADVANTAGE,
+    expectedScore,
+    goalDifferenceMultiplier,
+    rateMatch
+};
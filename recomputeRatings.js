@@ -0,0 +1,43 @@
+// recomputeRatings.js - Rebuild every team's Elo rating from the completed matches
+// Usage: node recomputeRatings.js   reset all ratings, replay every result in order and print the table
+const BettingDatabase = require('./database');
+const { cliConfig } = require('./config');
+
+(async () => {
+    const db = new BettingDatabase(cliConfig());
+
+    console.log('\n📐 ELO RATINGS RECOMPUTE');
+    console.log('='.repeat(70));
+
+    try {
+        await db.connect();
+
+        const pending = await db.getPendingMigrations();
+        if (pending.length > 0) {
+            throw new Error(`database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+        }
+
+        const { matchCount, ratings } = await db.recomputeRatings();
+        console.log(`✅ Replayed ${matchCount} completed match(es) for ${ratings.length} team(s)\n`);
+
+        console.log('#'.padEnd(5) + 'Team'.padEnd(15) + 'Rating'.padEnd(10) + 'Matches'.padEnd(10) + 'Last change');
+        console.log('-'.repeat(50));
+        ratings.forEach((team, index) => {
+            const change = team.last_change === null ? '' : `${team.last_change >= 0 ? '+' : ''}${team.last_change.toFixed(1)}`;
+            console.log(
+                String(index + 1).padEnd(5) +
+                team.team_name.padEnd(15) +
+                team.elo_rating.toFixed(0).padEnd(10) +
+                String(team.rated_matches).padEnd(10) +
+                change
+            );
+        });
+    } catch (error) {
+        console.error('❌ Recompute failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (db.db) {
+            await db.close();
+        }
+    }
+})();
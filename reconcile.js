@@ -0,0 +1,79 @@
+// reconcile.js - Audit the account ledger and optionally repair it
+// Usage: node reconcile.js           report every discrepancy between account, bets and transactions
+//        node reconcile.js --repair  also write ADJUSTMENT transactions and resync the account row
+const BettingDatabase = require('./database');
+const { cliConfig } = require('./config');
+
+function printAudit(db, audit) {
+    console.log(`\n📋 Checked ${audit.transactionCount} transaction(s) and ${audit.betCount} bet(s)`);
+
+    if (audit.recorded) {
+        console.log('\n💰 ACCOUNT (recorded → recomputed):');
+        console.log(`   Balance:           ${db.formatAmount(audit.recorded.balance)} → ${db.formatAmount(audit.expected.balance)}`);
+        console.log(`   Wins:              ${audit.recorded.wins} → ${audit.expected.wins}`);
+        console.log(`   Losses:            ${audit.recorded.losses} → ${audit.expected.losses}`);
+        console.log(`   Total Profit/Loss: ${db.formatAmount(audit.recorded.profitLoss)} → ${db.formatAmount(audit.expected.profitLoss)}`);
+    }
+
+    if (audit.healthy) {
+        console.log('\n✅ Ledger is consistent - no discrepancies found');
+        return;
+    }
+
+    console.log(`\n⚠️  ${audit.issues.length} DISCREPANCY(IES):`);
+    console.log('-'.repeat(70));
+    audit.issues.forEach(issue => {
+        console.log(`   [${issue.category}] ${issue.message}`);
+    });
+}
+
+(async () => {
+    const repair = process.argv.includes('--repair');
+    const db = new BettingDatabase(cliConfig());
+
+    console.log('\n🧾 LEDGER RECONCILIATION');
+    console.log('='.repeat(70));
+
+    try {
+        await db.connect();
+
+        // Before v4 balances were floats, so auditing (or repairing) an unmigrated ledger would misread every amount
+        const pending = await db.getPendingMigrations();
+        if (pending.length > 0) {
+            throw new Error(`database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+        }
+
+        const audit = await db.auditLedger();
+        printAudit(db, audit);
+
+        if (audit.healthy) return;
+
+        if (!repair) {
+            console.log('\nℹ️  Run with --repair to write adjustment transactions and resync the account');
+            process.exitCode = 1;
+            return;
+        }
+
+        const result = await db.repairLedger(audit);
+        console.log('\n🔧 REPAIR APPLIED:');
+        console.log(`   Adjustment transactions written: ${result.adjustmentsWritten}`);
+        console.log(`   Bets corrected: ${result.betsFixed}`);
+        console.log(`   Account balance: ${db.formatAmount(result.balance)}`);
+
+        const after = await db.auditLedger();
+        if (after.healthy) {
+            console.log('\n✅ Ledger is consistent after repair');
+        } else {
+            console.log(`\n⚠️  ${after.issues.length} issue(s) remain:`);
+            after.issues.forEach(issue => console.log(`   [${issue.category}] ${issue.message}`));
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Reconciliation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (db.db) {
+            await db.close();
+        }
+    }
+})();
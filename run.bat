@@ -7,9 +7,12 @@ echo   1. Start Scraper (Collects matches & odds)
 echo   2. Database Viewer (View collected data)
 echo   3. Betting Manager (Place bets)
 echo   4. Quick Database Check
-echo   5. Exit
+echo   5. Reconcile Ledger
+echo   6. Backtest Strategy
+echo   7. Selector Health Report
+echo   8. Exit
 echo.
-set /p choice=Select option (1-5):
+set /p choice=Select option (1-8):
 
 if %choice%==1 (
     echo Starting scraper...
@@ -25,6 +28,18 @@ if %choice%==1 (
     node checkDb.js
     pause
 ) else if %choice%==5 (
+    echo Reconciling ledger...
+    node reconcile.js
+    pause
+) else if %choice%==6 (
+    echo Backtesting strategy...
+    node backtest.js
+    pause
+) else if %choice%==7 (
+    echo Checking selector health...
+    node selectorReport.js
+    pause
+) else if %choice%==8 (
     echo Goodbye!
     timeout /t 2 /nobreak > nul
 ) else (
@@ -1,7 +1,8 @@
 // runBetting.js - Start the betting management system
 const BettingManager = require('./bettingManager');
+const { cliConfig } = require('./config');
 
 (async () => {
-    const manager = new BettingManager();
+    const manager = new BettingManager(cliConfig());
     await manager.start();
 })();
\ No newline at end of file
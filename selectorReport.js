@@ -0,0 +1,88 @@
+// selectorReport.js - Which page selectors still match, which stopped and when
+// Usage: node selectorReport.js                     report against the default selectors.json
+//        node selectorReport.js --selectors <file>  report against the same overrides the scraper was started with
+const BettingDatabase = require('./database');
+const { cliConfig } = require('./config');
+const { SelectorRegistry } = require('./selectors');
+
+function formatTime(timestamp) {
+    return timestamp ? String(timestamp).replace('T', ' ').substring(0, 19) : '-';
+}
+
+function printHealth(registry, rows) {
+    const stopped = rows.filter(row => row.stopped_at);
+    const fallbacks = rows.filter(row => !row.stopped_at && row.matched_index > 0);
+
+    console.log(`\n${'Selector'.padEnd(22)} ${'Status'.padEnd(9)} ${'Hits'.padStart(7)} ${'Misses'.padStart(7)} ${'Last hit'.padEnd(19)}  Matching`);
+    console.log('-'.repeat(100));
+    for (const row of rows) {
+        let status = 'OK';
+        if (row.stopped_at) status = 'STOPPED';
+        else if (row.last_hit_at === null) status = 'NEVER';
+        else if (row.matched_index > 0) status = 'FALLBACK';
+
+        const name = `${row.name}${row.optional ? '*' : ''}`;
+        console.log(`${name.padEnd(22)} ${status.padEnd(9)} ${String(row.hits).padStart(7)} ${String(row.misses).padStart(7)} ${formatTime(row.last_hit_at).padEnd(19)}  ${row.matched_selector || '-'}`);
+    }
+    console.log('   * optional: only shown on some screens, so misses are expected');
+
+    if (stopped.length > 0) {
+        console.log(`\n⚠️  ${stopped.length} SELECTOR(S) STOPPED MATCHING:`);
+        for (const row of stopped) {
+            console.log(`\n   ${row.name}${row.optional ? ' (optional)' : ''}`);
+            console.log(`      Stopped at:     ${formatTime(row.stopped_at)} (${row.missed_cycles} cycle(s) without a match)`);
+            console.log(`      Last matched:   ${formatTime(row.last_hit_at)} with ${row.matched_selector || '-'}`);
+            if (registry.definitions[row.name]) {
+                console.log(`      Candidates now: ${registry.candidates(row.name).join(' | ')}`);
+            }
+        }
+        console.log('\nℹ️  Fix the markup in selectors.json, or pass overrides with node index.js --selectors <file>');
+    }
+
+    if (fallbacks.length > 0) {
+        console.log('\n🧩 MATCHING THROUGH A FALLBACK:');
+        fallbacks.forEach(row => console.log(`   ${row.name}: candidate #${row.matched_index + 1} ${row.matched_selector}`));
+    }
+
+    const seen = new Set(rows.map(row => row.name));
+    const unused = Object.keys(registry.definitions).filter(name => !seen.has(name));
+    if (unused.length > 0) {
+        console.log(`\nℹ️  Not looked up yet: ${unused.join(', ')}`);
+    }
+}
+
+(async () => {
+    const config = cliConfig();
+    const db = new BettingDatabase(config);
+
+    console.log('\n🧩 SELECTOR HEALTH');
+    console.log('='.repeat(100));
+
+    try {
+        const registry = SelectorRegistry.load(config.scraper.selectorsFile);
+
+        await db.connect();
+        const pending = await db.getPendingMigrations();
+        if (pending.length > 0) {
+            throw new Error(`database schema is out of date (${pending.length} pending migration(s)) - run node migrate.js first`);
+        }
+
+        const rows = await db.getSelectorHealth();
+        if (rows.length === 0) {
+            console.log('\nℹ️  No selector lookups recorded yet - run the scraper first');
+            return;
+        }
+
+        printHealth(registry, rows);
+        if (rows.some(row => row.stopped_at && !row.optional)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Selector report failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (db.db) {
+            await db.close();
+        }
+    }
+})();
@@ -0,0 +1,162 @@
+// selectors.js - Named page selectors with ordered fallbacks and hit/miss tracking
+// Every selector the scraper uses has a name in selectors.json with one or more candidates, tried in order.
+// A file passed with --selectors is merged over those defaults by name, so a markup change on the site can be
+// patched without touching code. Lookups are counted per scrape cycle; the scraper stores the counts in the
+// selector_health table and `node selectorReport.js` shows which selector stopped matching and when.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'selectors.json');
+
+// definitions: { name: { description, selectors: [...], optional? } }; throws on a malformed entry
+function validateDefinitions(definitions, source) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        throw new Error(`${source} must contain an object of named selectors`);
+    }
+    for (const [name, definition] of Object.entries(definitions)) {
+        const candidates = definition && definition.selectors;
+        if (!Array.isArray(candidates) || candidates.length === 0 || !candidates.every(s => typeof s === 'string' && s.trim())) {
+            throw new Error(`${source}: selector "${name}" needs a non-empty "selectors" array of strings`);
+        }
+    }
+    return definitions;
+}
+
+function readDefinitions(file) {
+    let definitions;
+    try {
+        definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read selectors from ${file}: ${error.message}`);
+    }
+    return validateDefinitions(definitions, file);
+}
+
+class SelectorRegistry {
+    constructor(definitions) {
+        this.definitions = validateDefinitions(definitions, 'selector definitions');
+        this.cycle = new Map();
+    }
+
+    // Defaults from selectors.json, with the entries of overrideFile (if any) replacing them by name
+    static load(overrideFile = null) {
+        const definitions = readDefinitions(DEFAULT_FILE);
+        if (overrideFile && path.resolve(overrideFile) !== DEFAULT_FILE) {
+            const overrides = readDefinitions(overrideFile);
+            for (const [name, definition] of Object.entries(overrides)) {
+                if (!definitions[name]) {
+                    throw new Error(`${overrideFile}: unknown selector "${name}". Available: ${Object.keys(definitions).join(', ')}`);
+                }
+                definitions[name] = { ...definitions[name], ...definition };
+            }
+        }
+        return new SelectorRegistry(definitions);
+    }
+
+    get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.definitions, name)) {
+            throw new Error(`Unknown selector "${name}". Available: ${Object.keys(this.definitions).join(', ')}`);
+        }
+        return this.definitions[name];
+    }
+
+    candidates(name) {
+        return this.get(name).selectors;
+    }
+
+    // All candidates as one CSS selector list, for lookups inside the page (querySelector, waitForSelector)
+    // where any candidate may match. Only plain CSS candidates can be used this way.
+    joined(name) {
+        return this.candidates(name).join(', ');
+    }
+
+    // matchedIndex: position of the candidate that matched, or null for a miss
+    record(name, matchedIndex) {
+        this.get(name);
+        if (!this.cycle.has(name)) {
+            this.cycle.set(name, { hits: 0, misses: 0, matchedIndex: null });
+        }
+        const stats = this.cycle.get(name);
+        if (matchedIndex === null) {
+            stats.misses++;
+        } else {
+            stats.hits++;
+            stats.matchedIndex = matchedIndex;
+        }
+    }
+
+    // First element matched by the candidates in order; { visible: true } skips hidden ones
+    async first(root, name, options = {}) {
+        const candidates = this.candidates(name);
+        for (let i = 0; i < candidates.length; i++) {
+            const elements = await root.$$(candidates[i]).catch(() => []);
+            for (const element of elements) {
+                if (!options.visible || await element.isVisible().catch(() => false)) {
+                    this.record(name, i);
+                    return element;
+                }
+            }
+        }
+        this.record(name, null);
+        return null;
+    }
+
+    // Every element matched by the first candidate that matches anything
+    async all(root, name) {
+        const candidates = this.candidates(name);
+        for (let i = 0; i < candidates.length; i++) {
+            const elements = await root.$$(candidates[i]).catch(() => []);
+            if (elements.length > 0) {
+                this.record(name, i);
+                return elements;
+            }
+        }
+        this.record(name, null);
+        return [];
+    }
+
+    // Trimmed text of the first match, or null
+    async text(root, name) {
+        const element = await this.first(root, name);
+        return element ? (await element.textContent()).trim() : null;
+    }
+
+    // Waits for any candidate, then records which one is showing
+    async waitFor(root, name, options = {}) {
+        const element = await root.waitForSelector(this.joined(name), options).catch(() => null);
+        if (!element) {
+            this.record(name, null);
+            return null;
+        }
+
+        const candidates = this.candidates(name);
+        let matchedIndex = 0;
+        for (let i = 0; i < candidates.length; i++) {
+            if (await root.$(candidates[i]).catch(() => null)) {
+                matchedIndex = i;
+                break;
+            }
+        }
+        this.record(name, matchedIndex);
+        return element;
+    }
+
+    // This cycle's counts as [{ name, optional, hits, misses, matchedSelector, matchedIndex }], then starts a new cycle
+    takeCycleStats() {
+        const stats = [...this.cycle.entries()].map(([name, counts]) => ({
+            name,
+            optional: !!this.definitions[name].optional,
+            hits: counts.hits,
+            misses: counts.misses,
+            matchedIndex: counts.matchedIndex,
+            matchedSelector: counts.matchedIndex === null ? null : this.definitions[name].selectors[counts.matchedIndex]
+        }));
+        this.cycle = new Map();
+        return stats;
+    }
+}
+
+module.exports = {
+    DEFAULT_FILE,
+    SelectorRegistry
+};
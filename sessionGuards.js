@@ -0,0 +1,88 @@
+// sessionGuards.js - Stop-loss, take-profit and session limits for automated betting
+// Guards are re-evaluated from the bets and transactions tables before every automated bet, so a restart
+// does not reset them. Any tripped guard pauses auto-betting until the figures move back inside the limits;
+// the loss, profit and losing-run guards count today's (UTC) settled bets only, so they clear at midnight.
+const { toMinor, formatMoney } = require('./money');
+const { DEFAULTS } = require('./config');
+
+// guards: the guards section of the config, with amounts in major units; null disables a guard
+function guardsFromConfig(guards) {
+    const minor = value => (value === null || value === undefined ? null : toMinor(value));
+    return { ...guards, dailyLossLimit: minor(guards.dailyLossLimit), profitTarget: minor(guards.profitTarget) };
+}
+
+const DEFAULT_GUARDS = guardsFromConfig(DEFAULTS.guards);
+
+function enabled(value) {
+    return value !== null && value !== undefined;
+}
+
+// stats: db.getSessionStats(); returns the first tripped guard as { guard, reason } or null
+function findTrippedGuard(stats, guards, format = formatMoney) {
+    if (enabled(guards.dailyLossLimit) && stats.dailyProfitLoss <= -guards.dailyLossLimit) {
+        return { guard: 'dailyLossLimit', reason: `daily loss ${format(-stats.dailyProfitLoss)} reached the limit of ${format(guards.dailyLossLimit)}` };
+    }
+    if (enabled(guards.profitTarget) && stats.dailyProfitLoss >= guards.profitTarget) {
+        return { guard: 'profitTarget', reason: `daily profit ${format(stats.dailyProfitLoss)} reached the target of ${format(guards.profitTarget)}` };
+    }
+    if (enabled(guards.maxConsecutiveLosses) && stats.streak.losses >= guards.maxConsecutiveLosses) {
+        return { guard: 'maxConsecutiveLosses', reason: `${stats.streak.losses} losses in a row today (limit ${guards.maxConsecutiveLosses})` };
+    }
+    if (enabled(guards.coolDownMinutes) && stats.minutesSinceLoss !== null && stats.minutesSinceLoss < guards.coolDownMinutes) {
+        const remaining = Math.ceil(guards.coolDownMinutes - stats.minutesSinceLoss);
+        return { guard: 'coolDownMinutes', reason: `cooling down after a loss (${remaining} more minute(s))` };
+    }
+    if (enabled(guards.maxOpenBets) && stats.openBets >= guards.maxOpenBets) {
+        return { guard: 'maxOpenBets', reason: `${stats.openBets} open bet(s) (limit ${guards.maxOpenBets})` };
+    }
+    return null;
+}
+
+class SessionGuards {
+    constructor(db, guards = {}) {
+        this.db = db;
+        this.guards = { ...DEFAULT_GUARDS, ...guards };
+        this.tripped = null;
+    }
+
+    // Resolves to { allowed: true } or { allowed: false, guard, reason }; logs only when the state changes
+    async check() {
+        try {
+            const stats = await this.db.getSessionStats();
+            const tripped = findTrippedGuard(stats, this.guards, minor => this.db.formatAmount(minor));
+
+            if (tripped && (!this.tripped || this.tripped.reason !== tripped.reason)) {
+                console.log(`   🛑 Auto-betting paused: ${tripped.reason}`);
+            } else if (!tripped && this.tripped) {
+                console.log('   ▶️  Auto-betting resumed: all session guards are clear');
+            }
+
+            this.tripped = tripped;
+            return tripped ? { allowed: false, ...tripped } : { allowed: true };
+        } catch (error) {
+            // Without the figures we cannot tell whether a limit was hit, so stay paused
+            console.log('   ⚠️  Could not evaluate session guards:', error.message);
+            return { allowed: false, guard: 'error', reason: error.message };
+        }
+    }
+
+    describe() {
+        const money = value => enabled(value) ? this.db.formatAmount(value) : 'off';
+        const plain = value => enabled(value) ? String(value) : 'off';
+
+        return [
+            `daily loss ${money(this.guards.dailyLossLimit)}`,
+            `profit target ${money(this.guards.profitTarget)}`,
+            `max losses in a row ${plain(this.guards.maxConsecutiveLosses)}`,
+            `cool-down ${enabled(this.guards.coolDownMinutes) ? `${this.guards.coolDownMinutes} min` : 'off'}`,
+            `max open bets ${plain(this.guards.maxOpenBets)}`
+        ].join(', ');
+    }
+}
+
+module.exports = {
+    DEFAULT_GUARDS,
+    guardsFromConfig,
+    SessionGuards,
+    findTrippedGuard
+};
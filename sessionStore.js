@@ -0,0 +1,72 @@
+// sessionStore.js - Keeps the browser's cookies and localStorage between scraper runs
+// After a successful login the context's storage state is written to a profile file and handed to the next
+// launch, so a restart starts logged in. The file holds live session cookies, so it is written owner-only and
+// deleted as soon as the site shows we are logged out.
+const fs = require('fs').promises;
+
+// Storage state must at least have these, as written by Playwright's context.storageState()
+function isStorageState(state) {
+    return !!state && Array.isArray(state.cookies) && Array.isArray(state.origins);
+}
+
+class SessionStore {
+    constructor(file) {
+        this.file = file;
+        // Whether this run started from a saved session, and whether the file holds a logged-in session
+        this.restored = false;
+        this.valid = false;
+    }
+
+    // The parsed storage state for browser.newContext(), or null when there is none to reuse
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            return null;
+        }
+
+        try {
+            const state = JSON.parse(content);
+            if (!isStorageState(state)) throw new Error('not a storage state');
+            this.restored = true;
+            this.valid = true;
+            return state;
+        } catch (error) {
+            console.log(`   ⚠️  Ignoring unreadable session file ${this.file}: ${error.message}`);
+            await this.invalidate('it could not be read');
+            return null;
+        }
+    }
+
+    async save(context) {
+        try {
+            const state = await context.storageState();
+            const temporary = `${this.file}.tmp`;
+            await fs.writeFile(temporary, JSON.stringify(state, null, 2), { mode: 0o600 });
+            await fs.rename(temporary, this.file);
+            this.valid = true;
+            console.log(`   💾 Session saved to ${this.file} (${state.cookies.length} cookie(s))`);
+            return true;
+        } catch (error) {
+            console.log('   ⚠️  Could not save session:', error.message);
+            return false;
+        }
+    }
+
+    async invalidate(reason) {
+        try {
+            await fs.unlink(this.file);
+            console.log(`   🗑️  Session file ${this.file} removed: ${reason}`);
+            return true;
+        } catch (error) {
+            // Nothing saved
+            return false;
+        } finally {
+            this.restored = false;
+            this.valid = false;
+        }
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,59 @@
+// snapshotRecorder.js - Archives the game iframe DOM on every scrape cycle
+const fs = require('fs').promises;
+const path = require('path');
+
+class SnapshotRecorder {
+    constructor(archiveDir, maxSnapshots = 500) {
+        this.archiveDir = archiveDir;
+        this.maxSnapshots = maxSnapshots;
+        this.savedCount = 0;
+    }
+
+    async initialize() {
+        await fs.mkdir(this.archiveDir, { recursive: true });
+        console.log(`✅ Capturing snapshots to ${this.archiveDir} (keeping last ${this.maxSnapshots})`);
+    }
+
+    async capture(frame, currentStage) {
+        try {
+            const html = await frame.content();
+            const timestamp = new Date().toISOString();
+            // Timestamped names sort chronologically, which is the order the replay server uses
+            const baseName = `snapshot-${timestamp.replace(/[:.]/g, '-')}`;
+
+            await fs.writeFile(path.join(this.archiveDir, `${baseName}.html`), html);
+            await fs.writeFile(path.join(this.archiveDir, `${baseName}.json`), JSON.stringify({
+                timestamp,
+                currentStage,
+                url: frame.url(),
+                htmlFile: `${baseName}.html`
+            }, null, 2));
+
+            this.savedCount++;
+            console.log(`   📸 Snapshot saved: ${baseName}.html`);
+
+            await this.rotate();
+            return baseName;
+
+        } catch (error) {
+            console.log('   ⚠️  Could not capture snapshot:', error.message);
+            return null;
+        }
+    }
+
+    async rotate() {
+        const files = await fs.readdir(this.archiveDir);
+        const snapshots = files
+            .filter(file => file.startsWith('snapshot-') && file.endsWith('.html'))
+            .sort();
+
+        const excess = snapshots.length - this.maxSnapshots;
+        for (let i = 0; i < excess; i++) {
+            const baseName = snapshots[i].replace(/\.html$/, '');
+            await fs.unlink(path.join(this.archiveDir, `${baseName}.html`)).catch(() => {});
+            await fs.unlink(path.join(this.archiveDir, `${baseName}.json`)).catch(() => {});
+        }
+    }
+}
+
+module.exports = SnapshotRecorder;
@@ -0,0 +1,111 @@
+// snapshotReplay.js - Serves captured game iframe snapshots for offline replay
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+class SnapshotReplayServer {
+    constructor(snapshotDir) {
+        this.snapshotDir = snapshotDir;
+        this.snapshots = [];
+        this.currentIndex = -1;
+        this.server = null;
+        this.port = null;
+    }
+
+    async load() {
+        const files = await fs.readdir(this.snapshotDir);
+        this.snapshots = files
+            .filter(file => /\.html?$/i.test(file))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(file => path.join(this.snapshotDir, file));
+
+        if (this.snapshots.length === 0) {
+            throw new Error(`No .html snapshots found in ${this.snapshotDir}`);
+        }
+
+        console.log(`✅ Loaded ${this.snapshots.length} snapshot(s) from ${this.snapshotDir}`);
+        return this.snapshots.length;
+    }
+
+    async start() {
+        await this.load();
+
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    res.writeHead(500, { 'Content-Type': 'text/plain' });
+                    res.end(error.message);
+                });
+            });
+            this.server.on('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                console.log(`✅ Replay server listening on ${this.url}`);
+                resolve();
+            });
+        });
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}/`;
+    }
+
+    get currentSnapshot() {
+        return this.snapshots[this.currentIndex] || null;
+    }
+
+    hasNext() {
+        return this.currentIndex + 1 < this.snapshots.length;
+    }
+
+    next() {
+        if (!this.hasNext()) return null;
+        this.currentIndex++;
+        return this.currentSnapshot;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, this.url);
+
+        // The scraper looks for the game inside an iframe, so wrap each snapshot in one
+        if (url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(`<!DOCTYPE html>
+<html>
+<head><title>Replay ${this.currentIndex + 1}/${this.snapshots.length}</title></head>
+<body style="margin:0">
+<iframe src="/frame/${this.currentIndex}" style="width:100%;height:100vh;border:0"></iframe>
+</body>
+</html>`);
+            return;
+        }
+
+        const frameMatch = url.pathname.match(/^\/frame\/(\d+)$/);
+        if (frameMatch && this.snapshots[parseInt(frameMatch[1])]) {
+            const html = await fs.readFile(this.snapshots[parseInt(frameMatch[1])], 'utf8');
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(this.stripScripts(html));
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+
+    stripScripts(html) {
+        // Captured pages still reference the live game scripts; the replay only needs the DOM
+        return html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+    }
+
+    async stop() {
+        if (!this.server) return;
+        return new Promise(resolve => {
+            this.server.close(() => {
+                console.log('✅ Replay server stopped');
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = SnapshotReplayServer;
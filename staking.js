@@ -0,0 +1,157 @@
+// staking.js - Staking plans and bankroll exposure limits
+// A plan turns the current balance, the price and the recent results into a stake; checkExposure() then
+// decides whether that stake fits inside the per-bet, per-matchday and per-day limits.
+//
+// context: {
+//     balance:     available balance in minor units
+//     odds:        decimal price of the selection
+//     probability: estimated chance of winning (only Kelly needs it)
+//     streak:      { wins, losses } consecutive results of the latest settled bets
+// }
+const { toMinor, formatMoney } = require('./money');
+const { DEFAULTS } = require('./config');
+
+// limits: the limits section of the config in major units; null disables a limit
+function limitsFromConfig(limits) {
+    return Object.fromEntries(Object.entries(limits).map(([name, value]) => [name, value === null ? null : toMinor(value)]));
+}
+
+const DEFAULT_LIMITS = limitsFromConfig(DEFAULTS.limits);
+
+// Doubling sequence shared by both Martingale variants
+function progression(base, multiplier, step, maxSteps, maxStake) {
+    // After maxSteps in a row the sequence starts again from the base stake
+    const effectiveStep = step % (maxSteps + 1);
+    return Math.min(Math.round(base * Math.pow(multiplier, effectiveStep)), maxStake);
+}
+
+// Each plan returns a stake in minor units; 0 means "do not bet"
+const PLANS = {
+    flat: {
+        description: 'The same amount on every bet',
+        parameter: { name: 'amount', money: true },
+        defaults: { amount: toMinor(55) },
+        stake(context, settings) {
+            return settings.amount;
+        }
+    },
+
+    percent: {
+        description: 'A fixed percentage of the current balance',
+        parameter: { name: 'percent', money: false },
+        defaults: { percent: 2 },
+        stake(context, settings) {
+            return Math.floor(context.balance * settings.percent / 100);
+        }
+    },
+
+    kelly: {
+        description: 'Fractional Kelly sized from the estimated edge',
+        parameter: { name: 'fraction', money: false },
+        defaults: { fraction: 0.25 },
+        stake(context, settings) {
+            if (!Number.isFinite(context.probability)) return 0;
+
+            const edge = context.probability * context.odds - 1;
+            if (edge <= 0) return 0;
+
+            const kellyFraction = edge / (context.odds - 1);
+            return Math.floor(context.balance * kellyFraction * settings.fraction);
+        }
+    },
+
+    martingale: {
+        description: 'Multiply the stake after each loss, capped and reset after maxSteps losses',
+        parameter: { name: 'base', money: true },
+        defaults: { base: toMinor(10), multiplier: 2, maxSteps: 4, maxStake: toMinor(100) },
+        stake(context, settings) {
+            const losses = context.streak ? context.streak.losses : 0;
+            return progression(settings.base, settings.multiplier, losses, settings.maxSteps, settings.maxStake);
+        }
+    },
+
+    'anti-martingale': {
+        description: 'Multiply the stake after each win, capped and reset after maxSteps wins',
+        parameter: { name: 'base', money: true },
+        defaults: { base: toMinor(10), multiplier: 2, maxSteps: 3, maxStake: toMinor(100) },
+        stake(context, settings) {
+            const wins = context.streak ? context.streak.wins : 0;
+            return progression(settings.base, settings.multiplier, wins, settings.maxSteps, settings.maxStake);
+        }
+    },
+
+    'fixed-profit': {
+        description: 'Stake whatever wins a fixed target profit at the offered price',
+        parameter: { name: 'target', money: true },
+        defaults: { target: toMinor(20), maxStake: toMinor(100) },
+        stake(context, settings) {
+            if (!(context.odds > 1)) return 0;
+            return Math.min(Math.ceil(settings.target / (context.odds - 1)), settings.maxStake);
+        }
+    }
+};
+
+function listPlans() {
+    return Object.keys(PLANS).map(name => ({ name, description: PLANS[name].description, parameter: PLANS[name].parameter }));
+}
+
+function getPlan(name) {
+    const plan = Object.prototype.hasOwnProperty.call(PLANS, name) ? PLANS[name] : null;
+    if (!plan) {
+        throw new Error(`Unknown staking plan "${name}". Available: ${Object.keys(PLANS).join(', ')}`);
+    }
+    return plan;
+}
+
+// Builds plan options from the single value typed on the command line or in a menu
+// ("25" for flat is an amount, "2" for percent is a percentage); null when the value is not usable
+function planOptionsFromValue(name, value) {
+    const { parameter } = getPlan(name);
+    const parsed = parameter.money ? toMinor(value) : parseFloat(value);
+    if (!Number.isFinite(parsed) || parsed <= 0) return null;
+    if (name === 'percent' && parsed > 100) return null;
+    if (name === 'kelly' && parsed > 1) return null;
+
+    return { plan: name, [parameter.name]: parsed };
+}
+
+// staking: { plan, ...plan options }; the result is whole minor units and never more than the balance
+function calculateStake(staking, context) {
+    const name = (staking && staking.plan) || 'flat';
+    const plan = getPlan(name);
+    const overrides = Object.fromEntries(Object.entries(staking || {}).filter(([key, value]) => key !== 'plan' && value !== undefined && value !== null));
+    const settings = { ...plan.defaults, ...overrides };
+
+    const stake = Math.floor(plan.stake(context, settings));
+    if (!Number.isFinite(stake) || stake <= 0) return 0;
+
+    return Number.isFinite(context.balance) ? Math.min(stake, context.balance) : stake;
+}
+
+// exposure: { matchday, day } minor units already staked on this matchday and today
+// Returns { allowed: true } or { allowed: false, reason, limit }
+function checkExposure(stake, exposure = {}, limits = DEFAULT_LIMITS, format = formatMoney) {
+    const matchday = (exposure.matchday || 0) + stake;
+    const day = (exposure.day || 0) + stake;
+
+    if (limits.maxPerBet !== null && limits.maxPerBet !== undefined && stake > limits.maxPerBet) {
+        return { allowed: false, reason: `stake ${format(stake)} exceeds the per-bet limit of ${format(limits.maxPerBet)}`, limit: 'maxPerBet' };
+    }
+    if (limits.maxPerMatchday !== null && limits.maxPerMatchday !== undefined && matchday > limits.maxPerMatchday) {
+        return { allowed: false, reason: `matchday exposure ${format(matchday)} would exceed the limit of ${format(limits.maxPerMatchday)}`, limit: 'maxPerMatchday' };
+    }
+    if (limits.maxPerDay !== null && limits.maxPerDay !== undefined && day > limits.maxPerDay) {
+        return { allowed: false, reason: `daily exposure ${format(day)} would exceed the limit of ${format(limits.maxPerDay)}`, limit: 'maxPerDay' };
+    }
+    return { allowed: true };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    limitsFromConfig,
+    listPlans,
+    getPlan,
+    planOptionsFromValue,
+    calculateStake,
+    checkExposure
+};
@@ -0,0 +1,278 @@
+// strategies.js - Pluggable betting strategies
+// A strategy looks at upcoming fixtures and returns candidate selections; selectBets() turns those into bet intents.
+//
+// context: {
+//     fixtures: [{ matchId?, oddsId?, stage, homeTeam, awayTeam, odds: { HOME, DRAW, AWAY }, fair?: { HOME, DRAW, AWAY },
+//                  prediction?: { id, matchesFitted } }],
+//     history:  { TEAM: { played, wins, draws, losses, goalsFor, goalsAgainst } } (keys upper-case),
+//     bankroll: available balance in minor units,
+//     streak:   { wins, losses } of the latest settled bets (for progressive staking plans)
+// }
+// intent: { fixture, selection, odds, stake (minor units), reason, strategy }
+const { calculateStake } = require('./staking');
+const margins = require('./margins');
+const { detectValueBets } = require('./valueBets');
+
+const SELECTIONS = ['HOME', 'DRAW', 'AWAY'];
+
+// Stakes come from options.staking ({ plan, ...plan options }, see staking.js);
+// options.stake is shorthand for a flat amount
+const DEFAULT_OPTIONS = {
+    staking: { plan: 'flat' },
+    maxBets: 1,
+    minOdds: 1.01,
+    maxOdds: Infinity
+};
+
+// With fewer matches than this the model leans mostly on the market price
+const MODEL_PRIOR_MATCHES = 10;
+
+// Bookmaker prices turned into probabilities that sum to 1 (margin removed proportionally)
+function impliedProbabilities(odds) {
+    return margins.normalise(margins.impliedProbabilities(odds), 'proportional').probabilities;
+}
+
+function teamRecord(history, team) {
+    const record = history && history[String(team).toUpperCase()];
+    if (!record || record.played === 0) return null;
+
+    return {
+        played: record.played,
+        winRate: record.wins / record.played,
+        drawRate: record.draws / record.played,
+        lossRate: record.losses / record.played
+    };
+}
+
+// Result-rate model blended with the market: both teams' records vote on each outcome, and the
+// vote only outweighs the price once both sides have a few matches behind them
+function modelProbabilities(fixture, history) {
+    const home = teamRecord(history, fixture.homeTeam);
+    const away = teamRecord(history, fixture.awayTeam);
+    if (!home || !away) return null;
+
+    const votes = {
+        HOME: (home.winRate + away.lossRate) / 2,
+        DRAW: (home.drawRate + away.drawRate) / 2,
+        AWAY: (away.winRate + home.lossRate) / 2
+    };
+    const totalVotes = votes.HOME + votes.DRAW + votes.AWAY;
+    if (totalVotes === 0) return null;
+
+    const market = impliedProbabilities(fixture.odds);
+    const sample = Math.min(home.played, away.played);
+    const weight = sample / (sample + MODEL_PRIOR_MATCHES);
+
+    const probabilities = {};
+    for (const selection of SELECTIONS) {
+        probabilities[selection] = weight * (votes[selection] / totalVotes) + (1 - weight) * market[selection];
+    }
+    return probabilities;
+}
+
+// Adds one finished match to a history map in the shape strategies read
+function recordResult(history, homeTeam, awayTeam, homeScore, awayScore) {
+    const sides = [
+        [homeTeam, homeScore, awayScore],
+        [awayTeam, awayScore, homeScore]
+    ];
+
+    for (const [team, scored, conceded] of sides) {
+        const key = String(team).toUpperCase();
+        if (!history[key]) {
+            history[key] = { played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 };
+        }
+
+        const record = history[key];
+        record.played++;
+        record.goalsFor += scored;
+        record.goalsAgainst += conceded;
+        if (scored > conceded) record.wins++;
+        else if (scored === conceded) record.draws++;
+        else record.losses++;
+    }
+    return history;
+}
+
+// getScheduledMatchesForBetting() row -> strategy fixture; fair holds the stored model probabilities, if any
+function fixtureFromMatch(match) {
+    return {
+        matchId: match.match_id,
+        oddsId: match.odds_id,
+        stage: match.stage_name,
+        homeTeam: match.home_team,
+        awayTeam: match.away_team,
+        odds: { HOME: match.home_odds, DRAW: match.draw_odds, AWAY: match.away_odds },
+        fair: match.fair_home_prob !== null && match.fair_home_prob !== undefined
+            ? { HOME: match.fair_home_prob, DRAW: match.fair_draw_prob, AWAY: match.fair_away_prob }
+            : null,
+        prediction: match.prediction_id ? { id: match.prediction_id, matchesFitted: match.matches_fitted } : null
+    };
+}
+
+function describeSelection(fixture, selection) {
+    if (selection === 'HOME') return fixture.homeTeam;
+    if (selection === 'AWAY') return fixture.awayTeam;
+    return 'Draw';
+}
+
+// Each strategy returns candidates best-first: [{ fixture, selection, reason }]
+const STRATEGIES = {
+    favourite: {
+        description: 'Back the shortest price on the card',
+        defaults: {},
+        select(fixtures) {
+            return fixtures
+                .map(fixture => {
+                    const selection = SELECTIONS.reduce((best, candidate) => fixture.odds[candidate] < fixture.odds[best] ? candidate : best, 'HOME');
+                    return { fixture, selection, reason: `shortest price ${fixture.odds[selection]}` };
+                })
+                .sort((a, b) => a.fixture.odds[a.selection] - b.fixture.odds[b.selection]);
+        }
+    },
+
+    underdog: {
+        description: 'Back the longest-priced team (not the draw) above a minimum price',
+        defaults: { minOdds: 2.0, maxOdds: 8.0 },
+        select(fixtures) {
+            return fixtures
+                .map(fixture => {
+                    const selection = fixture.odds.HOME >= fixture.odds.AWAY ? 'HOME' : 'AWAY';
+                    return { fixture, selection, reason: `outsider at ${fixture.odds[selection]}` };
+                })
+                .sort((a, b) => b.fixture.odds[b.selection] - a.fixture.odds[a.selection]);
+        }
+    },
+
+    'value-vs-model': {
+        description: 'Back selections the team-history model rates above the market price',
+        defaults: { maxBets: 3, minEdge: 0.05 },
+        select(fixtures, context, options) {
+            const candidates = [];
+            for (const fixture of fixtures) {
+                const probabilities = modelProbabilities(fixture, context.history);
+                if (!probabilities) continue;
+
+                for (const selection of SELECTIONS) {
+                    const edge = probabilities[selection] * fixture.odds[selection] - 1;
+                    if (edge >= options.minEdge) {
+                        candidates.push({
+                            fixture,
+                            selection,
+                            edge,
+                            probability: probabilities[selection],
+                            reason: `model ${(probabilities[selection] * 100).toFixed(1)}% vs price ${fixture.odds[selection]} (edge ${(edge * 100).toFixed(1)}%)`
+                        });
+                    }
+                }
+            }
+            return candidates.sort((a, b) => b.edge - a.edge);
+        }
+    },
+
+    'poisson-value': {
+        description: 'Back selections the Poisson goal model prices shorter than the bookmaker',
+        defaults: { maxBets: 3, minEdge: 0.05 },
+        select(fixtures, context, options) {
+            return detectValueBets(fixtures, { minEdge: options.minEdge }).map(value => ({
+                fixture: value.fixture,
+                selection: value.selection,
+                edge: value.edge,
+                probability: value.probability,
+                reason: `fair price ${value.fairOdds.toFixed(2)} vs offered ${value.odds} (edge ${(value.edge * 100).toFixed(1)}%)`
+            }));
+        }
+    },
+
+    'draw-hunter': {
+        description: 'Back the draw when the two teams are priced closely together',
+        defaults: { minOdds: 3.0, maxOdds: 4.5, maxGap: 0.1 },
+        select(fixtures, context, options) {
+            return fixtures
+                .map(fixture => {
+                    const market = impliedProbabilities(fixture.odds);
+                    return { fixture, selection: 'DRAW', gap: Math.abs(market.HOME - market.AWAY) };
+                })
+                .filter(candidate => candidate.gap <= options.maxGap)
+                .sort((a, b) => a.gap - b.gap)
+                .map(candidate => ({
+                    ...candidate,
+                    reason: `teams ${(candidate.gap * 100).toFixed(1)} pts apart, draw at ${candidate.fixture.odds.DRAW}`
+                }));
+        }
+    }
+};
+
+function listStrategies() {
+    return Object.keys(STRATEGIES).map(name => ({ name, description: STRATEGIES[name].description }));
+}
+
+function getStrategy(name) {
+    const strategy = Object.prototype.hasOwnProperty.call(STRATEGIES, name) ? STRATEGIES[name] : null;
+    if (!strategy) {
+        throw new Error(`Unknown strategy "${name}". Available: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+}
+
+function hasCompleteOdds(fixture) {
+    return fixture && fixture.odds && SELECTIONS.every(selection => Number.isFinite(fixture.odds[selection]) && fixture.odds[selection] > 1);
+}
+
+// Runs a strategy and applies the shared limits: one bet per fixture, price bounds, maxBets and bankroll
+function selectBets(name, context, options = {}) {
+    const strategy = getStrategy(name);
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+    const settings = { ...DEFAULT_OPTIONS, ...strategy.defaults, ...overrides };
+    const staking = overrides.staking || (overrides.stake ? { plan: 'flat', amount: overrides.stake } : settings.staking);
+
+    const fixtures = (context.fixtures || []).filter(hasCompleteOdds);
+    const candidates = strategy.select(fixtures, context, settings);
+
+    let remaining = Number.isFinite(context.bankroll) ? context.bankroll : Infinity;
+    const usedFixtures = new Set();
+    const intents = [];
+
+    for (const candidate of candidates) {
+        if (intents.length >= settings.maxBets) break;
+        if (usedFixtures.has(candidate.fixture)) continue;
+
+        const odds = candidate.fixture.odds[candidate.selection];
+        if (odds < settings.minOdds || odds > settings.maxOdds) continue;
+
+        // Kelly needs a win probability; fall back to the history model when the strategy has none
+        let probability = candidate.probability;
+        if (probability === undefined) {
+            const model = modelProbabilities(candidate.fixture, context.history);
+            probability = model ? model[candidate.selection] : undefined;
+        }
+
+        const stake = calculateStake(staking, { balance: context.bankroll, odds, probability, streak: context.streak });
+        if (stake <= 0 || stake > remaining) continue;
+
+        remaining -= stake;
+        usedFixtures.add(candidate.fixture);
+        intents.push({
+            fixture: candidate.fixture,
+            selection: candidate.selection,
+            odds,
+            stake,
+            reason: candidate.reason,
+            strategy: name
+        });
+    }
+
+    return intents;
+}
+
+module.exports = {
+    SELECTIONS,
+    listStrategies,
+    getStrategy,
+    selectBets,
+    describeSelection,
+    fixtureFromMatch,
+    recordResult,
+    impliedProbabilities,
+    modelProbabilities
+};
@@ -0,0 +1,118 @@
+// backtester.test.js - Replaying stored fixtures through a strategy and the metrics of the run
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const BettingDatabase = require('../database');
+const Backtester = require('../backtester');
+const { DEFAULTS } = require('../config');
+
+// The database narrates every step; keep the test report readable
+mock.method(console, 'log', () => {});
+
+// Four matchdays, one fixture each: [stage, home, away, score, pre-match odds, in-play odds]
+const FIXTURES = [
+    ['Matchday 1', 'ESP', 'NED', '2:0', [1.5, 4, 6], [1.1, 8, 15]],
+    ['Matchday 2', 'ITA', 'FRA', '0:1', [1.5, 4, 6], [3, 3, 2]],
+    ['Matchday 3', 'GER', 'ENG', '1:1', [1.5, 4, 6], null],
+    ['Matchday 4', 'POR', 'BEL', '3:2', [2, 3.5, 3.8], null]
+];
+
+async function openDatabase() {
+    const db = new BettingDatabase({ ...DEFAULTS, database: { ...DEFAULTS.database, path: ':memory:' } });
+    await db.connect();
+    await db.migrate();
+
+    for (const [index, [stage, home, away, score, preMatch, inPlay]] of FIXTURES.entries()) {
+        const [homeScore, awayScore] = score.split(':').map(Number);
+        const kickoff = `2024-05-01 12:${String(index * 5 + 2).padStart(2, '0')}:00`;
+        const match = await db.runQuery(`
+            INSERT INTO matches (stage_id, home_team_id, away_team_id, home_score, away_score, full_time_score,
+                                 status, kickoff_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'COMPLETED', ?, ?)
+        `, [await db.getOrCreateStage(stage), await db.getOrCreateTeam(home), await db.getOrCreateTeam(away),
+            homeScore, awayScore, score, kickoff, kickoff]);
+
+        const addOdds = (odds, timestamp) => db.runQuery(
+            'INSERT INTO betting_odds (match_id, home_odds, draw_odds, away_odds, timestamp) VALUES (?, ?, ?, ?, ?)',
+            [match.lastID, ...odds, timestamp]
+        );
+        await addOdds(preMatch, `2024-05-01 12:${String(index * 5).padStart(2, '0')}:00`);
+        if (inPlay) await addOdds(inPlay, `2024-05-01 12:${String(index * 5 + 3).padStart(2, '0')}:00`);
+    }
+    return db;
+}
+
+test('fixtures load in kick-off order with the last price before kick-off', async () => {
+    const db = await openDatabase();
+    try {
+        const backtester = new Backtester();
+        const fixtures = await backtester.loadFromDatabase(db);
+        assert.deepStrictEqual(fixtures.map(fixture => [fixture.homeTeam, fixture.odds.HOME]), [['ESP', 1.5], ['ITA', 1.5], ['GER', 1.5], ['POR', 2]]);
+        assert.strictEqual(backtester.rounds().length, 4);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a flat favourite run reports profit, ROI, yield, drawdown and the losing run', async () => {
+    const db = await openDatabase();
+    try {
+        const backtester = new Backtester({ strategy: 'favourite', bankroll: 100000, staking: { plan: 'flat', amount: 1000 } });
+        await backtester.loadFromDatabase(db);
+        const { bets, equity, metrics } = backtester.run();
+
+        // Won +5.00, lost 10.00 twice, then won +10.00 at evens
+        assert.deepStrictEqual(bets.map(bet => [bet.homeTeam, bet.selection, bet.result, bet.profit, bet.bankroll]), [
+            ['ESP', 'HOME', 'WON', 500, 100500],
+            ['ITA', 'HOME', 'LOST', -1000, 99500],
+            ['GER', 'HOME', 'LOST', -1000, 98500],
+            ['POR', 'HOME', 'WON', 1000, 99500]
+        ]);
+        assert.deepStrictEqual(equity.map(point => point.bankroll), [100000, 100500, 99500, 98500, 99500]);
+
+        assert.strictEqual(metrics.bets, 4);
+        assert.strictEqual(metrics.wins, 2);
+        assert.strictEqual(metrics.hitRate, 50);
+        assert.strictEqual(metrics.staked, 4000);
+        assert.strictEqual(metrics.profit, -500);
+        assert.strictEqual(metrics.roi, -0.5);
+        assert.strictEqual(metrics.yield, -12.5);
+        assert.strictEqual(metrics.finalBankroll, 99500);
+        assert.strictEqual(metrics.maxDrawdown, 2000);
+        assert.ok(Math.abs(metrics.maxDrawdownPercent - 2000 / 100500 * 100) < 1e-9);
+        assert.strictEqual(metrics.longestLosingStreak, 2);
+        assert.strictEqual(metrics.skippedByLimits, 0);
+    } finally {
+        await db.close();
+    }
+});
+
+test('bets over the exposure limits are skipped and counted', async () => {
+    const db = await openDatabase();
+    try {
+        const backtester = new Backtester({
+            strategy: 'favourite',
+            bankroll: 100000,
+            staking: { plan: 'flat', amount: 1000 },
+            limits: { maxPerBet: 500, maxPerMatchday: null, maxPerDay: null }
+        });
+        await backtester.loadFromDatabase(db);
+        const { bets, metrics } = backtester.run();
+
+        assert.strictEqual(bets.length, 0);
+        assert.strictEqual(metrics.skippedByLimits, 4);
+        assert.strictEqual(metrics.roi, 0);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a date range keeps only the fixtures inside it', async () => {
+    const db = await openDatabase();
+    try {
+        const backtester = new Backtester({ from: Date.parse('2024-05-01T12:05:00Z'), to: Date.parse('2024-05-01T12:12:00Z') });
+        const fixtures = await backtester.loadFromDatabase(db);
+        assert.deepStrictEqual(fixtures.map(fixture => fixture.homeTeam), ['ITA', 'GER']);
+    } finally {
+        await db.close();
+    }
+});
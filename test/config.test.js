@@ -0,0 +1,156 @@
+// config.test.js - The YAML subset of config files and the defaults < file < environment < flags layering
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SETTINGS, DEFAULTS, loadConfig, parseYaml } = require('../config');
+const { listStrategies } = require('../strategies');
+const { listPlans, DEFAULT_LIMITS } = require('../staking');
+const { DEFAULT_GUARDS } = require('../sessionGuards');
+const { DEFAULT_MIN_EDGE } = require('../valueBets');
+const { toMinor } = require('../money');
+
+// An empty directory to look for config files in, removed after the test
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vf-config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('parseYaml reads nested mappings of scalars', () => {
+    const parsed = parseYaml([
+        '# settings',
+        '---',
+        'browser:',
+        '  headless: true   # no window',
+        '  slowMo: 250',
+        'site:',
+        '  url: https://example.com/game#top',
+        'database:',
+        '  path: ~'
+    ].join('\n'), 'test.yaml');
+
+    assert.deepStrictEqual(parsed, {
+        browser: { headless: true, slowMo: 250 },
+        site: { url: 'https://example.com/game#top' },
+        database: { path: null }
+    });
+});
+
+test('parseYaml keeps a # inside a quoted value and strips the comment after it', () => {
+    const parsed = parseYaml([
+        'files:',
+        '  results: "results # march.json"  # comment',
+        "  odds: 'odds #2.json'",
+        '  plain: it\'s#fine',
+        '  number: "42"'
+    ].join('\n'), 'test.yaml');
+
+    assert.deepStrictEqual(parsed.files, { results: 'results # march.json', odds: 'odds #2.json', plain: "it's#fine", number: '42' });
+});
+
+test('parseYaml rejects what it would misread', () => {
+    for (const line of ['b: "x', 'b: "x" y', 'b: "a \\"q\\" b"', 'b: [1, 2]', '- item', 'b: |']) {
+        assert.throws(() => parseYaml(line, 'test.yaml'), /test\.yaml line 1:/, line);
+    }
+});
+
+test('loadConfig layers defaults, the config file, the environment and flags', (t) => {
+    const directory = tempDirectory(t);
+    fs.writeFileSync(path.join(directory, 'config.yaml'), [
+        'browser:',
+        '  slowMo: 250',
+        '  headless: true',
+        'scraper:',
+        '  cycleInterval: 45000',
+        'database:',
+        '  path: "./bets # test.db"'
+    ].join('\n'));
+
+    const { config, sources, file } = loadConfig({
+        argv: ['--cycle-interval', '20000', '--no-headless'],
+        env: { VF_SLOW_MO: '50', VF_CYCLE_INTERVAL: '40000' },
+        cwd: directory
+    });
+
+    assert.strictEqual(file, path.join(directory, 'config.yaml'));
+    assert.strictEqual(config.browser.slowMo, 50);
+    assert.strictEqual(sources['browser.slowMo'], 'env VF_SLOW_MO');
+    assert.strictEqual(config.scraper.cycleInterval, 20000);
+    assert.strictEqual(config.browser.headless, false);
+    assert.strictEqual(config.database.path, './bets # test.db');
+    assert.strictEqual(config.account.initialBalance, DEFAULTS.account.initialBalance);
+    assert.strictEqual(sources['account.initialBalance'], 'default');
+});
+
+test('loadConfig reports every invalid setting at once', (t) => {
+    const directory = tempDirectory(t);
+    assert.throws(
+        () => loadConfig({ argv: ['--slow-mo', '-1', '--credentials', 'keychain'], env: {}, cwd: directory }),
+        error => /browser\.slowMo from flag --slow-mo/.test(error.message) && /credentials\.source from flag --credentials/.test(error.message)
+    );
+});
+
+test('betting, guard and limit settings come from the config file, the environment and flags', (t) => {
+    const directory = tempDirectory(t);
+    fs.writeFileSync(path.join(directory, 'config.yaml'), [
+        'betting:',
+        '  strategy: poisson-value',
+        '  staking: percent',
+        '  stake: 2',
+        'guards:',
+        '  dailyLossLimit: off',
+        '  maxOpenBets: 5',
+        'limits:',
+        '  maxPerDay: OFF',
+        'replay:',
+        '  dir: ./snapshots'
+    ].join('\n'));
+
+    const { config, sources } = loadConfig({
+        argv: ['--auto-bet', '--value-edge', '0.08', '--cool-down', '2.5', '--no-markets'],
+        env: { VF_MAX_PER_BET: '40', VF_PROFIT_TARGET: 'off' },
+        cwd: directory
+    });
+
+    assert.deepStrictEqual(config.betting, { strategy: 'poisson-value', staking: 'percent', stake: 2, autoBet: true, valueEdge: 0.08, valueAutoBet: false });
+    assert.deepStrictEqual(config.guards, { dailyLossLimit: null, profitTarget: null, maxConsecutiveLosses: 4, coolDownMinutes: 2.5, maxOpenBets: 5 });
+    assert.deepStrictEqual(config.limits, { maxPerBet: 40, maxPerMatchday: 250, maxPerDay: null });
+    assert.strictEqual(config.replay.dir, './snapshots');
+    assert.strictEqual(config.scraper.captureMarkets, false);
+    assert.strictEqual(sources['guards.profitTarget'], 'env VF_PROFIT_TARGET');
+});
+
+test('betting settings are validated', (t) => {
+    const directory = tempDirectory(t);
+    const problems = (argv) => {
+        try {
+            loadConfig({ argv, env: {}, cwd: directory });
+        } catch (error) {
+            return error.message;
+        }
+        return '';
+    };
+
+    assert.match(problems(['--strategy', 'martingale']), /betting\.strategy from flag --strategy must be one of favourite/);
+    assert.match(problems(['--value-edge', '1']), /must be a fraction from 0 up to 1/);
+    assert.match(problems(['--max-losses', '2.5']), /must be a whole number/);
+    assert.match(problems(['--max-open-bets', '0']), /must be at least 1/);
+    assert.match(problems(['--daily-loss', '0']), /must be a positive amount/);
+    assert.match(problems(['--stake', 'off']), /betting\.stake from flag --stake must be a positive number/);
+    assert.match(problems(['--replay']), /--replay needs a value .*, e\.g\. --replay \.\/snapshots/);
+    assert.strictEqual(problems(['--value-edge', '0']), '');
+});
+
+test('the strategy and staking choices are the registered ones', () => {
+    const choices = key => SETTINGS.find(setting => setting.key === key).choices;
+    assert.deepStrictEqual(choices('betting.strategy'), listStrategies().map(strategy => strategy.name));
+    assert.deepStrictEqual(choices('betting.staking'), listPlans().map(plan => plan.name));
+});
+
+test('the guard, limit and value-edge defaults are the configured ones', () => {
+    assert.strictEqual(DEFAULTS.betting.valueEdge, DEFAULT_MIN_EDGE);
+    assert.deepStrictEqual(DEFAULT_LIMITS, { maxPerBet: toMinor(100), maxPerMatchday: toMinor(250), maxPerDay: toMinor(1000) });
+    assert.deepStrictEqual(DEFAULT_GUARDS, { dailyLossLimit: toMinor(200), profitTarget: toMinor(300), maxConsecutiveLosses: 4, coolDownMinutes: 5, maxOpenBets: 3 });
+});
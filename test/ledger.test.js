@@ -0,0 +1,168 @@
+// ledger.test.js - Bets, settlements and fund moves keep the balance and the transactions ledger in step
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const BettingDatabase = require('../database');
+const { DEFAULTS } = require('../config');
+const { toMinor } = require('../money');
+
+// The database narrates every step; keep the test report readable
+mock.method(console, 'log', () => {});
+
+const INITIAL_BALANCE = toMinor(DEFAULTS.account.initialBalance);
+
+async function openDatabase() {
+    const db = new BettingDatabase({ ...DEFAULTS, database: { ...DEFAULTS.database, path: ':memory:' } });
+    await db.connect();
+    await db.migrate();
+    await db.initializeAccount();
+    return db;
+}
+
+// A fixture that has not been played yet, so it can be bet on
+async function scheduleMatch(db, homeTeam, awayTeam) {
+    const stageId = await db.getOrCreateStage('Matchday 1');
+    const homeTeamId = await db.getOrCreateTeam(homeTeam);
+    const awayTeamId = await db.getOrCreateTeam(awayTeam);
+    const inserted = await db.runQuery(`
+        INSERT INTO matches (tournament_id, stage_id, home_team_id, away_team_id, status)
+        VALUES (?, ?, ?, ?, 'SCHEDULED')
+    `, [db.currentTournamentId, stageId, homeTeamId, awayTeamId]);
+    return inserted.lastID;
+}
+
+async function finishMatch(db, matchId, homeTeam, awayTeam, fullTimeScore, result) {
+    await db.saveMatch({ tournament_stage: 'Matchday 1', homeTeam, awayTeam, fullTimeScore, matchNo: 1 });
+    await db.settleBet(matchId, result);
+}
+
+async function balance(db) {
+    const [account] = await db.query('SELECT * FROM account WHERE account_id = 1');
+    return account;
+}
+
+test('a new account starts from the initial deposit with a clean ledger', async () => {
+    const db = await openDatabase();
+    try {
+        assert.strictEqual((await balance(db)).balance, INITIAL_BALANCE);
+
+        const audit = await db.auditLedger();
+        assert.strictEqual(audit.healthy, true);
+        assert.strictEqual(audit.replayedBalance, INITIAL_BALANCE);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a won bet takes the stake and pays back stake times odds', async () => {
+    const db = await openDatabase();
+    try {
+        const matchId = await scheduleMatch(db, 'ESP', 'NED');
+        const placed = await db.placeBet({ matchId, selection: 'HOME', odds: 2.35, amount: 1000 });
+        assert.strictEqual(placed.success, true);
+        assert.strictEqual(placed.potentialWin, 2350);
+        assert.strictEqual(placed.balance, INITIAL_BALANCE - 1000);
+
+        await finishMatch(db, matchId, 'ESP', 'NED', '2:1', 'HOME_WIN');
+
+        const account = await balance(db);
+        assert.strictEqual(account.balance, INITIAL_BALANCE + 1350);
+        assert.strictEqual(account.total_profit_loss, 1350);
+        assert.strictEqual(account.total_wins, 1);
+
+        const [bet] = await db.query('SELECT * FROM bets WHERE bet_id = ?', [placed.betId]);
+        assert.strictEqual(bet.status, 'WON');
+        assert.strictEqual(bet.actual_win, 2350);
+        assert.strictEqual(bet.profit_loss, 1350);
+
+        const audit = await db.auditLedger();
+        assert.strictEqual(audit.healthy, true, JSON.stringify(audit.issues));
+        assert.strictEqual(audit.replayedBalance, account.balance);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a lost bet keeps the stake and pays nothing', async () => {
+    const db = await openDatabase();
+    try {
+        const matchId = await scheduleMatch(db, 'ENG', 'FRA');
+        await db.placeBet({ matchId, selection: 'DRAW', odds: 3.4, amount: 555 });
+        await finishMatch(db, matchId, 'ENG', 'FRA', '0:1', 'AWAY_WIN');
+
+        const account = await balance(db);
+        assert.strictEqual(account.balance, INITIAL_BALANCE - 555);
+        assert.strictEqual(account.total_profit_loss, -555);
+        assert.strictEqual(account.total_losses, 1);
+        assert.strictEqual((await db.auditLedger()).healthy, true);
+    } finally {
+        await db.close();
+    }
+});
+
+test('rejected bets and withdrawals leave the balance and the ledger untouched', async () => {
+    const db = await openDatabase();
+    try {
+        const matchId = await scheduleMatch(db, 'GER', 'ITA');
+
+        assert.strictEqual((await db.placeBet({ matchId, selection: 'HOME', odds: 2, amount: 10.5 })).success, false);
+        assert.strictEqual((await db.placeBet({ matchId, selection: 'HOME', odds: 2, amount: INITIAL_BALANCE + 1 })).success, false);
+        assert.strictEqual((await db.withdrawFunds(INITIAL_BALANCE + 1)).success, false);
+
+        assert.strictEqual((await balance(db)).balance, INITIAL_BALANCE);
+        assert.strictEqual((await db.query('SELECT COUNT(*) AS count FROM transactions'))[0].count, 1);
+        assert.strictEqual((await db.query('SELECT COUNT(*) AS count FROM bets'))[0].count, 0);
+    } finally {
+        await db.close();
+    }
+});
+
+test('deposits and withdrawals move the balance by exactly their amount', async () => {
+    const db = await openDatabase();
+    try {
+        assert.strictEqual((await db.addFunds(2501)).balance, INITIAL_BALANCE + 2501);
+        assert.strictEqual((await db.withdrawFunds(1)).balance, INITIAL_BALANCE + 2500);
+
+        const audit = await db.auditLedger();
+        assert.strictEqual(audit.healthy, true);
+        assert.strictEqual(audit.replayedBalance, INITIAL_BALANCE + 2500);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a balance that drifted from the ledger is reported and repaired with an adjustment', async () => {
+    const db = await openDatabase();
+    try {
+        await db.runQuery('UPDATE account SET balance = balance + 7 WHERE account_id = 1');
+
+        const audit = await db.auditLedger();
+        assert.strictEqual(audit.healthy, false);
+
+        await db.repairLedger(audit);
+        const repaired = await db.auditLedger();
+        assert.strictEqual(repaired.healthy, true, JSON.stringify(repaired.issues));
+        assert.strictEqual((await balance(db)).balance, INITIAL_BALANCE);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a bet can name its match by stage and teams, dashes included', async () => {
+    const db = await openDatabase();
+    try {
+        const matchId = await scheduleMatch(db, 'GUINEA-BISSAU', 'NED');
+        const placed = await db.placeBet({
+            fixture: { stageName: 'Matchday 1', homeTeam: 'GUINEA-BISSAU', awayTeam: 'NED' },
+            selection: 'AWAY',
+            odds: 1.6,
+            amount: 500
+        });
+        assert.strictEqual(placed.success, true, placed.error);
+        assert.strictEqual(placed.matchId, matchId);
+
+        const unknown = await db.placeBet({ fixture: { stageName: 'Matchday 1', homeTeam: 'GUINEA', awayTeam: 'BISSAU-NED' }, selection: 'HOME', odds: 2, amount: 500 });
+        assert.strictEqual(unknown.success, false);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,77 @@
+// margins.test.js - Overround and the three ways of taking the margin out of 1X2 prices
+const test = require('node:test');
+const assert = require('node:assert');
+const { OUTCOMES, hasCompletePrices, impliedProbabilities, overround, normalise, analyseOdds } = require('../margins');
+
+const ODDS = { HOME: 1.5, DRAW: 4, AWAY: 6 };
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+const sum = probabilities => OUTCOMES.reduce((total, outcome) => total + probabilities[outcome], 0);
+
+test('implied probabilities and overround', () => {
+    const implied = impliedProbabilities(ODDS);
+    close(implied.HOME, 2 / 3);
+    close(implied.AWAY, 1 / 6);
+    close(overround(implied), 1 / 12);
+});
+
+test('proportional scales every probability by the same factor', () => {
+    const implied = impliedProbabilities(ODDS);
+    const { probabilities, parameter } = normalise(implied, 'proportional');
+    close(sum(probabilities), 1);
+    close(probabilities.HOME / probabilities.AWAY, implied.HOME / implied.AWAY);
+    assert.strictEqual(parameter, null);
+});
+
+test('Shin solves for the insider share that reproduces the quoted book', () => {
+    const implied = impliedProbabilities(ODDS);
+    const booksum = 1 + overround(implied);
+    const { probabilities, parameter: z } = normalise(implied, 'shin');
+
+    close(sum(probabilities), 1);
+    assert.ok(z > 0 && z < 0.5);
+    // Shin's model prices each outcome at sqrt(booksum x ((1 - z) p^2 + z p))
+    for (const outcome of OUTCOMES) {
+        const p = probabilities[outcome];
+        close(Math.sqrt(booksum * ((1 - z) * p * p + z * p)), implied[outcome]);
+    }
+});
+
+test('power finds the exponent that makes the probabilities sum to one', () => {
+    const implied = impliedProbabilities(ODDS);
+    const { probabilities, parameter: k } = normalise(implied, 'power');
+
+    close(sum(probabilities), 1);
+    assert.ok(k > 1);
+    for (const outcome of OUTCOMES) {
+        close(probabilities[outcome], Math.pow(implied[outcome], k));
+    }
+});
+
+test('Shin and power take relatively more margin off the longshot than proportional', () => {
+    const implied = impliedProbabilities(ODDS);
+    const proportional = normalise(implied, 'proportional').probabilities;
+    for (const method of ['shin', 'power']) {
+        const { probabilities } = normalise(implied, method);
+        assert.ok(probabilities.HOME > proportional.HOME, method);
+        assert.ok(probabilities.AWAY < proportional.AWAY, method);
+    }
+});
+
+test('a book without margin is left as it is', () => {
+    const implied = impliedProbabilities({ HOME: 2, DRAW: 4, AWAY: 4 });
+    for (const method of ['proportional', 'shin', 'power']) {
+        const { probabilities } = normalise(implied, method);
+        close(probabilities.HOME, 0.5);
+        close(probabilities.DRAW, 0.25);
+    }
+});
+
+test('analyseOdds needs all three prices and names the favourite', () => {
+    const analysis = analyseOdds(ODDS);
+    assert.strictEqual(analysis.favourite, 'HOME');
+    assert.deepStrictEqual(Object.keys(analysis.methods), ['proportional', 'shin', 'power']);
+    assert.strictEqual(analyseOdds({ HOME: 1.5, DRAW: 4 }), null);
+    assert.strictEqual(hasCompletePrices({ HOME: 1.5, DRAW: 4, AWAY: 1 }), false);
+    assert.throws(() => normalise(impliedProbabilities(ODDS), 'odds-ratio'), /Unknown margin method "odds-ratio"\. Available: proportional, shin, power/);
+});
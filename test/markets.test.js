@@ -0,0 +1,180 @@
+// markets.test.js - Market titles and selection labels from the game iframe mapped onto fixed keys
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { MARKET_SELECTORS, classifyMarket, parseLine, normaliseMarkets, readMarketBlocks } = require('../markets');
+const { SelectorRegistry } = require('../selectors');
+const { DEFAULTS } = require('../config');
+
+const TEAMS = { homeTeam: 'ESP', awayTeam: 'NED' };
+
+// { market_key|line: { selection_key: odds } } for compact assertions
+function byKey(markets) {
+    return Object.fromEntries(markets.map(market => [
+        market.line === null ? market.market_key : `${market.market_key}|${market.line}`,
+        Object.fromEntries(market.selections.map(selection => [selection.selection_key, selection.odds]))
+    ]));
+}
+
+test('classifyMarket recognises titles and keeps first-half variants apart', () => {
+    assert.strictEqual(classifyMarket('1X2').key, 'MATCH_RESULT');
+    assert.strictEqual(classifyMarket('Half-Time Result').key, 'HALF_TIME_RESULT');
+    assert.strictEqual(classifyMarket('Total Goals').key, 'OVER_UNDER');
+    assert.deepStrictEqual(
+        (({ key, kind }) => ({ key, kind }))(classifyMarket('1st Half Over/Under')),
+        { key: 'HALF_TIME_OVER_UNDER', kind: 'OVER_UNDER' }
+    );
+    assert.deepStrictEqual(
+        (({ key, kind }) => ({ key, kind }))(classifyMarket('Corners: Odd/Even')),
+        { key: 'CORNERS_ODD_EVEN', kind: null }
+    );
+});
+
+test('parseLine reads signed lines and ignores ordinals', () => {
+    assert.strictEqual(parseLine('Over 2.5'), 2.5);
+    assert.strictEqual(parseLine('ESP (-1)'), -1);
+    assert.strictEqual(parseLine('1st Half'), null);
+    assert.strictEqual(parseLine(''), null);
+});
+
+test('result, double chance and both-teams-to-score selections from symbols, words or team names', () => {
+    const markets = normaliseMarkets([
+        { title: 'Match Result', selections: [{ label: 'ESP', odds: '1.85' }, { label: 'X', odds: '3.4' }, { label: 'NED', odds: '4.1' }] },
+        { title: 'Double Chance', selections: [{ label: 'NED or Draw', odds: '1.9' }, { label: '12', odds: '1.3' }, { label: '1X', odds: '1.2' }] },
+        { title: 'Both Teams To Score', selections: [{ label: 'GG', odds: '1.7' }, { label: 'NG', odds: '2.05' }] }
+    ], TEAMS);
+
+    assert.deepStrictEqual(byKey(markets), {
+        MATCH_RESULT: { HOME: 1.85, DRAW: 3.4, AWAY: 4.1 },
+        DOUBLE_CHANCE: { DRAW_AWAY: 1.9, HOME_AWAY: 1.3, HOME_DRAW: 1.2 },
+        BOTH_TEAMS_TO_SCORE: { YES: 1.7, NO: 2.05 }
+    });
+});
+
+test('over/under blocks listing several lines become one market per line', () => {
+    const markets = normaliseMarkets([
+        { title: 'Total Goals', selections: [
+            { label: 'Over 1.5', odds: '1.3' }, { label: 'Under 1.5', odds: '3.2' },
+            { label: 'O 2.5', odds: '1.9' }, { label: 'U 2.5', odds: '1.85' }
+        ] },
+        { title: 'Over/Under 3.5', selections: [{ label: 'Over', odds: '3' }, { label: 'Under', odds: '1.35' }] }
+    ], TEAMS);
+
+    assert.deepStrictEqual(byKey(markets), {
+        'OVER_UNDER|1.5': { OVER: 1.3, UNDER: 3.2 },
+        'OVER_UNDER|2.5': { OVER: 1.9, UNDER: 1.85 },
+        'OVER_UNDER|3.5': { OVER: 3, UNDER: 1.35 }
+    });
+});
+
+test('handicap lines are stored from the home side, whether on the selection or in the title', () => {
+    const onSelections = normaliseMarkets([
+        { title: 'Handicap', selections: [{ label: 'ESP (+1)', odds: '1.4' }, { label: 'NED (-1)', odds: '2.9' }] }
+    ], TEAMS);
+    assert.deepStrictEqual(byKey(onSelections), { 'HANDICAP|1': { HOME: 1.4, AWAY: 2.9 } });
+
+    // A 0:1 head start for the away side is home -1
+    const inTitle = normaliseMarkets([
+        { title: 'Handicap 0:1', selections: [{ label: '1', odds: '3.1' }, { label: 'X', odds: '3.6' }, { label: '2', odds: '2' }] }
+    ], TEAMS);
+    assert.deepStrictEqual(byKey(inTitle), { 'HANDICAP|-1': { HOME: 3.1, DRAW: 3.6, AWAY: 2 } });
+});
+
+test('correct scores are keyed by scoreline and unpriced or duplicate selections are dropped', () => {
+    const markets = normaliseMarkets([
+        { title: 'Correct Score', selections: [
+            { label: '1-0', odds: '6.5' }, { label: '2 : 1', odds: '8' }, { label: 'Any other', odds: '15' },
+            { label: '1:0', odds: '7' }, { label: '0-0', odds: '-' }, { label: '3-3', odds: '1' }
+        ] },
+        { title: 'Winning Margin', selections: [{ label: '', odds: '' }] }
+    ], TEAMS);
+
+    assert.deepStrictEqual(byKey(markets), {
+        CORRECT_SCORE: { '1:0': 6.5, '2:1': 8, OTHER: 15 }
+    });
+    assert.strictEqual(markets[0].selections[1].label, '2 : 1');
+});
+
+// The Next Matchday card with one fixture's market list open (test/fixtures/markets)
+function loadSnapshot() {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'markets', 'next-matchday.html'), 'utf8');
+    return new JSDOM(html).window.document;
+}
+
+// Just enough of a Playwright element handle for SelectorRegistry.first / all
+function handle(element) {
+    return {
+        element,
+        $$: async selector => Array.from(element.querySelectorAll(selector)).map(handle),
+        isVisible: async () => true,
+        textContent: async () => element.textContent
+    };
+}
+
+function marketCandidates(selectors) {
+    return Object.fromEntries(MARKET_SELECTORS.map(name => [name, selectors.candidates(name)]));
+}
+
+test('the market list selectors find the opener, the open list and its close control in a snapshot', async () => {
+    const selectors = SelectorRegistry.load();
+    const frame = handle(loadSnapshot());
+    const [spain, italy] = await selectors.all(frame, 'eventGroups');
+
+    assert.strictEqual(await selectors.text(spain, 'cardHomeTeam'), 'ESP');
+    assert.strictEqual(await selectors.text(spain, 'cardAwayTeam'), 'NED');
+    assert.strictEqual((await selectors.first(spain, 'marketListOpener')).element.textContent, '+48');
+    assert.strictEqual(await selectors.first(italy, 'marketListOpener'), null);
+    assert.ok((await selectors.first(frame, 'marketListPanel')).element.classList.contains('event-markets'));
+    assert.ok(await selectors.first(frame, 'marketListClose'));
+
+    const stats = Object.fromEntries(selectors.takeCycleStats().map(stat => [stat.name, stat]));
+    assert.strictEqual(stats.marketListOpener.hits, 1);
+    assert.strictEqual(stats.marketListOpener.misses, 1);
+    assert.strictEqual(stats.marketListPanel.matchedSelector, '.event-markets');
+});
+
+test('every market in an open market list is extracted and normalised', () => {
+    const document = loadSnapshot();
+    const selectors = SelectorRegistry.load();
+    const { markets, matched } = readMarketBlocks(document.querySelector(selectors.joined('marketListPanel')), marketCandidates(selectors));
+
+    assert.deepStrictEqual(
+        { marketBlock: matched.marketBlock, marketTitle: matched.marketTitle, marketSelectionLabel: matched.marketSelectionLabel },
+        { marketBlock: 0, marketTitle: 0, marketSelectionLabel: 0 }
+    );
+    assert.deepStrictEqual(markets[0], { title: '1X2', selections: [{ label: '1', odds: 1.85 }, { label: 'X', odds: 3.4 }, { label: '2', odds: 4.2 }] });
+    // A suspended price has no data-decimal; normaliseMarkets drops it
+    assert.ok(Number.isNaN(markets[markets.length - 1].selections[0].odds));
+
+    assert.deepStrictEqual(byKey(normaliseMarkets(markets, TEAMS)), {
+        MATCH_RESULT: { HOME: 1.85, DRAW: 3.4, AWAY: 4.2 },
+        DOUBLE_CHANCE: { HOME_DRAW: 1.25, HOME_AWAY: 1.3, DRAW_AWAY: 1.88 },
+        'OVER_UNDER|2.5': { OVER: 2.02, UNDER: 1.78 },
+        'OVER_UNDER|3.5': { OVER: 3.3, UNDER: 1.32 },
+        CORRECT_SCORE: { '1:0': 6.5, '2:1': 8, '0:0': 9.5 },
+        'HANDICAP|-1': { HOME: 3.1, AWAY: 1.36 },
+        HALF_TIME_RESULT: { HOME: 2.45, DRAW: 2.1, AWAY: 5 }
+    });
+});
+
+test('markets listed inline in a fixture are read through the fallback candidates; 1X2 buttons alone are not markets', () => {
+    const document = loadSnapshot();
+    const candidates = marketCandidates(SelectorRegistry.load());
+    const [spain, italy] = document.querySelectorAll('.popular-event-groups');
+
+    assert.deepStrictEqual(readMarketBlocks(spain, candidates), { markets: [], matched: { marketBlock: null } });
+
+    const inline = readMarketBlocks(italy, candidates);
+    assert.strictEqual(candidates.marketBlock[inline.matched.marketBlock], '.bet-group');
+    assert.strictEqual(candidates.marketTitle[inline.matched.marketTitle], '.bet-group__title');
+    assert.deepStrictEqual(byKey(normaliseMarkets(inline.markets, { homeTeam: 'ITA', awayTeam: 'FRA' })), {
+        MATCH_RESULT: { HOME: 2.6, DRAW: 3.1, AWAY: 2.75 },
+        BOTH_TEAMS_TO_SCORE: { YES: 1.72, NO: 2.05 }
+    });
+});
+
+test('market lists are captured unless turned off', () => {
+    assert.strictEqual(DEFAULTS.scraper.captureMarkets, true);
+});
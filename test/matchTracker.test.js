@@ -0,0 +1,76 @@
+// matchTracker.test.js - When a fixture counts as live and when it has finished
+const test = require('node:test');
+const assert = require('node:assert');
+const { MatchTracker, FIXTURE_STATES } = require('../matchTracker');
+
+test('parseClock reads the minute, stoppage time and full time', () => {
+    const tracker = new MatchTracker();
+    assert.deepStrictEqual(tracker.parseClock("37'"), { minute: 37, isFullTime: false });
+    assert.deepStrictEqual(tracker.parseClock('45:00'), { minute: 45, isFullTime: false });
+    assert.deepStrictEqual(tracker.parseClock("90 + 3'"), { minute: 93, isFullTime: false });
+    assert.deepStrictEqual(tracker.parseClock(' ft '), { minute: null, isFullTime: true });
+    assert.strictEqual(tracker.parseClock('Full Time').isFullTime, true);
+    assert.strictEqual(tracker.parseClock('Match ended').isFullTime, true);
+    assert.strictEqual(tracker.parseClock('Finished 90').isFullTime, true);
+    assert.strictEqual(tracker.parseClock('LEFT').isFullTime, false);
+    assert.deepStrictEqual(tracker.parseClock(null), { minute: null, isFullTime: false });
+    assert.deepStrictEqual(tracker.parseClock(''), { minute: null, isFullTime: false });
+});
+
+test('a scheduled fixture goes live with its first score and keeps a timeline of changes', () => {
+    const tracker = new MatchTracker();
+    const fixture = tracker.schedule('Matchday 1', 'ESP', 'NED');
+    assert.strictEqual(fixture.state, FIXTURE_STATES.SCHEDULED);
+
+    assert.strictEqual(tracker.updateScore('Matchday 1', 'ESP', 'NED', '0:0', "1'"), fixture);
+    assert.strictEqual(fixture.state, FIXTURE_STATES.LIVE);
+    assert.strictEqual(tracker.updateScore('Matchday 1', 'ESP', 'NED', '0:0', "12'"), null);
+    tracker.updateScore('Matchday 1', 'ESP', 'NED', '1:0', "23'");
+
+    assert.deepStrictEqual(fixture.timeline.map(entry => [entry.score, entry.minute]), [['0:0', 1], ['1:0', 23]]);
+});
+
+test('the clock showing full time finishes a live fixture once', () => {
+    const tracker = new MatchTracker();
+    tracker.updateScore('Matchday 1', 'ESP', 'NED', '2:1', "88'");
+
+    assert.strictEqual(tracker.observeClock('Matchday 1', 'ESP', 'NED', "90'"), null);
+    const finished = tracker.observeClock('Matchday 1', 'ESP', 'NED', 'FT');
+    assert.strictEqual(finished.state, FIXTURE_STATES.FINISHED);
+    assert.strictEqual(finished.score, '2:1');
+    assert.ok(finished.finishedAt);
+
+    assert.strictEqual(tracker.observeClock('Matchday 1', 'ESP', 'NED', 'FT'), null);
+    assert.strictEqual(tracker.updateScore('Matchday 1', 'ESP', 'NED', '3:1', 'FT'), null);
+    assert.strictEqual(finished.score, '2:1');
+});
+
+test('full time on a fixture that never went live, or is unknown, finishes nothing', () => {
+    const tracker = new MatchTracker();
+    tracker.schedule('Matchday 1', 'ESP', 'NED');
+    assert.strictEqual(tracker.observeClock('Matchday 1', 'ESP', 'NED', 'FT'), null);
+    assert.strictEqual(tracker.observeClock('Matchday 1', 'ITA', 'FRA', 'FT'), null);
+});
+
+test('a new stage finishes the fixtures still live in the old one and forgets the rest', () => {
+    const tracker = new MatchTracker();
+    assert.deepStrictEqual(tracker.handleStageChange('Matchday 1'), []);
+
+    tracker.updateScore('Matchday 1', 'ESP', 'NED', '1:1', "85'");
+    tracker.updateScore('Matchday 1', 'ITA', 'FRA', '0:2', "86'");
+    tracker.schedule('Matchday 1', 'GER', 'ENG');
+    tracker.updateScore('Matchday 1', 'POR', 'BEL', '3:0', "90'");
+    tracker.observeClock('Matchday 1', 'POR', 'BEL', 'FT');
+    tracker.schedule('Matchday 2', 'ESP', 'ITA');
+
+    // The same stage again changes nothing
+    assert.deepStrictEqual(tracker.handleStageChange('Matchday 1'), []);
+
+    const finished = tracker.handleStageChange('Matchday 2');
+    assert.deepStrictEqual(finished.map(fixture => [fixture.homeTeam, fixture.score, fixture.state]), [
+        ['ESP', '1:1', FIXTURE_STATES.FINISHED],
+        ['ITA', '0:2', FIXTURE_STATES.FINISHED]
+    ]);
+    assert.deepStrictEqual([...tracker.fixtures.values()].map(fixture => fixture.key), ['Matchday 2-ESP-ITA']);
+    assert.strictEqual(tracker.currentStage, 'Matchday 2');
+});
@@ -0,0 +1,56 @@
+// money.test.js - Conversions, rounding and formatting of integer minor-unit amounts
+const test = require('node:test');
+const assert = require('node:assert');
+const { toMinor, fromMinor, parseAmount, multiplyMinor, formatMoney, formatSignedMoney, signedLedgerAmount } = require('../money');
+
+test('toMinor converts numbers and typed amounts without float drift', () => {
+    assert.strictEqual(toMinor(12.34), 1234);
+    assert.strictEqual(toMinor('12.34'), 1234);
+    assert.strictEqual(toMinor(' $0.10 '), 10);
+    assert.strictEqual(toMinor(0.1 + 0.2), 30);
+    assert.strictEqual(toMinor(-5), -500);
+});
+
+test('toMinor returns null for anything that is not an amount', () => {
+    for (const value of [null, undefined, '', 'abc', NaN, Infinity]) {
+        assert.strictEqual(toMinor(value), null, String(value));
+    }
+});
+
+test('fromMinor goes back to major units', () => {
+    assert.strictEqual(fromMinor(1234), 12.34);
+    assert.strictEqual(fromMinor(null), 0);
+});
+
+test('parseAmount accepts positive amounts with at most two decimals', () => {
+    assert.strictEqual(parseAmount('25'), 2500);
+    assert.strictEqual(parseAmount('£7.5'), 750);
+    assert.strictEqual(parseAmount('0.01'), 1);
+    for (const input of ['0', '0.00', '-5', '1.234', '1e3', '', null, 'ten']) {
+        assert.strictEqual(parseAmount(input), null, String(input));
+    }
+});
+
+test('multiplyMinor rounds stake times odds to the nearest minor unit', () => {
+    assert.strictEqual(multiplyMinor(1000, 2.35), 2350);
+    assert.strictEqual(multiplyMinor(333, 1.5), 500);
+    assert.strictEqual(multiplyMinor(555, 1.91), 1060);
+});
+
+test('formatMoney and formatSignedMoney print currency amounts', () => {
+    assert.strictEqual(formatMoney(123456), '$1234.56');
+    assert.strictEqual(formatMoney(-5), '-$0.05');
+    assert.strictEqual(formatMoney(100, 'EUR'), '€1.00');
+    assert.strictEqual(formatMoney(100, 'CHF'), '1.00 CHF');
+    assert.strictEqual(formatSignedMoney(1000), '+$10.00');
+    assert.strictEqual(formatSignedMoney(-500), '-$5.00');
+    assert.strictEqual(formatSignedMoney(0), '$0.00');
+});
+
+test('signedLedgerAmount takes stakes and withdrawals out of the balance', () => {
+    assert.strictEqual(signedLedgerAmount('BET_PLACED', 1000), -1000);
+    assert.strictEqual(signedLedgerAmount('WITHDRAWAL', 250), -250);
+    assert.strictEqual(signedLedgerAmount('BET_SETTLEMENT', 2350), 2350);
+    assert.strictEqual(signedLedgerAmount('DEPOSIT', 100), 100);
+    assert.strictEqual(signedLedgerAmount('ADJUSTMENT', -7), -7);
+});
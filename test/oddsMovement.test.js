@@ -0,0 +1,48 @@
+// oddsMovement.test.js - Opening and closing prices of a fixture and the closing line value of a bet
+const test = require('node:test');
+const assert = require('node:assert');
+const { summariseMovement, closingLineValue, formatPercent } = require('../oddsMovement');
+
+const SNAPSHOTS = [
+    { timestamp: '2024-05-01 12:00:00', HOME: 2.1, DRAW: 3.3, AWAY: 3.6 },
+    { timestamp: '2024-05-01 12:01:00', HOME: 2, DRAW: 3.3, AWAY: 3.8 },
+    { timestamp: '2024-05-01 12:02:00', HOME: 2, DRAW: 3.3, AWAY: 3.8 },
+    { timestamp: '2024-05-01 12:03:00', HOME: 1.9, DRAW: 3.3, AWAY: 4.2 }
+];
+
+test('summariseMovement reports opening, closing and range per selection', () => {
+    const movement = summariseMovement(SNAPSHOTS);
+    assert.strictEqual(movement.snapshots, 4);
+    assert.strictEqual(movement.changes, 2);
+    assert.strictEqual(movement.firstSeen, '2024-05-01 12:00:00');
+    assert.strictEqual(movement.lastSeen, '2024-05-01 12:03:00');
+
+    const home = movement.selections.HOME;
+    assert.deepStrictEqual([home.opening, home.closing, home.max, home.min, home.changes], [2.1, 1.9, 2.1, 1.9, 2]);
+    assert.strictEqual(home.drift, 'SHORTENED');
+    assert.ok(Math.abs(home.movePercent - (1.9 / 2.1 - 1)) < 1e-12);
+
+    assert.strictEqual(movement.selections.AWAY.drift, 'DRIFTED');
+    assert.strictEqual(movement.selections.DRAW.drift, 'STEADY');
+    assert.strictEqual(movement.selections.DRAW.changes, 0);
+});
+
+test('missing prices are skipped and no snapshots give no summary', () => {
+    const movement = summariseMovement([{ timestamp: 't1', HOME: 2, DRAW: null, AWAY: 3 }, { timestamp: 't2', HOME: 2.2, DRAW: null, AWAY: 3 }]);
+    assert.strictEqual(movement.selections.DRAW, null);
+    assert.strictEqual(movement.selections.HOME.closing, 2.2);
+    assert.strictEqual(summariseMovement([]), null);
+});
+
+test('closingLineValue is positive when the bet beat the closing price', () => {
+    assert.ok(Math.abs(closingLineValue(2.2, 2) - 0.1) < 1e-12);
+    assert.ok(closingLineValue(1.8, 2) < 0);
+    assert.strictEqual(closingLineValue(2, null), null);
+    assert.strictEqual(closingLineValue(2, 0), null);
+});
+
+test('formatPercent signs the value', () => {
+    assert.strictEqual(formatPercent(0.1), '+10.0%');
+    assert.strictEqual(formatPercent(-0.025), '-2.5%');
+    assert.strictEqual(formatPercent(null), '-');
+});
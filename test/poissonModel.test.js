@@ -0,0 +1,55 @@
+// poissonModel.test.js - Team strengths and the fixture probabilities they give
+const test = require('node:test');
+const assert = require('node:assert');
+const { fitStrengths, expectedGoals, predictFixture, fairOdds } = require('../poissonModel');
+
+const RESULTS = [
+    { homeTeam: 'ESP', awayTeam: 'NED', homeScore: 3, awayScore: 0 },
+    { homeTeam: 'NED', awayTeam: 'ITA', homeScore: 1, awayScore: 1 },
+    { homeTeam: 'ITA', awayTeam: 'ESP', homeScore: 0, awayScore: 2 },
+    { homeTeam: 'ESP', awayTeam: 'ITA', homeScore: 2, awayScore: 1 }
+];
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+test('fitStrengths takes league averages and shrinks team strengths towards them', () => {
+    const strengths = fitStrengths(RESULTS);
+    assert.strictEqual(strengths.matchCount, 4);
+    close(strengths.leagueHomeGoals, 1.5);
+    close(strengths.leagueAwayGoals, 1);
+
+    // ESP scored 5 in 2 home games: (5 + 3 x 1.5) / ((2 + 3) x 1.5)
+    close(strengths.teams.ESP.homeAttack, 9.5 / 7.5);
+    assert.ok(strengths.teams.ESP.homeAttack > 1);
+    assert.ok(strengths.teams.NED.awayAttack < 1);
+});
+
+test('unknown teams are treated as league average', () => {
+    const strengths = fitStrengths(RESULTS);
+    assert.deepStrictEqual(expectedGoals(strengths, 'FRA', 'GER'), { home: 1.5, away: 1 });
+});
+
+test('predictFixture returns probabilities that add up for every market', () => {
+    const prediction = predictFixture(fitStrengths(RESULTS), 'ESP', 'NED');
+    close(prediction.HOME + prediction.DRAW + prediction.AWAY, 1);
+    for (const line of [1.5, 2.5, 3.5]) {
+        close(prediction.over[line] + prediction.under[line], 1);
+    }
+    assert.ok(prediction.HOME > prediction.AWAY);
+    assert.strictEqual(prediction.correctScores.length, 10);
+    assert.ok(prediction.correctScores[0].probability >= prediction.correctScores[1].probability);
+});
+
+test('an average fixture matches the Poisson distribution of the league means', () => {
+    const prediction = predictFixture(fitStrengths(RESULTS), 'FRA', 'GER');
+    // P(0:0) = e^-1.5 x e^-1; the grid is cut at 10 goals, which leaves it practically unchanged
+    const nilNil = prediction.correctScores.find(score => score.score === '0:0');
+    close(nilNil.probability, Math.exp(-2.5), 1e-6);
+    close(prediction.under[1.5], Math.exp(-2.5) * 3.5, 1e-6);
+});
+
+test('no results give no prediction, and fair odds invert a probability', () => {
+    assert.strictEqual(predictFixture(fitStrengths([]), 'ESP', 'NED'), null);
+    assert.strictEqual(fairOdds(0.25), 4);
+    assert.strictEqual(fairOdds(0), null);
+});
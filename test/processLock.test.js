@@ -0,0 +1,81 @@
+// processLock.test.js - Taking, refusing and releasing the daemon's PID/lock file
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ProcessLock = require('../processLock');
+
+// console.log is mocked so the stale-lock notice stays out of the report
+test.mock.method(console, 'log', () => {});
+
+function lockFile(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vf-lock-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'scraper.pid');
+}
+
+// The PID of a process that has already exited
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('acquire writes our PID and release removes the file', (t) => {
+    const file = lockFile(t);
+    const lock = new ProcessLock(file);
+
+    lock.acquire();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${process.pid}\n`);
+    assert.strictEqual(lock.held, true);
+
+    lock.release();
+    assert.strictEqual(fs.existsSync(file), false);
+    assert.strictEqual(lock.held, false);
+});
+
+test('a lock held by a live process is refused and left alone', (t) => {
+    const file = lockFile(t);
+    fs.writeFileSync(file, `${process.ppid}\n`);
+
+    assert.throws(() => new ProcessLock(file).acquire(), new RegExp(`Another scraper is already running \\(PID ${process.ppid}`));
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${process.ppid}\n`);
+});
+
+test('a lock left by a dead process is taken over', (t) => {
+    const file = lockFile(t);
+    fs.writeFileSync(file, `${deadPid()}\n`);
+
+    const lock = new ProcessLock(file);
+    lock.acquire();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${process.pid}\n`);
+    lock.release();
+});
+
+test('an unreadable lock file is treated as stale', (t) => {
+    const file = lockFile(t);
+    fs.writeFileSync(file, 'not a pid');
+
+    const lock = new ProcessLock(file);
+    lock.acquire();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${process.pid}\n`);
+    lock.release();
+});
+
+test('release leaves a lock that another process has taken over since', (t) => {
+    const file = lockFile(t);
+    const lock = new ProcessLock(file);
+    lock.acquire();
+    fs.writeFileSync(file, `${process.ppid}\n`);
+
+    lock.release();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${process.ppid}\n`);
+});
+
+test('release without acquire does nothing', (t) => {
+    const file = lockFile(t);
+    fs.writeFileSync(file, `${process.pid}\n`);
+
+    new ProcessLock(file).release();
+    assert.strictEqual(fs.existsSync(file), true);
+});
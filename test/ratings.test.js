@@ -0,0 +1,37 @@
+// ratings.test.js - Elo expectations and the rating moves after a result
+const test = require('node:test');
+const assert = require('node:assert');
+const { INITIAL_RATING, K_FACTOR, expectedScore, goalDifferenceMultiplier, rateMatch } = require('../ratings');
+
+test('expectedScore is even between equal teams and favours the stronger side', () => {
+    assert.strictEqual(expectedScore(1500, 1500), 0.5);
+    assert.ok(Math.abs(expectedScore(1900, 1500) - 10 / 11) < 1e-12);
+    assert.ok(Math.abs(expectedScore(1600, 1500) + expectedScore(1500, 1600) - 1) < 1e-12);
+});
+
+test('bigger wins carry a bigger multiplier', () => {
+    assert.deepStrictEqual([[1, 0], [2, 2], [3, 1], [4, 1], [0, 5]].map(([h, a]) => goalDifferenceMultiplier(h, a)), [1, 1, 1.5, 1.75, 2]);
+});
+
+test('a win between equal teams moves both ratings by half of K, in opposite directions', () => {
+    const rating = rateMatch(INITIAL_RATING, INITIAL_RATING, 1, 0);
+    assert.strictEqual(rating.home.after, INITIAL_RATING + K_FACTOR / 2);
+    assert.strictEqual(rating.away.after, INITIAL_RATING - K_FACTOR / 2);
+    assert.strictEqual(rating.home.expected, 0.5);
+});
+
+test('changes always cancel out and a draw between equals changes nothing', () => {
+    for (const [home, away, homeScore, awayScore] of [[1620, 1480, 0, 3], [1400, 1700, 2, 2], [1500, 1550, 4, 0]]) {
+        const rating = rateMatch(home, away, homeScore, awayScore);
+        assert.ok(Math.abs(rating.home.after - home + rating.away.after - away) < 1e-9);
+    }
+    const draw = rateMatch(1500, 1500, 1, 1);
+    assert.strictEqual(draw.home.after, 1500);
+    assert.strictEqual(draw.away.after, 1500);
+});
+
+test('a draw costs the favourite rating, and options override K and home advantage', () => {
+    assert.ok(rateMatch(1700, 1500, 0, 0).home.after < 1700);
+    assert.strictEqual(rateMatch(1500, 1500, 1, 0, { kFactor: 40 }).home.after, 1520);
+    assert.ok(rateMatch(1500, 1500, 1, 0, { homeAdvantage: 100 }).home.expected > 0.5);
+});
@@ -0,0 +1,103 @@
+// selectors.test.js - Selector overrides, fallback lookups and the per-cycle hit/miss counts
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SelectorRegistry } = require('../selectors');
+
+function writeOverrides(t, overrides) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vf-selectors-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'selectors.json');
+    fs.writeFileSync(file, typeof overrides === 'string' ? overrides : JSON.stringify(overrides));
+    return file;
+}
+
+// A page stand-in: selector -> elements, with a visibility flag per element
+function fakeRoot(matches) {
+    return {
+        $$: async selector => (matches[selector] || []).map(({ visible = true, text = '' }) => ({
+            isVisible: async () => visible,
+            textContent: async () => text
+        }))
+    };
+}
+
+const registry = () => new SelectorRegistry({
+    stageHeading: { description: 'Stage', selectors: ['.new-head h1', '.component-head h1'] },
+    scoreboardScore: { description: 'Score', selectors: ['.score'], optional: true }
+});
+
+test('overrides replace the candidates of a named selector and keep the rest of its definition', t => {
+    const file = writeOverrides(t, { stageHeading: { selectors: ['.round-title'] } });
+    const selectors = SelectorRegistry.load(file);
+    const defaults = SelectorRegistry.load();
+
+    assert.deepStrictEqual(selectors.candidates('stageHeading'), ['.round-title']);
+    assert.strictEqual(selectors.get('stageHeading').description, defaults.get('stageHeading').description);
+    assert.deepStrictEqual(selectors.candidates('resultCards'), defaults.candidates('resultCards'));
+});
+
+test('an override for a selector that does not exist is refused', t => {
+    const file = writeOverrides(t, { stageHeadline: { selectors: ['h1'] } });
+    assert.throws(() => SelectorRegistry.load(file), /unknown selector "stageHeadline"\. Available: .*stageHeading/);
+});
+
+test('malformed selector files and entries are refused', t => {
+    assert.throws(() => SelectorRegistry.load(writeOverrides(t, '{ not json')), /Could not read selectors from/);
+    assert.throws(() => SelectorRegistry.load(writeOverrides(t, '[]')), /must contain an object of named selectors/);
+    assert.throws(() => SelectorRegistry.load(writeOverrides(t, { stageHeading: { selectors: [] } })), /"stageHeading" needs a non-empty "selectors" array/);
+    assert.throws(() => SelectorRegistry.load(writeOverrides(t, { stageHeading: { selectors: ['h1', ' '] } })), /non-empty "selectors" array of strings/);
+    assert.throws(() => registry().get('scoreboard'), /Unknown selector "scoreboard"\. Available: stageHeading, scoreboardScore/);
+});
+
+test('the default selectors.json is valid', () => {
+    assert.ok(SelectorRegistry.load().candidates('eventGroups').length > 0);
+});
+
+test('first falls back through the candidates in order and skips hidden elements when asked', async () => {
+    const selectors = registry();
+    const root = fakeRoot({
+        '.new-head h1': [{ visible: false, text: 'hidden' }],
+        '.component-head h1': [{ text: ' MATCHDAY 5 ' }]
+    });
+
+    assert.strictEqual(await (await selectors.first(root, 'stageHeading')).textContent(), 'hidden');
+    assert.strictEqual(await (await selectors.first(root, 'stageHeading', { visible: true })).textContent(), ' MATCHDAY 5 ');
+    assert.strictEqual(await selectors.text(fakeRoot({ '.component-head h1': [{ text: ' MATCHDAY 5 ' }] }), 'stageHeading'), 'MATCHDAY 5');
+    assert.strictEqual(await selectors.first(fakeRoot({}), 'scoreboardScore'), null);
+});
+
+test('all returns every element of the first candidate that matches anything', async () => {
+    const selectors = registry();
+    const elements = await selectors.all(fakeRoot({ '.component-head h1': [{}, {}] }), 'stageHeading');
+    assert.strictEqual(elements.length, 2);
+    assert.deepStrictEqual(await selectors.all(fakeRoot({}), 'stageHeading'), []);
+});
+
+test('a failing lookup counts as a miss instead of throwing', async () => {
+    const selectors = registry();
+    const root = { $$: async () => { throw new Error('Execution context was destroyed'); } };
+    assert.strictEqual(await selectors.first(root, 'stageHeading'), null);
+    assert.deepStrictEqual(selectors.takeCycleStats().map(stats => [stats.name, stats.hits, stats.misses]), [['stageHeading', 0, 1]]);
+});
+
+test('takeCycleStats reports hits, misses and the candidate that matched, then starts a new cycle', async () => {
+    const selectors = registry();
+    const root = fakeRoot({ '.component-head h1': [{}] });
+    await selectors.first(root, 'stageHeading');
+    await selectors.first(fakeRoot({}), 'stageHeading');
+    await selectors.first(root, 'stageHeading');
+    await selectors.first(root, 'scoreboardScore');
+
+    assert.deepStrictEqual(selectors.takeCycleStats(), [
+        { name: 'stageHeading', optional: false, hits: 2, misses: 1, matchedIndex: 1, matchedSelector: '.component-head h1' },
+        { name: 'scoreboardScore', optional: true, hits: 0, misses: 1, matchedIndex: null, matchedSelector: null }
+    ]);
+    assert.deepStrictEqual(selectors.takeCycleStats(), []);
+});
+
+test('recording an unknown selector throws', () => {
+    assert.throws(() => registry().record('nope', 0), /Unknown selector "nope"/);
+});
@@ -0,0 +1,60 @@
+// sessionGuards.test.js - Which session guard trips for a day's betting figures, and where the limits sit
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_GUARDS, findTrippedGuard } = require('../sessionGuards');
+
+const OFF = { dailyLossLimit: null, profitTarget: null, maxConsecutiveLosses: null, coolDownMinutes: null, maxOpenBets: null };
+
+// A quiet day: nothing won or lost, no losing run, no recent loss and nothing open
+function stats(overrides = {}) {
+    return { dailyProfitLoss: 0, streak: { wins: 0, losses: 0 }, minutesSinceLoss: null, openBets: 0, ...overrides };
+}
+
+const tripped = (figures, guards) => {
+    const result = findTrippedGuard(stats(figures), { ...OFF, ...guards });
+    return result ? result.guard : null;
+};
+
+test('nothing trips on a quiet day with the default guards', () => {
+    assert.strictEqual(findTrippedGuard(stats(), DEFAULT_GUARDS), null);
+});
+
+test('the daily loss limit trips once the loss reaches it', () => {
+    assert.strictEqual(tripped({ dailyProfitLoss: -19999 }, { dailyLossLimit: 20000 }), null);
+    assert.strictEqual(tripped({ dailyProfitLoss: -20000 }, { dailyLossLimit: 20000 }), 'dailyLossLimit');
+    assert.match(findTrippedGuard(stats({ dailyProfitLoss: -25000 }), { ...OFF, dailyLossLimit: 20000 }).reason, /daily loss \$250\.00 reached the limit of \$200\.00/);
+});
+
+test('the profit target trips once the profit reaches it', () => {
+    assert.strictEqual(tripped({ dailyProfitLoss: 29999 }, { profitTarget: 30000 }), null);
+    assert.strictEqual(tripped({ dailyProfitLoss: 30000 }, { profitTarget: 30000 }), 'profitTarget');
+});
+
+test('the losing-run guard trips at the limit', () => {
+    assert.strictEqual(tripped({ streak: { wins: 0, losses: 3 } }, { maxConsecutiveLosses: 4 }), null);
+    assert.strictEqual(tripped({ streak: { wins: 0, losses: 4 } }, { maxConsecutiveLosses: 4 }), 'maxConsecutiveLosses');
+});
+
+test('the cool-down holds until the full time has passed since the last loss', () => {
+    assert.strictEqual(tripped({ minutesSinceLoss: 4.9 }, { coolDownMinutes: 5 }), 'coolDownMinutes');
+    assert.strictEqual(tripped({ minutesSinceLoss: 5 }, { coolDownMinutes: 5 }), null);
+    assert.strictEqual(tripped({ minutesSinceLoss: null }, { coolDownMinutes: 5 }), null);
+    assert.match(findTrippedGuard(stats({ minutesSinceLoss: 2.5 }), { ...OFF, coolDownMinutes: 5 }).reason, /3 more minute/);
+});
+
+test('the open-bet limit trips once that many bets are open', () => {
+    assert.strictEqual(tripped({ openBets: 2 }, { maxOpenBets: 3 }), null);
+    assert.strictEqual(tripped({ openBets: 3 }, { maxOpenBets: 3 }), 'maxOpenBets');
+});
+
+test('guards that are off never trip', () => {
+    const worstDay = { dailyProfitLoss: -1000000, streak: { wins: 0, losses: 99 }, minutesSinceLoss: 0, openBets: 99 };
+    assert.strictEqual(findTrippedGuard(stats(worstDay), OFF), null);
+    assert.strictEqual(findTrippedGuard(stats(worstDay), { ...OFF, dailyLossLimit: undefined }), null);
+});
+
+test('the first tripped guard in order is reported', () => {
+    const figures = { dailyProfitLoss: -30000, streak: { wins: 0, losses: 5 }, openBets: 5 };
+    assert.strictEqual(tripped(figures, DEFAULT_GUARDS), 'dailyLossLimit');
+    assert.strictEqual(tripped(figures, { ...DEFAULT_GUARDS, dailyLossLimit: null }), 'maxConsecutiveLosses');
+});
@@ -0,0 +1,83 @@
+// snapshotReplay.test.js - Serving captured snapshots in order, wrapped in an iframe and without their scripts
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotReplayServer = require('../snapshotReplay');
+const { DEFAULTS, replayConfig } = require('../config');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'replay');
+
+// The server narrates loading, starting and stopping; keep the test report readable
+mock.method(console, 'log', () => {});
+
+async function startServer(t) {
+    const server = new SnapshotReplayServer(FIXTURES);
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+async function get(server, pathname) {
+    const response = await fetch(new URL(pathname, server.url));
+    return { status: response.status, body: await response.text() };
+}
+
+test('snapshots are replayed in capture order, skipping the metadata files', async (t) => {
+    const server = await startServer(t);
+
+    assert.deepStrictEqual(server.snapshots.map(file => path.basename(file)), ['snapshot-2.html', 'snapshot-10.html']);
+    assert.strictEqual(server.currentSnapshot, null);
+    assert.strictEqual(server.next(), path.join(FIXTURES, 'snapshot-2.html'));
+    assert.strictEqual(server.hasNext(), true);
+    assert.strictEqual(server.next(), path.join(FIXTURES, 'snapshot-10.html'));
+    assert.strictEqual(server.hasNext(), false);
+    assert.strictEqual(server.next(), null);
+    assert.strictEqual(server.currentSnapshot, path.join(FIXTURES, 'snapshot-10.html'));
+});
+
+test('the page wraps the current snapshot in an iframe, as on the live site', async (t) => {
+    const server = await startServer(t);
+    server.next();
+    server.next();
+
+    const page = await get(server, '/');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /<title>Replay 2\/2<\/title>/);
+    assert.match(page.body, /<iframe src="\/frame\/1"/);
+});
+
+test('frames keep the DOM and drop every script', async (t) => {
+    const server = await startServer(t);
+
+    const frame = await get(server, '/frame/0');
+    assert.strictEqual(frame.status, 200);
+    assert.match(frame.body, /<h1>MATCHDAY 3<\/h1>/);
+    assert.match(frame.body, /<span class="team-name">NED<\/span>/);
+    assert.doesNotMatch(frame.body, /<script/i);
+    assert.doesNotMatch(frame.body, /gameState|dataset\.live/);
+
+    assert.match((await get(server, '/frame/1')).body, /data-decimal="3\.25"/);
+    assert.strictEqual((await get(server, '/frame/2')).status, 404);
+    assert.strictEqual((await get(server, '/snapshot-2.html')).status, 404);
+});
+
+test('a directory without snapshots is refused', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vf-replay-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(directory, 'snapshot-1.json'), '{}');
+
+    await assert.rejects(new SnapshotReplayServer(directory).start(), /No \.html snapshots found/);
+});
+
+test('a replay keeps its databases and files out of the live ones', () => {
+    const config = replayConfig({ ...DEFAULTS, replay: { dir: './snapshots', outputDir: './replay-output' } });
+
+    assert.strictEqual(config.database.path, path.join('replay-output', 'virtual_football_betting.db'));
+    assert.strictEqual(config.database.matchesPath, path.join('replay-output', 'matches.db'));
+    assert.strictEqual(config.files.results, path.join('replay-output', 'leap_results_with_odds.json'));
+    assert.strictEqual(config.files.odds, path.join('replay-output', 'betting_odds_data.json'));
+    assert.strictEqual(config.site.url, DEFAULTS.site.url);
+    assert.strictEqual(DEFAULTS.database.path, './virtual_football_betting.db');
+});
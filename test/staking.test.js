@@ -0,0 +1,68 @@
+// staking.test.js - Stakes from each plan and the per-bet, matchday and daily exposure limits
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_LIMITS, getPlan, planOptionsFromValue, calculateStake, checkExposure } = require('../staking');
+
+const BALANCE = 100000;
+
+test('flat and percent stakes', () => {
+    assert.strictEqual(calculateStake({ plan: 'flat' }, { balance: BALANCE }), 5500);
+    assert.strictEqual(calculateStake({ plan: 'flat', amount: 2500 }, { balance: BALANCE }), 2500);
+    assert.strictEqual(calculateStake({ plan: 'percent', percent: 2 }, { balance: 12345 }), 246);
+});
+
+test('Kelly stakes the fraction of the edge and nothing without one', () => {
+    // p = 0.5 at 2.5: edge 0.25, full Kelly 0.25 / 1.5 = 1/6 of the balance; a quarter of that by default
+    assert.strictEqual(calculateStake({ plan: 'kelly' }, { balance: BALANCE, odds: 2.5, probability: 0.5 }), 4166);
+    assert.strictEqual(calculateStake({ plan: 'kelly', fraction: 1 }, { balance: BALANCE, odds: 2.5, probability: 0.5 }), 16666);
+    assert.strictEqual(calculateStake({ plan: 'kelly' }, { balance: BALANCE, odds: 2, probability: 0.5 }), 0);
+    assert.strictEqual(calculateStake({ plan: 'kelly' }, { balance: BALANCE, odds: 2, probability: 0.4 }), 0);
+    assert.strictEqual(calculateStake({ plan: 'kelly' }, { balance: BALANCE, odds: 2 }), 0);
+});
+
+test('martingale doubles after each loss, caps the stake and restarts after maxSteps', () => {
+    const stakeAfter = losses => calculateStake({ plan: 'martingale' }, { balance: BALANCE, streak: { wins: 0, losses } });
+    assert.deepStrictEqual([0, 1, 2, 3, 4, 5].map(stakeAfter), [1000, 2000, 4000, 8000, 10000, 1000]);
+    assert.strictEqual(calculateStake({ plan: 'martingale', maxStake: 5000 }, { balance: BALANCE, streak: { losses: 3 } }), 5000);
+});
+
+test('anti-martingale follows the winning run instead', () => {
+    const stakeAfter = wins => calculateStake({ plan: 'anti-martingale' }, { balance: BALANCE, streak: { wins, losses: 0 } });
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(stakeAfter), [1000, 2000, 4000, 8000, 1000]);
+});
+
+test('fixed-profit stakes enough to win the target', () => {
+    assert.strictEqual(calculateStake({ plan: 'fixed-profit' }, { balance: BALANCE, odds: 3 }), 1000);
+    assert.strictEqual(calculateStake({ plan: 'fixed-profit' }, { balance: BALANCE, odds: 1.01 }), 10000);
+    assert.strictEqual(calculateStake({ plan: 'fixed-profit' }, { balance: BALANCE, odds: 1 }), 0);
+});
+
+test('a stake never exceeds the balance', () => {
+    assert.strictEqual(calculateStake({ plan: 'flat', amount: 9999 }, { balance: 700 }), 700);
+    assert.strictEqual(calculateStake({ plan: 'flat' }, { balance: 0 }), 0);
+});
+
+test('planOptionsFromValue reads the plan parameter and rejects unusable values', () => {
+    assert.deepStrictEqual(planOptionsFromValue('flat', '25'), { plan: 'flat', amount: 2500 });
+    assert.deepStrictEqual(planOptionsFromValue('percent', '2'), { plan: 'percent', percent: 2 });
+    assert.strictEqual(planOptionsFromValue('percent', '101'), null);
+    assert.strictEqual(planOptionsFromValue('kelly', '1.5'), null);
+    assert.strictEqual(planOptionsFromValue('flat', '0'), null);
+    assert.strictEqual(planOptionsFromValue('martingale', 'x'), null);
+    assert.throws(() => getPlan('double-or-nothing'), /Unknown staking plan "double-or-nothing"\. Available: flat/);
+});
+
+test('checkExposure enforces the per-bet, matchday and daily limits in turn', () => {
+    assert.deepStrictEqual(checkExposure(DEFAULT_LIMITS.maxPerBet), { allowed: true });
+    assert.strictEqual(checkExposure(DEFAULT_LIMITS.maxPerBet + 1).limit, 'maxPerBet');
+    assert.deepStrictEqual(checkExposure(5000, { matchday: 20000, day: 20000 }), { allowed: true });
+    assert.strictEqual(checkExposure(5001, { matchday: 20000, day: 20000 }).limit, 'maxPerMatchday');
+    assert.strictEqual(checkExposure(5000, { matchday: 0, day: 96000 }).limit, 'maxPerDay');
+    assert.match(checkExposure(10001).reason, /stake \$100\.01 exceeds the per-bet limit of \$100\.00/);
+});
+
+test('a null limit is not enforced', () => {
+    const limits = { ...DEFAULT_LIMITS, maxPerBet: null, maxPerDay: null };
+    assert.deepStrictEqual(checkExposure(20000, { matchday: 0, day: 1000000 }, limits), { allowed: true });
+    assert.strictEqual(checkExposure(20000, { matchday: 5001, day: 0 }, limits).limit, 'maxPerMatchday');
+});
@@ -0,0 +1,94 @@
+// strategies.test.js - Candidate selection and the limits selectBets() applies to every strategy
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStrategy, selectBets, recordResult, describeSelection } = require('../strategies');
+
+function fixture(homeTeam, awayTeam, HOME, DRAW, AWAY, fair = null) {
+    return { stage: 'Matchday 3', homeTeam, awayTeam, odds: { HOME, DRAW, AWAY }, fair };
+}
+
+const CARD = [
+    fixture('ESP', 'NED', 1.8, 3.6, 4.5),
+    fixture('ITA', 'FRA', 2.9, 3.1, 2.5),
+    fixture('GER', 'ENG', 1.4, 4.6, 7.5),
+    fixture('POR', 'BEL', 2.2, 3.3, 3.2)
+];
+
+const FLAT_10 = { staking: { plan: 'flat', amount: 1000 } };
+
+test('favourite backs the shortest price of each fixture, shortest first', () => {
+    const intents = selectBets('favourite', { fixtures: CARD, bankroll: 100000 }, { ...FLAT_10, maxBets: 3 });
+    assert.deepStrictEqual(intents.map(intent => [intent.fixture.homeTeam, intent.selection, intent.odds]), [
+        ['GER', 'HOME', 1.4],
+        ['ESP', 'HOME', 1.8],
+        ['POR', 'HOME', 2.2]
+    ]);
+    assert.ok(intents.every(intent => intent.stake === 1000 && intent.strategy === 'favourite'));
+});
+
+test('maxBets caps the number of intents, one by default', () => {
+    assert.strictEqual(selectBets('favourite', { fixtures: CARD, bankroll: 100000 }, FLAT_10).length, 1);
+    assert.strictEqual(selectBets('favourite', { fixtures: CARD, bankroll: 100000 }, { ...FLAT_10, maxBets: 10 }).length, 4);
+});
+
+test('a fixture gets one bet even when several of its selections qualify', () => {
+    // Fair prices that make both HOME and DRAW value on the first fixture
+    const fixtures = [
+        fixture('ESP', 'NED', 2.5, 4, 3, { HOME: 0.5, DRAW: 0.3, AWAY: 0.2 }),
+        fixture('ITA', 'FRA', 2.5, 3.2, 3, { HOME: 0.45, DRAW: 0.3, AWAY: 0.25 })
+    ];
+    const intents = selectBets('poisson-value', { fixtures, bankroll: 100000 }, FLAT_10);
+    assert.deepStrictEqual(intents.map(intent => [intent.fixture.homeTeam, intent.selection]), [['ESP', 'HOME'], ['ITA', 'HOME']]);
+});
+
+test('the stakes of one card never add up to more than the bankroll', () => {
+    const intents = selectBets('favourite', { fixtures: CARD, bankroll: 2500 }, { ...FLAT_10, maxBets: 4 });
+    assert.strictEqual(intents.length, 2);
+
+    // A stake bigger than the bankroll is cut down to it, and nothing is left for the next bet
+    const allIn = selectBets('favourite', { fixtures: CARD, bankroll: 700 }, { ...FLAT_10, maxBets: 4 });
+    assert.deepStrictEqual(allIn.map(intent => intent.stake), [700]);
+
+    assert.deepStrictEqual(selectBets('favourite', { fixtures: CARD, bankroll: 0 }, FLAT_10), []);
+});
+
+test('price bounds and incomplete odds filter candidates out', () => {
+    const intents = selectBets('favourite', { fixtures: CARD, bankroll: 100000 }, { ...FLAT_10, maxBets: 4, minOdds: 1.5, maxOdds: 2 });
+    assert.deepStrictEqual(intents.map(intent => intent.fixture.homeTeam), ['ESP']);
+
+    const incomplete = [fixture('ESP', 'NED', 1.8, null, 4.5), fixture('ITA', 'FRA', 1, 3, 3)];
+    assert.deepStrictEqual(selectBets('favourite', { fixtures: incomplete, bankroll: 100000 }, FLAT_10), []);
+});
+
+test('underdog backs the longer-priced team, and options override its price bounds', () => {
+    const intents = selectBets('underdog', { fixtures: CARD, bankroll: 100000 }, { stake: 500, maxBets: 4 });
+    assert.deepStrictEqual(intents.map(intent => [intent.fixture.homeTeam, intent.selection, intent.stake]), [
+        ['GER', 'AWAY', 500],
+        ['ESP', 'AWAY', 500],
+        ['POR', 'AWAY', 500],
+        ['ITA', 'HOME', 500]
+    ]);
+
+    const capped = selectBets('underdog', { fixtures: CARD, bankroll: 100000 }, { stake: 500, maxBets: 4, maxOdds: 4 });
+    assert.deepStrictEqual(capped.map(intent => intent.fixture.homeTeam), ['POR', 'ITA']);
+});
+
+test('value-vs-model needs both teams to have a history', () => {
+    const history = {};
+    assert.deepStrictEqual(selectBets('value-vs-model', { fixtures: CARD, history, bankroll: 100000 }, FLAT_10), []);
+
+    // ITA and NED lose every game, so the model rates their opponents well above the prices on offer
+    for (let i = 0; i < 20; i++) {
+        recordResult(history, 'ESP', 'ITA', 2, 0);
+        recordResult(history, 'FRA', 'NED', 3, 1);
+    }
+    const intents = selectBets('value-vs-model', { fixtures: CARD, history, bankroll: 100000 }, FLAT_10);
+    assert.deepStrictEqual(intents.map(intent => [intent.fixture.homeTeam, intent.selection]), [['ITA', 'AWAY'], ['ESP', 'HOME']]);
+    assert.deepStrictEqual(history.NED, { played: 20, wins: 0, draws: 0, losses: 20, goalsFor: 20, goalsAgainst: 60 });
+});
+
+test('unknown strategies are refused and selections are named', () => {
+    assert.throws(() => getStrategy('martingale'), /Unknown strategy "martingale"\. Available: favourite, underdog/);
+    assert.strictEqual(describeSelection(CARD[0], 'AWAY'), 'NED');
+    assert.strictEqual(describeSelection(CARD[0], 'DRAW'), 'Draw');
+});
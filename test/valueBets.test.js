@@ -0,0 +1,49 @@
+// valueBets.test.js - Offered prices that beat the model's fair price by the minimum edge
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MIN_EDGE, edgeFor, findValueBets, detectValueBets } = require('../valueBets');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+function fixture(homeTeam, odds, fair) {
+    return { homeTeam, odds, fair };
+}
+
+test('edgeFor is the expected return per unit staked', () => {
+    close(edgeFor(2.3, 0.5), 0.15);
+    close(edgeFor(1.8, 0.5), -0.1);
+    assert.strictEqual(edgeFor(1, 0.5), null);
+    assert.strictEqual(edgeFor(2, 0), null);
+    assert.strictEqual(edgeFor(undefined, 0.5), null);
+});
+
+test('findValueBets keeps selections at or above the minimum edge, biggest first', () => {
+    const values = findValueBets(fixture('ESP', { HOME: 2.3, DRAW: 3.6, AWAY: 4.2 }, { HOME: 0.5, DRAW: 0.3, AWAY: 0.2 }));
+    assert.deepStrictEqual(values.map(value => value.selection), ['HOME', 'DRAW']);
+    close(values[0].edge, 0.15);
+    close(values[0].fairOdds, 2);
+    assert.strictEqual(values[0].probability, 0.5);
+    close(values[1].edge, 0.08);
+});
+
+test('the minimum edge defaults to 5% and is inclusive', () => {
+    assert.strictEqual(DEFAULT_MIN_EDGE, 0.05);
+    const offered = fixture('ESP', { HOME: 2.1, DRAW: 2.5, AWAY: 5 }, { HOME: 0.5, DRAW: 0.3, AWAY: 0.2 });
+    assert.deepStrictEqual(findValueBets(offered).map(value => value.selection), ['HOME']);
+    assert.deepStrictEqual(findValueBets(offered, { minEdge: 0.06 }), []);
+    assert.deepStrictEqual(findValueBets(offered, { minEdge: 0 }).map(value => value.selection), ['HOME', 'AWAY']);
+});
+
+test('maxOdds drops longshots and a fixture without a fair price has no value', () => {
+    const offered = fixture('ESP', { HOME: 2.3, DRAW: 3.6, AWAY: 6 }, { HOME: 0.5, DRAW: 0.25, AWAY: 0.25 });
+    assert.deepStrictEqual(findValueBets(offered, { maxOdds: 5 }).map(value => value.selection), ['HOME']);
+    assert.deepStrictEqual(findValueBets({ ...offered, fair: null }), []);
+});
+
+test('detectValueBets ranks the whole card by edge', () => {
+    const values = detectValueBets([
+        fixture('ESP', { HOME: 2.2, DRAW: 3, AWAY: 4 }, { HOME: 0.5, DRAW: 0.3, AWAY: 0.2 }),
+        fixture('ITA', { HOME: 2.5, DRAW: 3, AWAY: 4 }, { HOME: 0.5, DRAW: 0.3, AWAY: 0.2 })
+    ]);
+    assert.deepStrictEqual(values.map(value => value.fixture.homeTeam), ['ITA', 'ESP']);
+});
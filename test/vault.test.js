@@ -0,0 +1,67 @@
+// vault.test.js - Encrypting the login into the vault, unlocking it and refusing damaged or crafted files
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encryptVault, decryptVault, readVault, writeVault } = require('../credentials');
+
+const LOGIN = { username: 'punter@example.com', password: 'correct horse battery staple' };
+const PASSPHRASE = 'vault passphrase';
+
+// A copy of the vault with one base64 field's first byte flipped
+function tampered(vault, field) {
+    const bytes = Buffer.from(vault[field], 'base64');
+    bytes[0] ^= 0x01;
+    return { ...vault, [field]: bytes.toString('base64') };
+}
+
+test('a vault unlocks with its passphrase and holds nothing in plaintext', () => {
+    const vault = encryptVault(LOGIN, PASSPHRASE);
+    assert.deepStrictEqual(decryptVault(vault, PASSPHRASE), LOGIN);
+
+    const text = JSON.stringify(vault);
+    assert.ok(!text.includes(LOGIN.username) && !text.includes(LOGIN.password));
+    // A fresh salt and IV every time
+    assert.notStrictEqual(encryptVault(LOGIN, PASSPHRASE).data, vault.data);
+});
+
+test('a wrong passphrase is refused', () => {
+    const vault = encryptVault(LOGIN, PASSPHRASE);
+    assert.throws(() => decryptVault(vault, 'not the passphrase'), /wrong passphrase or damaged vault/);
+});
+
+test('a change to the ciphertext, tag, IV or salt is detected', () => {
+    const vault = encryptVault(LOGIN, PASSPHRASE);
+    for (const field of ['data', 'tag', 'iv']) {
+        assert.throws(() => decryptVault(tampered(vault, field), PASSPHRASE), /wrong passphrase or damaged vault/, field);
+    }
+    const salt = Buffer.from(vault.kdf.salt, 'base64');
+    salt[0] ^= 0x01;
+    assert.throws(() => decryptVault({ ...vault, kdf: { ...vault.kdf, salt: salt.toString('base64') } }, PASSPHRASE), /wrong passphrase or damaged vault/);
+});
+
+test('scrypt costs other than the ones written are rejected before deriving a key', () => {
+    const vault = encryptVault(LOGIN, PASSPHRASE);
+    for (const kdf of [{ N: 1 << 30 }, { r: 1024 }, { p: 64 }, { keyLength: 1 << 20 }, { N: '32768' }]) {
+        assert.throws(() => decryptVault({ ...vault, kdf: { ...vault.kdf, ...kdf } }, PASSPHRASE), /unsupported scrypt parameters/, JSON.stringify(kdf));
+    }
+    assert.throws(() => decryptVault({ ...vault, version: 2 }, PASSPHRASE), /unsupported vault format/);
+    assert.throws(() => decryptVault({ ...vault, cipher: 'aes-128-cbc' }, PASSPHRASE), /unsupported vault format/);
+});
+
+test('writeVault writes an owner-only file that readVault reads back', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vf-vault-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'credentials.vault');
+
+    writeVault(file, LOGIN, PASSPHRASE);
+    assert.deepStrictEqual(decryptVault(readVault(file), PASSPHRASE), LOGIN);
+    assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+    if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    }
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => readVault(file), /Could not read vault/);
+});
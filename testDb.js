@@ -1,8 +1,11 @@
 // testDb.js - Test database connection and data
 const sqlite3 = require('sqlite3').verbose();
+const { cliConfig } = require('./config');
+
+const config = cliConfig();
 
 async function testDatabase() {
-    const db = new sqlite3.Database('./virtual_football_betting.db');
+    const db = new sqlite3.Database(config.database.path);
 
     console.log('\n🔍 TESTING DATABASE');
     console.log('='.repeat(70));
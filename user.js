@@ -1,6 +0,0 @@
-module.exports = {
-    username: '1479912139',
-    password: 'Bdpara0171@#'
-};
-
-
@@ -0,0 +1,43 @@
+// valueBets.js - Value-bet detection: offered prices that beat a model's fair price by a minimum edge
+// The edge is the expected return per unit staked if the model is right: offered odds x model probability - 1,
+// which is the same as offered odds / fair odds - 1. A 2.30 price on a selection the model makes 2.00 is +15%.
+const { OUTCOMES } = require('./margins');
+
+const DEFAULT_MIN_EDGE = 0.05;
+
+function edgeFor(odds, probability) {
+    if (!Number.isFinite(odds) || odds <= 1 || !Number.isFinite(probability) || probability <= 0) return null;
+    return odds * probability - 1;
+}
+
+// fixture: strategies.fixtureFromMatch() shape with fair: { HOME, DRAW, AWAY } model probabilities
+// Returns [{ fixture, selection, odds, probability, fairOdds, edge }] biggest edge first
+function findValueBets(fixture, options = {}) {
+    if (!fixture.fair) return [];
+
+    const minEdge = options.minEdge !== undefined ? options.minEdge : DEFAULT_MIN_EDGE;
+    const values = [];
+    for (const selection of OUTCOMES) {
+        const odds = fixture.odds[selection];
+        const probability = fixture.fair[selection];
+        const edge = edgeFor(odds, probability);
+        if (edge === null || edge < minEdge) continue;
+        if (options.maxOdds && odds > options.maxOdds) continue;
+
+        values.push({ fixture, selection, odds, probability, fairOdds: 1 / probability, edge });
+    }
+    return values.sort((a, b) => b.edge - a.edge);
+}
+
+function detectValueBets(fixtures, options = {}) {
+    return fixtures
+        .flatMap(fixture => findValueBets(fixture, options))
+        .sort((a, b) => b.edge - a.edge);
+}
+
+module.exports = {
+    DEFAULT_MIN_EDGE,
+    edgeFor,
+    findValueBets,
+    detectValueBets
+};
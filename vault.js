@@ -0,0 +1,77 @@
+// vault.js - Create or check the encrypted credentials vault the scraper logs in with
+// Usage: node vault.js create                   ask for the linebet login and a passphrase and write the vault
+//        node vault.js create --import-user-js  take the login from an old plaintext user.js instead
+//        node vault.js check                    unlock the vault and show which username it holds
+// The vault file is credentials.vault unless --vault / VF_VAULT / the config file name another one.
+const fs = require('fs');
+const path = require('path');
+const { cliConfig } = require('./config');
+const { ask, askHidden, askNewPassphrase, readVault, writeVault, decryptVault, trackedPlaintextFiles } = require('./credentials');
+
+async function create(vaultFile, importUserJs) {
+    if (fs.existsSync(vaultFile)) {
+        const answer = await ask(`⚠️  ${vaultFile} already exists. Replace it? (y/N): `);
+        if (answer.toLowerCase() !== 'y') {
+            console.log('Vault left unchanged');
+            return;
+        }
+    }
+
+    let credentials;
+    if (importUserJs) {
+        const userFile = path.resolve('user.js');
+        const { username, password } = require(userFile);
+        credentials = { username, password };
+        console.log(`📥 Importing the login for ${username} from ${userFile}`);
+    } else {
+        credentials = {
+            username: await ask('👤 Linebet username: '),
+            password: await askHidden('🔑 Linebet password: ')
+        };
+    }
+    if (!credentials.username || !credentials.password) {
+        throw new Error('both a username and a password are needed');
+    }
+
+    writeVault(vaultFile, credentials, await askNewPassphrase());
+    console.log(`✅ Vault written to ${vaultFile} for ${credentials.username}`);
+    console.log('ℹ️  Start the scraper as usual; it asks for the passphrase, or set VF_VAULT_PASSPHRASE for unattended runs');
+
+    if (importUserJs) {
+        console.log('ℹ️  Delete user.js now that the vault holds the login');
+        if (trackedPlaintextFiles().includes('user.js')) {
+            console.log('⚠️  user.js is tracked by git: run "git rm --cached user.js" and change the linebet password,');
+            console.log('   since the old one stays readable in the repository history');
+        }
+    }
+}
+
+async function check(vaultFile) {
+    const vault = readVault(vaultFile);
+    const passphrase = process.env.VF_VAULT_PASSPHRASE || await askHidden(`🔐 Passphrase for ${vaultFile}: `);
+    const credentials = decryptVault(vault, passphrase);
+    console.log(`✅ ${vaultFile} unlocks and holds the login for ${credentials.username}`);
+}
+
+(async () => {
+    const args = process.argv.slice(2);
+    const config = cliConfig(args);
+    const command = args[0];
+
+    console.log('\n🔐 CREDENTIALS VAULT');
+    console.log('='.repeat(70));
+
+    try {
+        if (command === 'create') {
+            await create(config.credentials.vaultFile, args.includes('--import-user-js'));
+        } else if (command === 'check') {
+            await check(config.credentials.vaultFile);
+        } else {
+            console.log('Usage: node vault.js create [--import-user-js] | node vault.js check');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Vault error:', error.message);
+        process.exitCode = 1;
+    }
+})();